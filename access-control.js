@@ -0,0 +1,320 @@
+/**
+ * Access Control
+ *
+ * Optional API keys, token-bucket rate limits and the CORS origin allowlist.
+ * With nothing configured every route except the admin ones stays open,
+ * unlimited and callable from any origin, as in local development; admin
+ * routes then only answer requests from this machine.
+ *
+ * API keys come from API_KEYS_FILE (default data/api-keys.json):
+ *   {
+ *     "keys": [
+ *       { "name": "mobile-app", "key": "3f9c...", "rateLimit": 300 },  // rateLimit optional, requests/minute
+ *       { "name": "ops", "key": "a71d...", "admin": true }
+ *     ]
+ *   }
+ * and/or the API_KEYS (and API_ADMIN_KEYS) env as comma-separated lists of
+ * keys. Once any key is configured, requests must send one as
+ * `X-API-Key: <key>` or `Authorization: Bearer <key>` (health and the OpenAPI
+ * document stay open), and admin routes (see requireAdmin) need an admin key.
+ *
+ * Rate limits are token buckets refilled continuously, sized in requests per
+ * minute: one bucket per key (RATE_LIMIT_PER_KEY, default 120) and one per
+ * client IP (RATE_LIMIT_PER_IP, default 60). They apply when keys are
+ * configured, or without keys when RATE_LIMIT_PER_IP is set. Every limited
+ * response carries RateLimit-Limit, RateLimit-Remaining and RateLimit-Reset
+ * (seconds until the bucket is full); a 429 adds Retry-After.
+ *
+ * CORS_ORIGINS (comma-separated) restricts which browser origins may call
+ * the API; unset allows any origin.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createApiError } = require('./api-response');
+const { logger } = require('./logger');
+
+/**
+ * Default limits in requests per minute
+ */
+const DEFAULT_KEY_RATE_LIMIT = 120;
+const DEFAULT_IP_RATE_LIMIT = 60;
+
+/**
+ * Routes that never need a key or count against a limit (paths inside the router)
+ */
+const OPEN_PATHS = ['/health', '/openapi.json'];
+
+/**
+ * Client addresses of this machine (IPv4, IPv6 and IPv4-mapped IPv6)
+ */
+const LOOPBACK_PATTERN = /^(127\.\d+\.\d+\.\d+|::1|::ffff:127\.\d+\.\d+\.\d+)$/;
+
+/**
+ * Headers a browser client may read from API responses
+ */
+const EXPOSED_HEADERS = ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After', 'X-Request-Id'];
+
+// Loaded keys: sha256(key) → { name, rateLimit }
+let apiKeys = null;
+
+// Buckets for keys and client IPs
+let keyLimiter = null;
+let ipLimiter = null;
+
+/**
+ * Hash a key so lookups never compare the secret itself
+ */
+function hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Parse a positive number from env, or return the fallback
+ */
+function readLimit(value, fallback) {
+    const limit = parseFloat(value);
+    return isFinite(limit) && limit > 0 ? limit : fallback;
+}
+
+/**
+ * Get the path of the keys file
+ */
+function getKeysPath() {
+    return process.env.API_KEYS_FILE || path.join(__dirname, 'data', 'api-keys.json');
+}
+
+/**
+ * Load API keys from the keys file and the API_KEYS env
+ * @returns {Map} - sha256(key) → { name, rateLimit }
+ */
+function loadApiKeys() {
+    apiKeys = new Map();
+    const keysPath = getKeysPath();
+
+    try {
+        if (fs.existsSync(keysPath)) {
+            const data = JSON.parse(fs.readFileSync(keysPath, 'utf8'));
+            (data.keys || []).forEach((entry, index) => {
+                if (!entry || typeof entry.key !== 'string' || entry.key.trim() === '') {
+                    logger.warn('Skipping API key without "key"', { path: keysPath, entry: index + 1 });
+                    return;
+                }
+                apiKeys.set(hashKey(entry.key.trim()), {
+                    name: entry.name || `key-${index + 1}`,
+                    rateLimit: readLimit(entry.rateLimit, null),
+                    admin: entry.admin === true
+                });
+            });
+        }
+    } catch (error) {
+        logger.error('Could not load API keys', { path: keysPath, error });
+    }
+
+    (process.env.API_KEYS || '').split(',')
+        .map(key => key.trim())
+        .filter(Boolean)
+        .forEach((key, index) => apiKeys.set(hashKey(key), { name: `env-${index + 1}`, rateLimit: null, admin: false }));
+    (process.env.API_ADMIN_KEYS || '').split(',')
+        .map(key => key.trim())
+        .filter(Boolean)
+        .forEach((key, index) => apiKeys.set(hashKey(key), { name: `env-admin-${index + 1}`, rateLimit: null, admin: true }));
+
+    if (apiKeys.size > 0) {
+        logger.info('Loaded API keys', { count: apiKeys.size });
+    }
+
+    keyLimiter = createRateLimiter(readLimit(process.env.RATE_LIMIT_PER_KEY, DEFAULT_KEY_RATE_LIMIT));
+    ipLimiter = apiKeys.size > 0 || process.env.RATE_LIMIT_PER_IP
+        ? createRateLimiter(readLimit(process.env.RATE_LIMIT_PER_IP, DEFAULT_IP_RATE_LIMIT))
+        : null;
+
+    return apiKeys;
+}
+
+/**
+ * Create a token-bucket limiter with one bucket per id
+ * A bucket holds `perMinute` tokens and refills at perMinute / 60 tokens per
+ * second; each request takes one token.
+ * @param {number} perMinute - Default bucket size and refill rate
+ * @param {Object} options
+ *   - now: function (optional) - Clock in ms, for tests
+ *   - maxBuckets: number (default: 10000) - Full buckets are dropped beyond this
+ * @returns {Object} - { take(id, limit?) → { allowed, limit, remaining, reset, retryAfter } }
+ */
+function createRateLimiter(perMinute, options = {}) {
+    const { now = Date.now, maxBuckets = 10000 } = options;
+    const buckets = new Map();
+
+    /**
+     * Drop buckets that have refilled completely (they behave like new ones)
+     */
+    function prune(time) {
+        for (const [id, bucket] of buckets) {
+            if (bucket.tokens + (time - bucket.updatedAt) / 1000 * bucket.limit / 60 >= bucket.limit) {
+                buckets.delete(id);
+            }
+        }
+    }
+
+    /**
+     * Take one token from a bucket
+     * @param {string} id - Bucket id (key hash or client IP)
+     * @param {number} limit - Bucket size for this id (default: perMinute)
+     */
+    function take(id, limit = perMinute) {
+        const time = now();
+        const refillPerSecond = limit / 60;
+        let bucket = buckets.get(id);
+
+        if (!bucket) {
+            if (buckets.size >= maxBuckets) prune(time);
+            bucket = { tokens: limit, updatedAt: time, limit };
+            buckets.set(id, bucket);
+        }
+
+        bucket.tokens = Math.min(limit, bucket.tokens + (time - bucket.updatedAt) / 1000 * refillPerSecond);
+        bucket.updatedAt = time;
+        bucket.limit = limit;
+
+        const allowed = bucket.tokens >= 1;
+        if (allowed) {
+            bucket.tokens -= 1;
+        }
+
+        return {
+            allowed,
+            limit,
+            remaining: Math.floor(bucket.tokens),
+            reset: Math.ceil((limit - bucket.tokens) / refillPerSecond),
+            retryAfter: allowed ? 0 : Math.ceil((1 - bucket.tokens) / refillPerSecond)
+        };
+    }
+
+    return { take };
+}
+
+/**
+ * Get the API key sent with a request (X-API-Key or Authorization: Bearer)
+ */
+function getRequestKey(req) {
+    const header = req.get('X-API-Key');
+    if (header) {
+        return header.trim();
+    }
+    const match = /^Bearer\s+(.+)$/i.exec(req.get('Authorization') || '');
+    return match ? match[1].trim() : null;
+}
+
+/**
+ * Middleware: require a valid API key (when keys are configured) and apply
+ * the per-key and per-IP rate limits
+ */
+function protect(req, res, next) {
+    if (!apiKeys) {
+        loadApiKeys();
+    }
+
+    if (OPEN_PATHS.includes(req.path)) {
+        return next();
+    }
+
+    const checks = [];
+
+    if (apiKeys.size > 0) {
+        const key = getRequestKey(req);
+        if (!key) {
+            return next(createApiError('API_KEY_REQUIRED', 'API key required. Send it as "X-API-Key" or "Authorization: Bearer <key>"'));
+        }
+        const keyHash = hashKey(key);
+        const client = apiKeys.get(keyHash);
+        if (!client) {
+            return next(createApiError('INVALID_API_KEY', 'Invalid API key'));
+        }
+        req.apiClient = client.name;
+        req.apiAdmin = client.admin;
+        checks.push(keyLimiter.take(keyHash, client.rateLimit || undefined));
+    }
+
+    if (ipLimiter) {
+        checks.push(ipLimiter.take(req.ip));
+    }
+
+    if (checks.length === 0) {
+        return next();
+    }
+
+    // Report the bucket that refused the request, or the one closest to running out
+    const denied = checks.filter(check => !check.allowed);
+    const tightest = denied[0] || checks.reduce((a, b) => (b.remaining < a.remaining ? b : a));
+    res.set('RateLimit-Limit', String(tightest.limit));
+    res.set('RateLimit-Remaining', String(tightest.remaining));
+    res.set('RateLimit-Reset', String(tightest.reset));
+
+    if (denied.length > 0) {
+        const retryAfter = Math.max(...denied.map(check => check.retryAfter));
+        res.set('Retry-After', String(retryAfter));
+        return next(createApiError('RATE_LIMITED', `Rate limit exceeded. Retry in ${retryAfter} seconds`));
+    }
+
+    next();
+}
+
+/**
+ * Check whether a request comes from this machine
+ * A reverse proxy on the same machine makes every request look local, so
+ * forwarded requests only count when the proxy is trusted (TRUST_PROXY; req.ip
+ * is then the original client's address).
+ */
+function isLoopbackRequest(req) {
+    const forwarded = req.get('X-Forwarded-For') || req.get('Forwarded');
+    if (forwarded && !req.app.get('trust proxy')) {
+        return false;
+    }
+    return LOOPBACK_PATTERN.test(req.ip || '');
+}
+
+/**
+ * Middleware: only admin keys may continue; without configured keys, only
+ * requests from this machine
+ * Runs after protect, which identifies the key.
+ */
+function requireAdmin(req, res, next) {
+    if (!apiKeys) {
+        loadApiKeys();
+    }
+
+    if (apiKeys.size > 0 && !req.apiAdmin) {
+        return next(createApiError('ADMIN_REQUIRED', 'This route needs an admin API key'));
+    }
+    if (apiKeys.size === 0 && !isLoopbackRequest(req)) {
+        return next(createApiError('ADMIN_REQUIRED', 'This route needs an admin API key. Without configured keys it only answers requests from this machine'));
+    }
+    next();
+}
+
+/**
+ * Options for the cors middleware: any origin, or only those in CORS_ORIGINS
+ * Requests from other origins get no CORS headers, so browsers block them.
+ */
+function getCorsOptions() {
+    const origins = (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+
+    if (origins.length === 0 || origins.includes('*')) {
+        return { exposedHeaders: EXPOSED_HEADERS };
+    }
+    return {
+        origin: (origin, callback) => callback(null, !origin || origins.includes(origin)),
+        exposedHeaders: EXPOSED_HEADERS
+    };
+}
+
+// Exports
+module.exports = {
+    loadApiKeys,
+    createRateLimiter,
+    getCorsOptions,
+    protect,
+    requireAdmin
+};
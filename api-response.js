@@ -0,0 +1,164 @@
+/**
+ * API Response Envelope
+ *
+ * Every /api/v1 route answers in one shape:
+ *
+ *   { success: true,  data: { ... },                        metadata: { ... } }
+ *   { success: false, error: { code, message, details? },   metadata: { ... } }
+ *
+ * metadata always has apiVersion, timestamp (ISO) and responseTime (ms, a
+ * number); routes add their own fields (apiSource, limit, nextCursor, ...).
+ *
+ * The unversioned /api routes are aliases kept for existing clients. They run
+ * the same handlers but keep the old flat shape: data fields at the top level,
+ * `error` as a message string (with `code` next to it) and responseTime as a
+ * string like "145ms".
+ */
+
+const { logger } = require('./logger');
+
+const API_VERSION = 'v1';
+
+/**
+ * Error codes and their HTTP status
+ */
+const ERROR_CODES = {
+    VALIDATION_FAILED: 400,
+    INVALID_JSON: 400,
+    QUERY_REQUIRED: 400,
+    INVALID_PROFILE: 400,
+    INVALID_PROVIDER: 400,
+    INVALID_CONSTRAINT: 400,
+    INVALID_FILTER: 400,
+    INVALID_WEIGHTS: 400,
+    INVALID_BLEND: 400,
+    INVALID_LIMIT: 400,
+    INVALID_OFFSET: 400,
+    INVALID_CURSOR: 400,
+    INVALID_VARIANTS: 400,
+    INVALID_PROFILE_DEFINITION: 400,
+    INVALID_FEEDBACK: 400,
+    API_KEY_REQUIRED: 401,
+    INVALID_API_KEY: 401,
+    FORBIDDEN: 403,
+    PROFILE_READ_ONLY: 403,
+    ADMIN_REQUIRED: 403,
+    NOT_FOUND: 404,
+    PROFILE_NOT_FOUND: 404,
+    LEARNED_WEIGHTS_NOT_FOUND: 404,
+    PROFILE_EXISTS: 409,
+    RATE_LIMITED: 429,
+    INTERNAL_ERROR: 500,
+    PROVIDER_UNAVAILABLE: 502
+};
+
+/**
+ * Code used for errors that only carry an HTTP status
+ */
+const STATUS_CODES = {
+    400: 'VALIDATION_FAILED',
+    401: 'API_KEY_REQUIRED',
+    403: 'FORBIDDEN',
+    404: 'NOT_FOUND',
+    409: 'PROFILE_EXISTS',
+    429: 'RATE_LIMITED',
+    502: 'PROVIDER_UNAVAILABLE'
+};
+
+/**
+ * Create an error with a code from ERROR_CODES
+ * @param {string} code - Error code, e.g. 'QUERY_REQUIRED'
+ * @param {string} message - Human-readable message
+ * @param {Array} details - Optional per-field details ({ field, in, message })
+ * @returns {Error} - Error with code, statusCode and details
+ */
+function createApiError(code, message, details) {
+    const error = new Error(message);
+    error.code = code;
+    error.statusCode = ERROR_CODES[code] || 500;
+    if (details && details.length > 0) {
+        error.details = details;
+    }
+    return error;
+}
+
+/**
+ * Build the metadata of a response
+ */
+function buildMetadata(req, extra = {}) {
+    const responseTime = Date.now() - req.startTime;
+
+    if (req.apiVersion) {
+        return { apiVersion: req.apiVersion, timestamp: new Date().toISOString(), responseTime, ...extra };
+    }
+    return { searchTime: new Date().toISOString(), responseTime: `${responseTime}ms`, ...extra };
+}
+
+/**
+ * Middleware: start the response timer and add res.sendData / res.sendError
+ * Requests under /api/v1 get the versioned envelope, everything else the legacy shape.
+ */
+function envelope(req, res, next) {
+    req.startTime = Date.now();
+    req.apiVersion = req.path.startsWith(`/api/${API_VERSION}/`) ? API_VERSION : null;
+
+    /**
+     * Send a successful response
+     * @param {Object} data - Payload
+     * @param {Object} metadata - Route-specific metadata fields
+     */
+    res.sendData = (data, metadata = {}) => {
+        if (req.apiVersion) {
+            return res.json({ success: true, data, metadata: buildMetadata(req, metadata) });
+        }
+        return res.json({ success: true, ...data, metadata: buildMetadata(req, metadata) });
+    };
+
+    /**
+     * Send an error response (status from the error's code or statusCode)
+     * @param {Error} error - Error from createApiError() or any module error with a statusCode
+     */
+    res.sendError = (error) => {
+        const statusCode = error.statusCode || 500;
+        const code = error.code && ERROR_CODES[error.code] ? error.code : (STATUS_CODES[statusCode] || 'INTERNAL_ERROR');
+        const message = statusCode >= 500 && code === 'INTERNAL_ERROR' ? 'Internal server error' : error.message;
+        const body = { code, message };
+        if (error.details) body.details = error.details;
+        if (error.availableEndpoints) body.availableEndpoints = error.availableEndpoints;
+
+        res.status(statusCode);
+        if (req.apiVersion) {
+            return res.json({ success: false, error: body, metadata: buildMetadata(req) });
+        }
+        const { message: legacyMessage, ...rest } = body;
+        return res.json({ success: false, error: legacyMessage, ...rest });
+    };
+
+    next();
+}
+
+/**
+ * Error-handling middleware: render any error passed to next()
+ */
+function errorHandler(error, req, res, next) {
+    if (error.type === 'entity.parse.failed') {
+        error = createApiError('INVALID_JSON', 'Invalid request body. Must be valid JSON', [
+            { field: 'body', in: 'body', message: error.message }
+        ]);
+    }
+
+    if (!error.statusCode || error.statusCode >= 500) {
+        (req.log || logger).error('API error', { method: req.method, path: req.originalUrl.split('?')[0], error });
+    }
+
+    res.sendError(error);
+}
+
+// Exports
+module.exports = {
+    API_VERSION,
+    ERROR_CODES,
+    createApiError,
+    envelope,
+    errorHandler
+};
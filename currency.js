@@ -0,0 +1,187 @@
+/**
+ * Currency Conversion Module
+ *
+ * Converts real result prices into the user's budget currency using a local
+ * rate table, and formats amounts for explanations.
+ *
+ * The rate table is loaded from data/exchange-rates.json by default. Point
+ * EXCHANGE_RATES_PATH at another file, or call setRateTable(), to plug in
+ * different rates (e.g. a nightly export from a rates provider).
+ *
+ * Shared by the server and the browser, so it is wrapped to load as a
+ * CommonJS module or as the global `Currency`. Only the server reads the rate
+ * file; the browser fetches it and calls setRateTable().
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        const fs = require('fs');
+        const path = require('path');
+        const readRateFile = () => {
+            const ratesPath = process.env.EXCHANGE_RATES_PATH ||
+                path.join(__dirname, 'data', 'exchange-rates.json');
+            return JSON.parse(fs.readFileSync(ratesPath, 'utf8'));
+        };
+        module.exports = factory(readRateFile, require('./logger').logger);
+    } else {
+        root.Currency = factory(null, root.console);
+    }
+})(typeof self !== 'undefined' ? self : this, function (readRateFile, logger) {
+
+    // Cache for the loaded rate table
+    let rateTable = null;
+
+    /**
+     * Display symbols for supported currencies
+     */
+    const currencySymbols = {
+        USD: '$',
+        EUR: '€',
+        GBP: '£',
+        INR: '₹',
+        JPY: '¥',
+        CAD: 'C$',
+        AUD: 'A$',
+        SGD: 'S$',
+        HKD: 'HK$',
+        MXN: 'MX$'
+    };
+
+    /**
+     * Currencies that are never shown with minor units
+     */
+    const zeroDecimalCurrencies = ['JPY'];
+
+    /**
+     * Get default fallback rate table if the rates file cannot be loaded
+     */
+    function getDefaultRateTable() {
+        return {
+            base: 'USD',
+            rates: { USD: 1 }
+        };
+    }
+
+    /**
+     * Validate and normalize a rate table
+     * @param {Object} table - { base: 'USD', rates: { EUR: 0.92, ... } }
+     * @returns {Object} - Normalized rate table with upper-case codes
+     */
+    function normalizeRateTable(table) {
+        if (!table || typeof table !== 'object' || !table.rates || typeof table.rates !== 'object') {
+            throw new Error('Rate table must be an object with a "rates" map');
+        }
+
+        const base = String(table.base || 'USD').toUpperCase();
+        const rates = {};
+
+        for (const [code, rate] of Object.entries(table.rates)) {
+            if (typeof rate !== 'number' || !isFinite(rate) || rate <= 0) {
+                throw new Error(`Invalid exchange rate for ${code}: ${rate}`);
+            }
+            rates[code.toUpperCase()] = rate;
+        }
+        rates[base] = 1;
+
+        return { base, updated: table.updated || null, rates };
+    }
+
+    /**
+     * Load the rate table from disk (EXCHANGE_RATES_PATH or data/exchange-rates.json)
+     * In the browser there is no file to read, so the default table is used until
+     * setRateTable() is called.
+     */
+    function loadRateTable() {
+        if (!readRateFile) {
+            rateTable = getDefaultRateTable();
+            return rateTable;
+        }
+
+        try {
+            rateTable = normalizeRateTable(readRateFile());
+            logger.info('Loaded exchange rates', { currencies: Object.keys(rateTable.rates).length });
+        } catch (error) {
+            logger.error('Could not load exchange rates, using defaults', { error });
+            rateTable = getDefaultRateTable();
+        }
+        return rateTable;
+    }
+
+    /**
+     * Get the active rate table, loading it on first use
+     */
+    function getRateTable() {
+        return rateTable || loadRateTable();
+    }
+
+    /**
+     * Replace the active rate table
+     * @param {Object} table - { base: 'USD', rates: { EUR: 0.92, ... } }
+     */
+    function setRateTable(table) {
+        rateTable = normalizeRateTable(table);
+        return rateTable;
+    }
+
+    /**
+     * Check whether a currency code has a known exchange rate
+     */
+    function isSupportedCurrency(currency) {
+        if (!currency) return false;
+        return getRateTable().rates.hasOwnProperty(String(currency).toUpperCase());
+    }
+
+    /**
+     * Convert an amount between currencies
+     * @param {number} amount - Amount in the source currency
+     * @param {string} from - Source currency code
+     * @param {string} to - Target currency code
+     * @returns {number|null} - Converted amount, or null if either currency is unknown
+     */
+    function convert(amount, from, to) {
+        if (typeof amount !== 'number' || !isFinite(amount)) {
+            return null;
+        }
+
+        const { rates } = getRateTable();
+        const fromRate = rates[String(from || '').toUpperCase()];
+        const toRate = rates[String(to || '').toUpperCase()];
+
+        if (!fromRate || !toRate) {
+            return null;
+        }
+
+        // Rates are units of currency per 1 unit of the base currency
+        return (amount / fromRate) * toRate;
+    }
+
+    /**
+     * Format an amount with its currency symbol, e.g. "€18.50", "€20" or "¥50,000"
+     * Whole amounts are shown without minor units.
+     * @param {number} amount - Amount to format
+     * @param {string} currency - Currency code
+     * @returns {string} - Formatted amount
+     */
+    function formatAmount(amount, currency) {
+        const code = String(currency || 'USD').toUpperCase();
+        const symbol = currencySymbols[code] || `${code} `;
+        const rounded = zeroDecimalCurrencies.includes(code)
+            ? Math.round(amount)
+            : Math.round(amount * 100) / 100;
+        const decimals = Number.isInteger(rounded) ? 0 : 2;
+        const text = rounded.toLocaleString('en-US', {
+            minimumFractionDigits: decimals,
+            maximumFractionDigits: decimals
+        });
+
+        return `${symbol}${text}`;
+    }
+
+    return {
+        convert,
+        formatAmount,
+        getRateTable,
+        setRateTable,
+        loadRateTable,
+        isSupportedCurrency
+    };
+});
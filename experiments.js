@@ -0,0 +1,456 @@
+/**
+ * Ranking Experiments
+ *
+ * A/B tests of ranking variants without replacing the live behaviour. File
+ * (EXPERIMENTS_PATH env, or data/experiments.json by default):
+ *   {
+ *     "experiments": [
+ *       {
+ *         "id": "blend-60",
+ *         "status": "running",            // or "stopped" (kept for its stats)
+ *         "mode": "split",                // or "interleave" (exactly two variants)
+ *         "variants": [
+ *           { "id": "control", "share": 50 },
+ *           { "id": "more-personal", "share": 50, "blend": 0.6,
+ *             "weights": { "price": 0.3 }, "constraintTuning": { "maxPenalty": -0.35 },
+ *             "diversityLambda": 0.7 }
+ *         ]
+ *       }
+ *     ]
+ *   }
+ *
+ * A variant may set blend, weights (per-metric overrides, as in POST /search),
+ * constraintTuning ({ maxPenalty, maxBonus }, see getConstraintAdjustments)
+ * and diversityLambda (see diversifyResults; 1 turns diversification off);
+ * anything it leaves out, and anything the request sets itself, keeps the
+ * request's behaviour. The first running experiment applies to /search.
+ *
+ * split:      Each unit (the X-Session-Id header, else the client IP) is hashed
+ *             with the experiment id into a variant by share, so it always
+ *             gets the same one. metadata.variant names it.
+ * interleave: Both variants rank the results and team-draft interleaving
+ *             merges them into one list; metadata.teams says which variant
+ *             contributed each result, and clicks decide which one wins.
+ *
+ * The web interface copies experiment, variant and teams into its feedback
+ * impressions (feedback-log.js); getExperimentStats turns them into
+ * per-variant click-through rates and interleaving wins.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const rankingEngine = require('./ranking-engine');
+const { logger } = require('./logger');
+
+/**
+ * Accepted X-Session-Id values
+ */
+const UNIT_ID_PATTERN = /^[A-Za-z0-9._-]{1,64}$/;
+
+/**
+ * Buckets a unit can hash into; shares are spread over them
+ */
+const BUCKETS = 10000;
+
+/**
+ * Experiment modes
+ */
+const EXPERIMENT_MODES = ['split', 'interleave'];
+
+// Cache for the experiments file
+let experiments = null;
+
+/**
+ * Get the path of the experiments file
+ */
+function getExperimentsPath() {
+    return process.env.EXPERIMENTS_PATH || path.join(__dirname, 'data', 'experiments.json');
+}
+
+/**
+ * Check one experiment definition
+ * @returns {Array} - Error messages (empty when valid)
+ */
+function validateExperiment(experiment) {
+    if (!experiment || typeof experiment.id !== 'string' || !UNIT_ID_PATTERN.test(experiment.id)) {
+        return ['"id" must be 1-64 letters, digits, ".", "_" or "-"'];
+    }
+
+    const errors = [];
+    const label = `Experiment "${experiment.id}"`;
+    const mode = experiment.mode || 'split';
+    const variants = Array.isArray(experiment.variants) ? experiment.variants : [];
+
+    if (!EXPERIMENT_MODES.includes(mode)) {
+        errors.push(`${label}: mode must be one of: ${EXPERIMENT_MODES.join(', ')}`);
+    }
+    if (experiment.status !== undefined && !['running', 'stopped'].includes(experiment.status)) {
+        errors.push(`${label}: status must be "running" or "stopped"`);
+    }
+    if (variants.length < 2 || (mode === 'interleave' && variants.length !== 2)) {
+        errors.push(`${label}: needs ${mode === 'interleave' ? 'exactly' : 'at least'} 2 variants`);
+    }
+
+    const ids = new Set();
+    variants.forEach((variant, index) => {
+        const name = variant && typeof variant.id === 'string' ? `variant "${variant.id}"` : `variants[${index}]`;
+        if (!variant || typeof variant.id !== 'string' || !UNIT_ID_PATTERN.test(variant.id) || ids.has(variant.id)) {
+            errors.push(`${label}: ${name} needs a unique id of 1-64 letters, digits, ".", "_" or "-"`);
+        } else {
+            ids.add(variant.id);
+        }
+        if (!variant) {
+            return;
+        }
+        if (mode === 'split' && !(typeof variant.share === 'number' && variant.share > 0)) {
+            errors.push(`${label}: ${name} needs a positive share`);
+        }
+        if (variant.blend !== undefined && !(typeof variant.blend === 'number' && variant.blend >= 0 && variant.blend <= 1)) {
+            errors.push(`${label}: ${name} blend must be between 0 and 1`);
+        }
+        if (variant.diversityLambda !== undefined &&
+            !(typeof variant.diversityLambda === 'number' && variant.diversityLambda >= 0 && variant.diversityLambda <= 1)) {
+            errors.push(`${label}: ${name} diversityLambda must be between 0 and 1`);
+        }
+        Object.entries(variant.weights || {}).forEach(([metric, weight]) => {
+            if (!rankingEngine.METRIC_NAMES.includes(metric) || typeof weight !== 'number' || weight < -1 || weight > 1) {
+                errors.push(`${label}: ${name} weight "${metric}" must be a ranking metric between -1 and 1`);
+            }
+        });
+        const tuning = variant.constraintTuning || {};
+        if (tuning.maxPenalty !== undefined && !(typeof tuning.maxPenalty === 'number' && tuning.maxPenalty >= -1 && tuning.maxPenalty <= 0)) {
+            errors.push(`${label}: ${name} constraintTuning.maxPenalty must be between -1 and 0`);
+        }
+        if (tuning.maxBonus !== undefined && !(typeof tuning.maxBonus === 'number' && tuning.maxBonus >= 0 && tuning.maxBonus <= 1)) {
+            errors.push(`${label}: ${name} constraintTuning.maxBonus must be between 0 and 1`);
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Load experiments from disk
+ * Invalid experiments are logged and left out.
+ * @returns {Array} - Valid experiments
+ */
+function loadExperiments() {
+    experiments = [];
+
+    try {
+        const filePath = getExperimentsPath();
+        const data = fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : { experiments: [] };
+        (data.experiments || []).forEach(experiment => {
+            const errors = validateExperiment(experiment);
+            if (errors.length > 0) {
+                logger.warn('Ignoring invalid experiment', { errors });
+            } else {
+                experiments.push({ mode: 'split', status: 'running', ...experiment });
+            }
+        });
+
+        const running = experiments.filter(experiment => experiment.status === 'running');
+        if (running.length > 1) {
+            logger.warn('Only the first running experiment applies', { running: running.map(experiment => experiment.id) });
+        }
+        if (experiments.length > 0) {
+            logger.info('Loaded experiments', { experiments: experiments.map(experiment => experiment.id), running: running.length > 0 ? running[0].id : null });
+        }
+    } catch (error) {
+        logger.error('Could not load experiments', { path: getExperimentsPath(), error });
+    }
+
+    return experiments;
+}
+
+/**
+ * Get every loaded experiment, loading them on first use
+ */
+function listExperiments() {
+    return experiments || loadExperiments();
+}
+
+/**
+ * Get the experiment that applies to searches, or null
+ */
+function getRunningExperiment() {
+    return listExperiments().find(experiment => experiment.status === 'running') || null;
+}
+
+/**
+ * Get the bucketing unit of a request: its X-Session-Id, else its IP
+ */
+function getUnitId(req) {
+    const sessionId = req.get('X-Session-Id');
+    return sessionId && UNIT_ID_PATTERN.test(sessionId) ? sessionId : `ip:${req.ip}`;
+}
+
+/**
+ * Deterministic bucket of a unit within an experiment
+ * @returns {number} - 0 to BUCKETS - 1
+ */
+function getBucket(experimentId, unitId) {
+    const hash = crypto.createHash('sha256').update(`${experimentId}:${unitId}`).digest();
+    return hash.readUInt32BE(0) % BUCKETS;
+}
+
+/**
+ * Pick a split experiment's variant for a unit, by share
+ * @returns {Object} - The variant
+ */
+function assignVariant(experiment, unitId) {
+    const totalShare = experiment.variants.reduce((sum, variant) => sum + variant.share, 0);
+    const point = (getBucket(experiment.id, unitId) / BUCKETS) * totalShare;
+
+    let upper = 0;
+    for (const variant of experiment.variants) {
+        upper += variant.share;
+        if (point < upper) {
+            return variant;
+        }
+    }
+    return experiment.variants[experiment.variants.length - 1];
+}
+
+/**
+ * Seeded pseudo-random numbers (mulberry32), so an interleaved list is the
+ * same on every page of one search
+ */
+function createRandom(seed) {
+    let state = crypto.createHash('sha256').update(seed).digest().readUInt32BE(0);
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Team-draft interleaving of two rankings
+ * The team with fewer picks (a coin flip on a tie) adds its highest-ranked
+ * result that is not in the list yet, until both rankings are used up.
+ * @param {Array} rankingA - Ranked results of team A
+ * @param {Array} rankingB - Ranked results of team B (the same results in another order)
+ * @param {Function} random - Returns 0-1 (default: Math.random)
+ * @returns {Object} - { results, teams: Map(result id → 'A' | 'B') }
+ */
+function teamDraftInterleave(rankingA, rankingB, random = Math.random) {
+    const results = [];
+    const teams = new Map();
+    const positions = { A: 0, B: 0 };
+    const picks = { A: 0, B: 0 };
+    const rankings = { A: rankingA, B: rankingB };
+
+    const nextUnused = team => {
+        const ranking = rankings[team];
+        while (positions[team] < ranking.length && teams.has(ranking[positions[team]].id)) {
+            positions[team]++;
+        }
+        return positions[team] < ranking.length ? ranking[positions[team]] : null;
+    };
+
+    while (true) {
+        const candidates = { A: nextUnused('A'), B: nextUnused('B') };
+        if (!candidates.A && !candidates.B) {
+            break;
+        }
+
+        let team = picks.A < picks.B || (picks.A === picks.B && random() < 0.5) ? 'A' : 'B';
+        if (!candidates[team]) {
+            team = team === 'A' ? 'B' : 'A';
+        }
+
+        teams.set(candidates[team].id, team);
+        results.push(candidates[team]);
+        picks[team]++;
+    }
+
+    return { results, teams };
+}
+
+/**
+ * Ranking options of a variant on top of the request's own
+ * Values the request sets itself win over the variant's.
+ */
+function applyVariant(request, variant, explicit) {
+    return {
+        ...request,
+        weights: explicit.weights ? request.weights : (variant.weights || request.weights),
+        blend: explicit.blend ? request.blend : (variant.blend !== undefined ? variant.blend : request.blend),
+        diversityLambda: explicit.diversity || variant.diversityLambda === undefined
+            ? request.diversityLambda
+            : variant.diversityLambda,
+        constraintTuning: variant.constraintTuning
+    };
+}
+
+/**
+ * Rank a search, applying the running experiment (if any)
+ * @param {Object} request - rankResults request
+ * @param {Object} context
+ *   - unitId: string - Bucketing unit (see getUnitId)
+ *   - explicit: { weights, blend, diversity } - Which of them the caller set itself
+ *     (diversity: diversify or diversityLambda)
+ * @returns {Object} - {
+ *     results, weights, blend,   // weights/blend are what was used (null: varies per result when interleaved)
+ *     diversityLambda,           // null when not diversified or interleaved
+ *     excluded,                  // Results removed by required constraints (see applyRequiredConstraints)
+ *     metadata: { experiment, variant, teams? } or null without a running experiment
+ *   }
+ */
+function rankWithExperiment(request, context = {}) {
+    const { unitId = 'anonymous', explicit = {} } = context;
+    const experiment = getRunningExperiment();
+    const effectiveWeights = options => rankingEngine.getEffectiveWeights(options.profile || 'casual', options.weights);
+    const defaultBlend = options => (typeof options.blend === 'number' ? options.blend : rankingEngine.DEFAULT_BLEND);
+
+    if (!experiment) {
+        const ranking = rankingEngine.rankResultsWithExclusions(request);
+        return {
+            results: ranking.results,
+            weights: effectiveWeights(request),
+            blend: defaultBlend(request),
+            diversityLambda: rankingEngine.getRequestDiversityLambda(request),
+            excluded: ranking.excluded,
+            metadata: null
+        };
+    }
+
+    if (experiment.mode === 'interleave') {
+        // Variants share the constraints, so they exclude the same results
+        const [variantA, variantB] = experiment.variants;
+        const rankingA = rankingEngine.rankResultsWithExclusions(applyVariant(request, variantA, explicit));
+        const { results, teams } = teamDraftInterleave(
+            rankingA.results,
+            rankingEngine.rankResults(applyVariant(request, variantB, explicit)),
+            createRandom(`${experiment.id}:${unitId}:${request.query}`)
+        );
+        const teamVariants = {};
+        teams.forEach((team, id) => {
+            teamVariants[id] = team === 'A' ? variantA.id : variantB.id;
+        });
+        return {
+            results,
+            weights: null,
+            blend: null,
+            diversityLambda: null,
+            excluded: rankingA.excluded,
+            metadata: { experiment: experiment.id, variant: 'interleaved', teams: teamVariants }
+        };
+    }
+
+    const variant = assignVariant(experiment, unitId);
+    const options = applyVariant(request, variant, explicit);
+    const ranking = rankingEngine.rankResultsWithExclusions(options);
+    return {
+        results: ranking.results,
+        weights: effectiveWeights(options),
+        blend: defaultBlend(options),
+        diversityLambda: rankingEngine.getRequestDiversityLambda(options),
+        excluded: ranking.excluded,
+        metadata: { experiment: experiment.id, variant: variant.id }
+    };
+}
+
+/**
+ * Per-variant click-through stats from feedback events
+ * Sessions are displayed rankings (searchId) whose impression names the experiment.
+ * @param {Object} experiment - Experiment definition
+ * @param {Array} events - Feedback events
+ * @returns {Object} - split: { variants: { id: { sessions, sessionsWithClick, clicks, clickThroughRate, meanClickPosition } } }
+ *                     interleave: { variants: { id: { wins, clicks } }, ties, sessions, sessionsWithClick }
+ */
+function getExperimentStats(experiment, events) {
+    const sessions = new Map();
+    events.forEach(event => {
+        if (event.type === 'impression' && event.experiment === experiment.id) {
+            const session = sessions.get(event.searchId) || { variant: event.variant, teams: new Map(), clicks: [] };
+            (event.results || []).forEach(result => {
+                if (result.team) session.teams.set(result.id, result.team);
+            });
+            sessions.set(event.searchId, session);
+        }
+    });
+    events.forEach(event => {
+        if (event.type === 'click' && sessions.has(event.searchId)) {
+            sessions.get(event.searchId).clicks.push(event);
+        }
+    });
+
+    const round = value => Math.round(value * 1000) / 1000;
+
+    // Variant and team names in impressions come from clients; keyed by Map so
+    // names like "constructor" never reach Object.prototype
+    if (experiment.mode === 'interleave') {
+        const variants = new Map(experiment.variants.map(variant => [variant.id, { wins: 0, clicks: 0 }]));
+        let ties = 0;
+        let sessionsWithClick = 0;
+
+        sessions.forEach(session => {
+            const credit = new Map();
+            session.clicks.forEach(click => {
+                const team = session.teams.get(click.resultId);
+                if (variants.has(team)) {
+                    credit.set(team, (credit.get(team) || 0) + 1);
+                    variants.get(team).clicks++;
+                }
+            });
+            const [first, second] = experiment.variants.map(variant => credit.get(variant.id) || 0);
+            if (first + second === 0) {
+                return;
+            }
+            sessionsWithClick++;
+            if (first === second) {
+                ties++;
+            } else {
+                variants.get(experiment.variants[first > second ? 0 : 1].id).wins++;
+            }
+        });
+
+        return { sessions: sessions.size, sessionsWithClick, ties, variants: Object.fromEntries(variants) };
+    }
+
+    const variants = new Map(experiment.variants.map(variant => [
+        variant.id,
+        { sessions: 0, sessionsWithClick: 0, clicks: 0, clickThroughRate: null, meanClickPosition: null }
+    ]));
+    const positionSums = new Map();
+
+    sessions.forEach(session => {
+        const stats = variants.get(session.variant);
+        if (!stats) {
+            return;
+        }
+        stats.sessions++;
+        stats.clicks += session.clicks.length;
+        if (session.clicks.length > 0) stats.sessionsWithClick++;
+        positionSums.set(session.variant, (positionSums.get(session.variant) || 0) +
+            session.clicks.reduce((sum, click) => sum + click.position, 0));
+    });
+
+    variants.forEach((stats, id) => {
+        if (stats.sessions > 0) stats.clickThroughRate = round(stats.sessionsWithClick / stats.sessions);
+        if (stats.clicks > 0) stats.meanClickPosition = round(positionSums.get(id) / stats.clicks);
+    });
+
+    return { variants: Object.fromEntries(variants) };
+}
+
+// Exports
+module.exports = {
+    EXPERIMENT_MODES,
+    getExperimentsPath,
+    validateExperiment,
+    loadExperiments,
+    listExperiments,
+    getRunningExperiment,
+    getUnitId,
+    getBucket,
+    assignVariant,
+    teamDraftInterleave,
+    rankWithExperiment,
+    getExperimentStats
+};
@@ -0,0 +1,231 @@
+/**
+ * Facets Module
+ *
+ * Hard filters and facet counts for ranked results. Constraints only nudge
+ * scores; filters remove results that do not match (category, tags, reading
+ * time range, minimum trust, price band, depth).
+ *
+ * Within one facet the selected values are alternatives (category=course,book
+ * keeps both); different facets must all match. Facet counts are disjunctive:
+ * each facet is counted over the results that pass every *other* filter, so
+ * the sidebar still shows how many results picking another value would add.
+ *
+ * Shared by the server and the browser (for the price and depth labels), so it
+ * is wrapped to load as a CommonJS module or as the global `Facets`.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Facets = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+
+    /**
+     * Price and depth labels, in display order
+     */
+    const PRICE_LABELS = ['Free/Cheap', 'Affordable', 'Moderate Cost', 'Expensive'];
+    const DEPTH_LABELS = ['Very Deep', 'Comprehensive', 'Moderate Depth', 'Surface Level'];
+
+    /**
+     * Get human-readable price label
+     * @param {number} price - Price score 0-1
+     * @returns {string} - Price label
+     */
+    function getPriceLabel(price) {
+        if (price >= 0.8) return 'Free/Cheap';
+        if (price >= 0.6) return 'Affordable';
+        if (price >= 0.4) return 'Moderate Cost';
+        return 'Expensive';
+    }
+
+    /**
+     * Get human-readable depth label
+     * @param {number} depth - Depth score 0-1
+     * @returns {string} - Depth label
+     */
+    function getDepthLabel(depth) {
+        if (depth >= 0.8) return 'Very Deep';
+        if (depth >= 0.6) return 'Comprehensive';
+        if (depth >= 0.4) return 'Moderate Depth';
+        return 'Surface Level';
+    }
+
+    /**
+     * Create a 400 error for a bad filter value
+     */
+    function createFilterError(message) {
+        const error = new Error(message);
+        error.statusCode = 400;
+        error.code = 'INVALID_FILTER';
+        return error;
+    }
+
+    /**
+     * Read a list from a comma-separated string or an array
+     */
+    function parseList(value) {
+        const items = Array.isArray(value) ? value : String(value).split(',');
+        return items.map(item => String(item).trim()).filter(Boolean);
+    }
+
+    /**
+     * Read an optional number within a range
+     * @throws {Error} - statusCode 400 if the value is not a number in range
+     */
+    function parseNumber(value, name, min, max) {
+        if (value === undefined || value === null || value === '') {
+            return null;
+        }
+        const number = Number(value);
+        if (!isFinite(number) || number < min || number > max) {
+            throw createFilterError(`Invalid filter. ${name} must be a number between ${min} and ${max}`);
+        }
+        return number;
+    }
+
+    /**
+     * Read filters from a GET query string or a POST body's `filters` object
+     *
+     * @param {Object} source - Parameters
+     *   - category: string|Array - Categories to keep
+     *   - tags: string|Array - Tags to keep (a result needs one of them)
+     *   - minReadingTime / maxReadingTime: number - Reading time range in minutes
+     *   - minTrust: number - Minimum trust, 0-100 (reviews score as a percentage)
+     *   - priceBand: string|Array - Price labels to keep (see getPriceLabel)
+     *   - depth: string|Array - Depth labels to keep (see getDepthLabel)
+     * @returns {Object} - Normalized filters (only the ones that were set)
+     * @throws {Error} - statusCode 400 for an invalid value
+     */
+    function parseFilters(source = {}) {
+        const filters = {};
+
+        if (source.category !== undefined && source.category !== '') {
+            filters.category = parseList(source.category).map(category => category.toLowerCase());
+        }
+        if (source.tags !== undefined && source.tags !== '') {
+            filters.tags = parseList(source.tags).map(tag => tag.toLowerCase());
+        }
+
+        const minReadingTime = parseNumber(source.minReadingTime, 'minReadingTime', 0, 1440);
+        const maxReadingTime = parseNumber(source.maxReadingTime, 'maxReadingTime', 0, 1440);
+        if (minReadingTime !== null) filters.minReadingTime = minReadingTime;
+        if (maxReadingTime !== null) filters.maxReadingTime = maxReadingTime;
+        if (minReadingTime !== null && maxReadingTime !== null && minReadingTime > maxReadingTime) {
+            throw createFilterError('Invalid filter. minReadingTime must not be greater than maxReadingTime');
+        }
+
+        const minTrust = parseNumber(source.minTrust, 'minTrust', 0, 100);
+        if (minTrust !== null) filters.minTrust = minTrust;
+
+        if (source.priceBand !== undefined && source.priceBand !== '') {
+            filters.priceBand = parseList(source.priceBand);
+            const unknown = filters.priceBand.filter(label => !PRICE_LABELS.includes(label));
+            if (unknown.length > 0) {
+                throw createFilterError(`Invalid filter. priceBand must be one of: ${PRICE_LABELS.join(', ')}`);
+            }
+        }
+        if (source.depth !== undefined && source.depth !== '') {
+            filters.depth = parseList(source.depth);
+            const unknown = filters.depth.filter(label => !DEPTH_LABELS.includes(label));
+            if (unknown.length > 0) {
+                throw createFilterError(`Invalid filter. depth must be one of: ${DEPTH_LABELS.join(', ')}`);
+            }
+        }
+
+        return filters;
+    }
+
+    /**
+     * Per-facet tests: does a result pass this facet's filter?
+     */
+    const facetTests = {
+        category: (result, filters) => filters.category.includes(String(result.category || '').toLowerCase()),
+        tags: (result, filters) => (result.tags || []).some(tag => filters.tags.includes(tag.toLowerCase())),
+        readingTime: (result, filters) => {
+            const readingTime = result.readingTime || 0;
+            return (filters.minReadingTime === undefined || readingTime >= filters.minReadingTime) &&
+                (filters.maxReadingTime === undefined || readingTime <= filters.maxReadingTime);
+        },
+        minTrust: (result, filters) => Math.round((result.reviews || 0) * 100) >= filters.minTrust,
+        priceBand: (result, filters) => filters.priceBand.includes(getPriceLabel(result.price || 0)),
+        depth: (result, filters) => filters.depth.includes(getDepthLabel(result.depth || 0))
+    };
+
+    /**
+     * Facets with an active filter
+     */
+    function activeFacets(filters) {
+        return Object.keys(facetTests).filter(facet => {
+            if (facet === 'readingTime') {
+                return filters.minReadingTime !== undefined || filters.maxReadingTime !== undefined;
+            }
+            return filters[facet] !== undefined;
+        });
+    }
+
+    /**
+     * Keep results that pass every filter (optionally ignoring one facet)
+     * @param {Array} results - Ranked results
+     * @param {Object} filters - From parseFilters()
+     * @param {string} exceptFacet - Optional facet to leave out
+     * @returns {Array} - Matching results, in the same order
+     */
+    function applyFilters(results, filters = {}, exceptFacet = null) {
+        const facets = activeFacets(filters).filter(facet => facet !== exceptFacet);
+        if (facets.length === 0) {
+            return results;
+        }
+        return results.filter(result => facets.every(facet => facetTests[facet](result, filters)));
+    }
+
+    /**
+     * Count values in a list, most common first
+     */
+    function countValues(values, order = null) {
+        const counts = {};
+        values.forEach(value => {
+            counts[value] = (counts[value] || 0) + 1;
+        });
+
+        const keys = order
+            ? order.filter(key => counts[key])
+            : Object.keys(counts).sort((a, b) => counts[b] - counts[a] || a.localeCompare(b));
+
+        const sorted = {};
+        keys.forEach(key => {
+            sorted[key] = counts[key];
+        });
+        return sorted;
+    }
+
+    /**
+     * Count results per category, tag, price label and depth label
+     * @param {Array} results - Ranked results before filtering
+     * @param {Object} filters - Active filters
+     * @returns {Object} - { category, tags, priceBand, depth }, each value → count
+     */
+    function computeFacets(results, filters = {}) {
+        const categoryResults = applyFilters(results, filters, 'category');
+        const tagResults = applyFilters(results, filters, 'tags');
+        const priceResults = applyFilters(results, filters, 'priceBand');
+        const depthResults = applyFilters(results, filters, 'depth');
+
+        return {
+            category: countValues(categoryResults.map(result => String(result.category || 'other').toLowerCase())),
+            tags: countValues([].concat(...tagResults.map(result => (result.tags || []).map(tag => tag.toLowerCase())))),
+            priceBand: countValues(priceResults.map(result => getPriceLabel(result.price || 0)), PRICE_LABELS),
+            depth: countValues(depthResults.map(result => getDepthLabel(result.depth || 0)), DEPTH_LABELS)
+        };
+    }
+
+    return {
+        PRICE_LABELS,
+        DEPTH_LABELS,
+        getPriceLabel,
+        getDepthLabel,
+        parseFilters,
+        applyFilters,
+        computeFacets
+    };
+});
@@ -0,0 +1,369 @@
+/**
+ * Feature Extraction Module
+ *
+ * Computes the eight ranking metrics for live search results from their
+ * title, snippet, URL and domain. Every metric is a pure function of the
+ * input, so identical requests always produce identical rankings.
+ */
+
+/**
+ * Domains with editorial or institutional credibility (reviews/trust metric)
+ */
+const trustedDomains = [
+    'wikipedia.org', 'mozilla.org', 'developer.mozilla.org', 'w3.org', 'python.org',
+    'nodejs.org', 'github.com', 'stackoverflow.com', 'nature.com', 'sciencedirect.com',
+    'springer.com', 'ieee.org', 'acm.org', 'arxiv.org', 'nih.gov', 'coursera.org',
+    'edx.org', 'khanacademy.org', 'bbc.co.uk', 'reuters.com', 'consumerreports.org'
+];
+
+/**
+ * Domains dominated by user-generated or promotional content
+ */
+const lowTrustDomains = [
+    'instagram.com', 'pinterest.com', 'facebook.com', 'tiktok.com', 'quora.com',
+    'twitter.com', 'x.com', 'blogspot.com'
+];
+
+/**
+ * Domains that publish peer-reviewed or citable work (citations metric)
+ */
+const academicDomains = [
+    'arxiv.org', 'scholar.google.com', 'nature.com', 'sciencedirect.com', 'springer.com',
+    'ieee.org', 'acm.org', 'nih.gov', 'researchgate.net', 'jstor.org', 'semanticscholar.org'
+];
+
+/**
+ * Domains where results are usually paid products
+ */
+const shoppingDomains = [
+    'amazon.com', 'ebay.com', 'walmart.com', 'bestbuy.com', 'newegg.com', 'etsy.com',
+    'aliexpress.com', 'flipkart.com', 'myntra.com'
+];
+
+/**
+ * Typical full reading time in minutes per category
+ */
+const categoryReadingTimes = {
+    article: 8,
+    guide: 12,
+    research: 40,
+    course: 30,
+    code: 10,
+    book: 60,
+    product: 3
+};
+
+/**
+ * Currency symbols recognised in snippets, longest first
+ */
+const priceSymbols = [
+    ['HK$', 'HKD'], ['C$', 'CAD'], ['A$', 'AUD'], ['S$', 'SGD'],
+    ['$', 'USD'], ['€', 'EUR'], ['£', 'GBP'], ['₹', 'INR'], ['¥', 'JPY']
+];
+
+const clamp = (value) => Math.max(0, Math.min(1, value));
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Get the bare domain of a URL (without "www.")
+ */
+function getDomain(url) {
+    try {
+        return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+    } catch (error) {
+        return '';
+    }
+}
+
+/**
+ * Check whether a domain is, or is a subdomain of, any listed domain
+ */
+function domainMatches(domain, list) {
+    return list.some(entry => domain === entry || domain.endsWith(`.${entry}`));
+}
+
+/**
+ * Split text into lowercase words
+ */
+function getWords(text) {
+    return (text || '').toLowerCase().match(/[a-z0-9']+/g) || [];
+}
+
+/**
+ * Estimate syllables in a word by counting vowel groups
+ */
+function countSyllables(word) {
+    const groups = word.replace(/e$/, '').match(/[aeiouy]+/g);
+    return Math.max(1, groups ? groups.length : 0);
+}
+
+/**
+ * Infer content category from URL
+ */
+function inferCategory(item) {
+    const url = (item.url || '').toLowerCase();
+
+    if (url.includes('course') || url.includes('udemy') || url.includes('coursera')) return 'course';
+    if (url.includes('book') || url.includes('amazon') || url.includes('goodreads')) return 'book';
+    if (url.includes('paper') || url.includes('arxiv') || url.includes('scholar')) return 'research';
+    if (url.includes('github') || url.includes('documentation')) return 'code';
+    if (url.includes('product') || url.includes('shop')) return 'product';
+    if (url.includes('news') || url.includes('blog')) return 'article';
+
+    return 'article'; // Default
+}
+
+/**
+ * Infer relevant tags from content
+ */
+function inferTags(item) {
+    const content = `${item.title || ''} ${item.snippet || ''}`.toLowerCase();
+    const tags = [];
+
+    // Common tech tags
+    const tagKeywords = {
+        'machine learning': ['machine learning', 'ml', 'ai', 'artificial intelligence'],
+        'python': ['python'],
+        'javascript': ['javascript', 'js', 'nodejs', 'node'],
+        'web development': ['web', 'html', 'css', 'react', 'vue'],
+        'data science': ['data science', 'data analytics', 'analytics'],
+        'tutorial': ['tutorial', 'guide', 'how to', 'learn'],
+        'documentation': ['documentation', 'docs', 'reference'],
+        'example': ['example', 'code sample']
+    };
+
+    for (const [tag, keywords] of Object.entries(tagKeywords)) {
+        if (keywords.some(keyword => content.includes(keyword))) {
+            tags.push(tag);
+        }
+    }
+
+    return tags.length > 0 ? tags : ['general'];
+}
+
+/**
+ * Relevance: share of query terms found in the title (weighted higher) and
+ * snippet, blended with the provider's own rank position
+ */
+function computeRelevance(item, query, position) {
+    const queryTerms = [...new Set(getWords(query))];
+    const titleWords = new Set(getWords(item.title));
+    const snippetWords = new Set(getWords(item.snippet));
+
+    let coverage = 0.5;
+    if (queryTerms.length > 0) {
+        const inTitle = queryTerms.filter(term => titleWords.has(term)).length / queryTerms.length;
+        const inSnippet = queryTerms.filter(term => snippetWords.has(term)).length / queryTerms.length;
+        coverage = (inTitle * 0.6) + (inSnippet * 0.4);
+    }
+
+    const positionPrior = 1 - Math.min(0.5, (position || 0) * 0.05);
+    return clamp(0.4 + (coverage * 0.4) + (positionPrior * 0.2));
+}
+
+/**
+ * Simplicity: Flesch reading ease of the title and snippet, scaled to 0-1
+ * Snippets are dense, so scores from -20 (very hard) to 90 (very easy) are mapped onto 0-1
+ */
+function computeSimplicity(item) {
+    const text = `${item.title || ''}. ${item.snippet || ''}`;
+    const words = getWords(text);
+    if (words.length === 0) {
+        return 0.5;
+    }
+
+    const sentences = Math.max(1, (text.match(/[.!?]+/g) || []).length);
+    const syllables = words.reduce((sum, word) => sum + countSyllables(word), 0);
+    const readingEase = 206.835 - (1.015 * (words.length / sentences)) - (84.6 * (syllables / words.length));
+
+    return clamp((readingEase + 20) / 110);
+}
+
+/**
+ * Find the first price mentioned in a snippet, e.g. "$19.99" or "€20"
+ * @returns {Object|null} - { amount, currency } or null if no price is mentioned
+ */
+function extractPrice(text) {
+    for (const [symbol, currency] of priceSymbols) {
+        const escaped = symbol.replace(/\$/g, '\\$');
+        const match = (text || '').match(new RegExp(`${escaped}\\s?(\\d{1,3}(?:,\\d{3})*(?:\\.\\d{1,2})?|\\d+(?:\\.\\d{1,2})?)`));
+        if (match) {
+            return { amount: parseFloat(match[1].replace(/,/g, '')), currency };
+        }
+    }
+    return null;
+}
+
+/**
+ * Price: 1.0 = free/cheap, 0.0 = expensive
+ * Uses a mentioned price when there is one, otherwise free/shopping signals
+ */
+function computePrice(item, domain, mentionedPrice) {
+    const content = `${item.title || ''} ${item.snippet || ''}`.toLowerCase();
+
+    if (/\b(free|open[- ]source|no cost)\b/.test(content)) {
+        return 0.95;
+    }
+    if (mentionedPrice) {
+        // $0 → 1.0, $10 → ~0.75, $100 → ~0.5, $1000 → ~0.25
+        return clamp(1 - (Math.log10(mentionedPrice.amount + 1) / 4));
+    }
+    if (domainMatches(domain, shoppingDomains) || /\b(buy|price|deal|sale)\b/.test(content)) {
+        return 0.4;
+    }
+    return 0.7;
+}
+
+/**
+ * Reviews/trust: domain reputation plus a small HTTPS bonus
+ */
+function computeReviews(item, domain) {
+    let score = 0.6;
+
+    if (domainMatches(domain, trustedDomains) || /\.(gov|edu)$/.test(domain)) {
+        score = 0.9;
+    } else if (domainMatches(domain, lowTrustDomains)) {
+        score = 0.35;
+    }
+    if ((item.url || '').startsWith('https://')) {
+        score += 0.05;
+    }
+
+    return clamp(score);
+}
+
+/**
+ * Citations: academic domains and scholarly vocabulary in the snippet
+ */
+function computeCitations(item, domain) {
+    const content = `${item.title || ''} ${item.snippet || ''}`.toLowerCase();
+    let score = 0.3;
+
+    if (domainMatches(domain, academicDomains) || /\.edu$/.test(domain)) {
+        score = 0.85;
+    } else if (domain.endsWith('wikipedia.org')) {
+        score = 0.6;
+    }
+
+    const scholarlyTerms = ['study', 'paper', 'journal', 'peer-reviewed', 'et al', 'doi', 'citation', 'research'];
+    const termHits = scholarlyTerms.filter(term => content.includes(term)).length;
+
+    return clamp(score + (termHits * 0.05));
+}
+
+/**
+ * Depth: snippet length plus comprehensive/introductory vocabulary
+ */
+function computeDepth(item, domain) {
+    const content = `${item.title || ''} ${item.snippet || ''}`.toLowerCase();
+    const wordCount = getWords(item.snippet).length;
+    let score = 0.4 + Math.min(0.3, wordCount / 100);
+
+    if (/\b(comprehensive|complete|in-depth|detailed|advanced|reference|handbook)\b/.test(content)) {
+        score += 0.15;
+    }
+    if (/\b(quick|overview|introduction|beginner|basics|summary)\b/.test(content)) {
+        score -= 0.1;
+    }
+    if (domainMatches(domain, academicDomains)) {
+        score += 0.1;
+    }
+
+    return clamp(score);
+}
+
+/**
+ * Recency: age of the publish date, or the latest year mentioned in the text
+ * Same year = 1.0, losing 0.15 per year; unknown dates score 0.5
+ */
+function computeRecency(item, now) {
+    const currentYear = now.getUTCFullYear();
+    let year = null;
+
+    if (item.datePublished) {
+        const published = new Date(item.datePublished);
+        if (!isNaN(published.getTime())) {
+            year = published.getUTCFullYear();
+        }
+    }
+    if (year === null) {
+        const years = (`${item.title || ''} ${item.snippet || ''}`.match(/\b(19|20)\d{2}\b/g) || [])
+            .map(Number)
+            .filter(found => found <= currentYear);
+        if (years.length > 0) {
+            year = Math.max(...years);
+        }
+    }
+
+    if (year === null) {
+        return 0.5;
+    }
+    return clamp(1 - ((currentYear - year) * 0.15));
+}
+
+/**
+ * Reading time in minutes: an explicit "N min read" wins, otherwise the
+ * category's typical length scaled by how much the snippet has to say
+ */
+function computeReadingTime(item, category, depth) {
+    const content = `${item.title || ''} ${item.snippet || ''}`.toLowerCase();
+    const explicit = content.match(/(\d+)\s*(?:-\s*)?min(?:ute)?s?\s+read/);
+    if (explicit) {
+        return parseInt(explicit[1]);
+    }
+
+    const baseMinutes = categoryReadingTimes[category] || categoryReadingTimes.article;
+    return Math.max(1, Math.round(baseMinutes * (0.5 + depth)));
+}
+
+/**
+ * Extract ranking features for a live search result
+ *
+ * @param {Object} item - Raw result
+ *   - title: string
+ *   - url: string
+ *   - snippet: string
+ *   - datePublished: string (optional)
+ * @param {Object} options
+ *   - query: string - The search query (for relevance)
+ *   - position: number - Zero-based rank from the provider (default: 0)
+ *   - now: Date - Reference date for recency (default: current date)
+ * @returns {Object} - category, tags and the eight metrics; priceAmount and
+ *   priceCurrency are included when the snippet mentions a price
+ */
+function extractFeatures(item, options = {}) {
+    const { query = '', position = 0, now = new Date() } = options;
+    const domain = getDomain(item.url);
+    const category = inferCategory(item);
+    const mentionedPrice = extractPrice(`${item.title || ''} ${item.snippet || ''}`);
+    const depth = computeDepth(item, domain);
+
+    const features = {
+        category,
+        tags: inferTags(item),
+        relevance: round2(computeRelevance(item, query, position)),
+        simplicity: round2(computeSimplicity(item)),
+        price: round2(computePrice(item, domain, mentionedPrice)),
+        reviews: round2(computeReviews(item, domain)),
+        citations: round2(computeCitations(item, domain)),
+        depth: round2(depth),
+        recency: round2(computeRecency(item, now)),
+        readingTime: computeReadingTime(item, category, depth)
+    };
+
+    if (mentionedPrice) {
+        features.priceAmount = mentionedPrice.amount;
+        features.priceCurrency = mentionedPrice.currency;
+    }
+
+    return features;
+}
+
+// Exports
+module.exports = {
+    extractFeatures,
+    extractPrice,
+    getDomain,
+    inferCategory,
+    inferTags
+};
@@ -0,0 +1,116 @@
+/**
+ * Feedback Log
+ *
+ * Append-only log of what users saw and clicked, used by weight-trainer.js
+ * to learn per-profile weights. One JSON event per line:
+ *
+ *   {"type":"impression","searchId":"9b1c...","profile":"student","results":[{"id":4,"position":1,"features":{"simplicity":0.8,...}}],"receivedAt":"..."}
+ *   {"type":"click","searchId":"9b1c...","resultId":4,"position":1,"receivedAt":"..."}
+ *   {"type":"dwell","searchId":"9b1c...","resultId":4,"dwellMs":42000,"receivedAt":"..."}
+ *
+ * searchId ties the events of one displayed ranking together; dwell is the
+ * time between a click and the user coming back to the results. Queries are
+ * never stored.
+ *
+ * File: FEEDBACK_LOG_PATH env, or data/feedback.jsonl by default
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createApiError } = require('./api-response');
+const { logger } = require('./logger');
+
+/**
+ * Fields each event type must have (besides type and searchId)
+ */
+const REQUIRED_FIELDS = {
+    impression: ['profile', 'results'],
+    click: ['resultId', 'position'],
+    dwell: ['resultId', 'dwellMs']
+};
+
+/**
+ * Get the path of the feedback log
+ */
+function getFeedbackLogPath() {
+    return process.env.FEEDBACK_LOG_PATH || path.join(__dirname, 'data', 'feedback.jsonl');
+}
+
+/**
+ * Check that every event has the fields its type needs
+ * (types and ranges are checked by request-validator.js)
+ * @param {Array} events - Feedback events
+ * @throws {Error} - INVALID_FEEDBACK listing every missing field
+ */
+function validateEvents(events) {
+    const errors = [];
+
+    events.forEach((event, index) => {
+        REQUIRED_FIELDS[event.type]
+            .filter(field => event[field] === undefined)
+            .forEach(field => errors.push({
+                field: `events[${index}].${field}`,
+                in: 'body',
+                message: `Invalid events[${index}]. A ${event.type} event needs "${field}"`
+            }));
+    });
+
+    if (errors.length > 0) {
+        throw createApiError('INVALID_FEEDBACK', errors.map(error => error.message).join('; '), errors);
+    }
+}
+
+/**
+ * Append events to the log
+ * @param {Array} events - Validated feedback events
+ * @param {Object} context - Fields stamped on every event (e.g. { client })
+ * @returns {number} - Number of events written
+ */
+function appendEvents(events, context = {}) {
+    validateEvents(events);
+
+    const logPath = getFeedbackLogPath();
+    const receivedAt = new Date().toISOString();
+    const lines = events.map(event => JSON.stringify({ ...event, ...context, receivedAt })).join('\n');
+
+    fs.mkdirSync(path.dirname(logPath), { recursive: true });
+    fs.appendFileSync(logPath, `${lines}\n`);
+    return events.length;
+}
+
+/**
+ * Read every event from the log
+ * Lines that do not parse (e.g. a write cut short by a crash) are skipped.
+ * @returns {Array} - Events in the order they were logged
+ */
+function readEvents() {
+    const logPath = getFeedbackLogPath();
+    if (!fs.existsSync(logPath)) {
+        return [];
+    }
+
+    const events = [];
+    let skipped = 0;
+    fs.readFileSync(logPath, 'utf8').split('\n').forEach(line => {
+        if (!line.trim()) {
+            return;
+        }
+        try {
+            events.push(JSON.parse(line));
+        } catch (error) {
+            skipped++;
+        }
+    });
+
+    if (skipped > 0) {
+        logger.warn('Skipped unreadable feedback lines', { path: logPath, skipped });
+    }
+    return events;
+}
+
+// Exports
+module.exports = {
+    getFeedbackLogPath,
+    appendEvents,
+    readEvents
+};
@@ -0,0 +1,139 @@
+/**
+ * Structured Logger
+ *
+ * Writes one JSON object per line, so server.log can be filtered by request,
+ * level or any field:
+ *   {"time":"2026-01-20T10:30:00.000Z","level":"info","msg":"Search request","requestId":"5f0c...","query":"sha256:1a2b3c4d5e6f","profile":"student"}
+ *
+ * Configured by env:
+ *   LOG_LEVEL   - debug, info (default), warn, error or silent
+ *   LOG_QUERIES - How search queries are logged: hash (default; the same query
+ *                 always gives the same hash), redact (length only) or full
+ *
+ * requestContext is Express middleware that gives every request an ID (the
+ * caller's X-Request-Id if it looks safe, otherwise a new UUID), returns it in
+ * the X-Request-Id header, attaches a child logger as req.log and logs each
+ * finished request with its status and duration.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Level names in increasing severity
+ */
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+/**
+ * Accepted incoming request IDs
+ */
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._-]{1,64}$/;
+
+/**
+ * Get the minimum level that is written
+ */
+function getMinLevel() {
+    const name = (process.env.LOG_LEVEL || 'info').toLowerCase();
+    return LEVELS[name] !== undefined ? LEVELS[name] : LEVELS.info;
+}
+
+/**
+ * Make a search query safe to log, according to LOG_QUERIES
+ * @param {string} query - Search query
+ * @returns {string} - The query, its hash ("sha256:<12 hex>") or "[redacted N chars]"
+ */
+function redactQuery(query) {
+    const text = String(query === undefined || query === null ? '' : query);
+    const mode = (process.env.LOG_QUERIES || 'hash').toLowerCase();
+
+    if (mode === 'full') {
+        return text;
+    }
+    if (mode === 'redact') {
+        return `[redacted ${text.length} chars]`;
+    }
+    const normalized = text.trim().toLowerCase().replace(/\s+/g, ' ');
+    return `sha256:${crypto.createHash('sha256').update(normalized).digest('hex').slice(0, 12)}`;
+}
+
+/**
+ * Turn field values into JSON-friendly ones (Errors become { message, code, stack })
+ */
+function serializeFields(fields) {
+    const serialized = {};
+    for (const [key, value] of Object.entries(fields)) {
+        if (value instanceof Error) {
+            serialized[key] = { message: value.message, code: value.code, stack: value.stack };
+        } else if (value !== undefined) {
+            serialized[key] = value;
+        }
+    }
+    return serialized;
+}
+
+/**
+ * Create a logger whose lines all carry the given fields
+ * @param {Object} bindings - Fields added to every line (e.g. { requestId })
+ * @returns {Object} - { debug, info, warn, error, child }, each log method taking (msg, fields)
+ */
+function createLogger(bindings = {}) {
+    const write = level => (msg, fields = {}) => {
+        if (LEVELS[level] < getMinLevel()) {
+            return;
+        }
+        const line = JSON.stringify({
+            time: new Date().toISOString(),
+            level,
+            msg,
+            ...bindings,
+            ...serializeFields(fields)
+        });
+        process.stdout.write(`${line}\n`);
+    };
+
+    return {
+        debug: write('debug'),
+        info: write('info'),
+        warn: write('warn'),
+        error: write('error'),
+        child: extra => createLogger({ ...bindings, ...extra })
+    };
+}
+
+/**
+ * Root logger for code that does not run inside a request
+ */
+const logger = createLogger();
+
+/**
+ * Middleware: request ID, X-Request-Id header, req.log and a line per finished request
+ * Only the path is logged, never the query string (it holds the search query).
+ */
+function requestContext(req, res, next) {
+    const incoming = req.get('X-Request-Id');
+    req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+    req.log = logger.child({ requestId: req.id });
+    res.set('X-Request-Id', req.id);
+
+    const startTime = process.hrtime.bigint();
+    res.on('finish', () => {
+        const durationMs = Number(process.hrtime.bigint() - startTime) / 1e6;
+        const level = res.statusCode >= 500 ? 'error' : (res.statusCode >= 400 ? 'warn' : 'info');
+        req.log[level]('Request completed', {
+            method: req.method,
+            path: req.originalUrl.split('?')[0],
+            status: res.statusCode,
+            durationMs: Math.round(durationMs * 10) / 10,
+            client: req.apiClient
+        });
+    });
+
+    next();
+}
+
+// Exports
+module.exports = {
+    logger,
+    createLogger,
+    redactQuery,
+    requestContext
+};
@@ -0,0 +1,616 @@
+/**
+ * OpenAPI Document
+ *
+ * Describes every /api/v1 route as an OpenAPI 3.0 document. It is served at
+ * /api/v1/openapi.json and is also what request-validator.js checks incoming
+ * requests against, so the docs and the validation cannot drift apart.
+ * Responses are documented in the /api/v1 envelope (see api-response.js).
+ *
+ * The document is rebuilt on each call: profile names (custom profiles come
+ * and go), providers and currencies are read from the modules that own them.
+ */
+
+const rankingEngine = require('./ranking-engine');
+const searchProviders = require('./providers');
+const currency = require('./currency');
+const facets = require('./facets');
+const pagination = require('./pagination');
+const { API_VERSION, ERROR_CODES } = require('./api-response');
+
+const SKILL_LEVELS = ['beginner', 'intermediate', 'advanced'];
+
+/**
+ * Schema shared by the reading time constraint and filters (minutes, up to a day)
+ */
+const MINUTES_SCHEMA = { type: 'integer', minimum: 1, maximum: 1440 };
+
+/**
+ * Build a query parameter
+ */
+function queryParameter(name, schema, description, required = false) {
+    return { name, in: 'query', required, description, schema };
+}
+
+/**
+ * One "<name>Mode" property per constraint that takes a mode
+ */
+function constraintModeProperties() {
+    const properties = {};
+    rankingEngine.CONSTRAINT_NAMES.forEach(name => {
+        properties[`${name}Mode`] = { $ref: '#/components/schemas/ConstraintMode' };
+    });
+    return properties;
+}
+
+/**
+ * Build a JSON request body
+ */
+function jsonBody(schema) {
+    return { required: true, content: { 'application/json': { schema } } };
+}
+
+/**
+ * Build a successful JSON response: `schema` is the envelope's data
+ */
+function jsonResponse(description, schema) {
+    const envelope = {
+        type: 'object',
+        properties: {
+            success: { type: 'boolean', enum: [true] },
+            data: schema,
+            metadata: { $ref: '#/components/schemas/Metadata' }
+        }
+    };
+    return { description, content: { 'application/json': { schema: envelope } } };
+}
+
+/**
+ * Reusable schemas (components.schemas)
+ */
+function buildSchemas() {
+    const profiles = Object.keys(rankingEngine.getProfileWeights());
+    const providers = searchProviders.listProviders().map(provider => provider.name);
+    const currencies = Object.keys(currency.getRateTable().rates);
+
+    const weightOverrides = { type: 'object', additionalProperties: false, properties: {} };
+    const metricValues = { type: 'object', additionalProperties: false, properties: {} };
+    rankingEngine.METRIC_NAMES.forEach(metric => {
+        weightOverrides.properties[metric] = { type: 'number', minimum: -1, maximum: 1 };
+        metricValues.properties[metric] = { type: 'number', minimum: 0, maximum: 1 };
+    });
+
+    return {
+        Profile: {
+            type: 'string',
+            enum: profiles,
+            description: 'Built-in or custom profile name'
+        },
+        Provider: {
+            type: 'string',
+            enum: providers,
+            description: 'Search backend (default: SEARCH_PROVIDER env or bing)'
+        },
+        Currency: {
+            type: 'string',
+            enum: currencies,
+            description: 'Currency code with a known exchange rate'
+        },
+        SkillLevel: {
+            type: 'string',
+            enum: SKILL_LEVELS
+        },
+        ConstraintMode: {
+            type: 'string',
+            enum: rankingEngine.CONSTRAINT_MODES,
+            description: 'prefer (default) only adjusts scores; require also removes results that break the constraint'
+        },
+        Blend: {
+            type: 'number',
+            minimum: 0,
+            maximum: 1,
+            description: `Relevance share of the final score (default: ${rankingEngine.DEFAULT_BLEND})`
+        },
+        DiversityLambda: {
+            type: 'number',
+            minimum: 0,
+            maximum: 1,
+            description: 'Diversification: score share of each pick against similarity to the results above (1 = off)'
+        },
+        Limit: {
+            type: 'integer',
+            minimum: 1,
+            maximum: pagination.MAX_LIMIT,
+            description: `Results per page (default: ${pagination.DEFAULT_LIMIT})`
+        },
+        WeightOverrides: {
+            ...weightOverrides,
+            description: 'Per-metric weights replacing the profile\'s for this request, each -1 to 1'
+        },
+        Constraints: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                budget: { type: 'boolean' },
+                budgetAmount: { type: 'number', minimum: 0, nullable: true },
+                currency: { type: 'string', enum: currencies, nullable: true },
+                readingTime: { ...MINUTES_SCHEMA, nullable: true, description: 'Max reading time in minutes' },
+                skillLevel: { type: 'string', enum: SKILL_LEVELS, nullable: true },
+                ...constraintModeProperties()
+            }
+        },
+        Filters: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                category: { type: 'array', items: { type: 'string' } },
+                tags: { type: 'array', items: { type: 'string' } },
+                minReadingTime: { type: 'number', minimum: 0, maximum: 1440 },
+                maxReadingTime: { type: 'number', minimum: 0, maximum: 1440 },
+                minTrust: { type: 'number', minimum: 0, maximum: 100 },
+                priceBand: { type: 'array', items: { type: 'string', enum: facets.PRICE_LABELS } },
+                depth: { type: 'array', items: { type: 'string', enum: facets.DEPTH_LABELS } }
+            }
+        },
+        CompareVariant: {
+            type: 'object',
+            required: ['profile'],
+            additionalProperties: false,
+            properties: {
+                label: { type: 'string', maxLength: 60 },
+                profile: { $ref: '#/components/schemas/Profile' },
+                constraints: { $ref: '#/components/schemas/Constraints' },
+                weights: { $ref: '#/components/schemas/WeightOverrides' },
+                blend: { $ref: '#/components/schemas/Blend' }
+            }
+        },
+        ProfileInput: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                name: { type: 'string', description: '2-40 characters: letters, digits, spaces, "-" or "_"' },
+                description: { type: 'string' },
+                weights: {
+                    type: 'object',
+                    additionalProperties: { type: 'number' },
+                    description: 'Ranking metric → weight (-1 to 1); absolute weights must sum to 1 (± 0.1)'
+                },
+                diversityLambda: { $ref: '#/components/schemas/DiversityLambda' }
+            }
+        },
+        FeedbackEvent: {
+            type: 'object',
+            required: ['type', 'searchId'],
+            additionalProperties: false,
+            description: 'impression needs profile and results; click needs resultId and position; dwell needs resultId and dwellMs',
+            properties: {
+                type: { type: 'string', enum: ['impression', 'click', 'dwell'] },
+                searchId: { type: 'string', minLength: 1, maxLength: 100, description: 'Ties the events of one displayed ranking together' },
+                profile: { $ref: '#/components/schemas/Profile' },
+                resultId: { type: 'integer' },
+                position: { type: 'integer', minimum: 1 },
+                dwellMs: { type: 'integer', minimum: 0, maximum: 86400000, description: 'Time from the click until the user came back' },
+                experiment: { type: 'string', maxLength: 64, description: 'metadata.experiment of the search shown' },
+                variant: { type: 'string', maxLength: 64, description: 'metadata.variant of the search shown' },
+                results: {
+                    type: 'array',
+                    maxItems: 50,
+                    description: 'Results as shown, with their ranking metric values',
+                    items: {
+                        type: 'object',
+                        required: ['id', 'position'],
+                        additionalProperties: false,
+                        properties: {
+                            id: { type: 'integer' },
+                            position: { type: 'integer', minimum: 1 },
+                            features: { ...metricValues, description: 'Ranking metric → value, each 0 to 1' },
+                            team: { type: 'string', maxLength: 64, description: 'Interleaved searches: the variant from metadata.teams' }
+                        }
+                    }
+                }
+            }
+        },
+        Result: {
+            type: 'object',
+            description: 'Ranked result with score, scoreBreakdown and explanations',
+            properties: {
+                id: { type: 'integer' },
+                title: { type: 'string' },
+                url: { type: 'string' },
+                summary: { type: 'string' },
+                category: { type: 'string' },
+                score: { type: 'number' },
+                scoreBreakdown: { type: 'object' },
+                explanations: { type: 'array', items: { type: 'string' } }
+            }
+        },
+        SearchResponse: {
+            type: 'object',
+            properties: {
+                query: { type: 'string' },
+                profile: { type: 'string' },
+                weights: { type: 'object', additionalProperties: { type: 'number' }, nullable: true, description: 'null when interleaved' },
+                blend: { type: 'number', nullable: true, description: 'null when interleaved' },
+                diversityLambda: { type: 'number', nullable: true, description: 'null when not diversified or interleaved' },
+                totalResults: { type: 'integer' },
+                results: { type: 'array', items: { $ref: '#/components/schemas/Result' } },
+                filters: { type: 'object' },
+                facets: { type: 'object' }
+            }
+        },
+        Metadata: {
+            type: 'object',
+            description: 'Routes may add fields (apiSource, cache, limit, offset, nextCursor, excluded, experiment, variant, teams)',
+            properties: {
+                apiVersion: { type: 'string', enum: [API_VERSION] },
+                timestamp: { type: 'string', format: 'date-time' },
+                responseTime: { type: 'integer', description: 'Milliseconds' },
+                cache: {
+                    type: 'string',
+                    enum: ['hit', 'miss'],
+                    description: 'Search routes: whether the provider results came from the result cache'
+                },
+                excluded: {
+                    type: 'object',
+                    description: 'Search routes with a required constraint: results it removed',
+                    properties: {
+                        total: { type: 'integer' },
+                        byConstraint: { type: 'object', additionalProperties: { type: 'integer' } },
+                        results: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    id: { type: 'integer' },
+                                    title: { type: 'string' },
+                                    reasons: { type: 'object', additionalProperties: { type: 'string' }, description: 'Constraint → why the result breaks it' }
+                                }
+                            }
+                        }
+                    }
+                },
+                experiment: { type: 'string', description: 'Search routes: id of the running ranking experiment' },
+                variant: { type: 'string', description: 'Search routes: the variant that ranked the results, or "interleaved"' },
+                teams: {
+                    type: 'object',
+                    additionalProperties: { type: 'string' },
+                    description: 'Interleaved searches: result id → variant that contributed it'
+                }
+            }
+        },
+        Error: {
+            type: 'object',
+            properties: {
+                success: { type: 'boolean', enum: [false] },
+                error: {
+                    type: 'object',
+                    properties: {
+                        code: { type: 'string', enum: Object.keys(ERROR_CODES) },
+                        message: { type: 'string' },
+                        details: {
+                            type: 'array',
+                            description: 'One entry per invalid field',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    field: { type: 'string' },
+                                    in: { type: 'string', enum: ['query', 'path', 'body'] },
+                                    message: { type: 'string' }
+                                }
+                            }
+                        }
+                    }
+                },
+                metadata: { $ref: '#/components/schemas/Metadata' }
+            }
+        }
+    };
+}
+
+/**
+ * Query parameters of GET /api/search
+ */
+function searchQueryParameters() {
+    const ref = name => ({ $ref: `#/components/schemas/${name}` });
+
+    return [
+        queryParameter('q', { type: 'string', minLength: 1 }, 'Search query', true),
+        queryParameter('profile', ref('Profile'), 'User profile (default: casual)'),
+        queryParameter('provider', ref('Provider'), 'Search backend'),
+        queryParameter('budget', { type: 'boolean' }, 'Apply the budget constraint'),
+        queryParameter('budgetAmount', { type: 'number', minimum: 0 }, 'Budget amount in `currency`'),
+        queryParameter('currency', ref('Currency'), 'Budget currency (default: USD)'),
+        queryParameter('readingTime', MINUTES_SCHEMA, 'Max reading time in minutes'),
+        queryParameter('skillLevel', ref('SkillLevel'), 'Skill level'),
+        ...rankingEngine.CONSTRAINT_NAMES.map(name => (
+            queryParameter(`${name}Mode`, ref('ConstraintMode'), `prefer or require the ${name} constraint`)
+        )),
+        queryParameter('diversify', { type: 'boolean' }, 'Spread out near-duplicates with the profile\'s diversity lambda'),
+        queryParameter('diversityLambda', ref('DiversityLambda'), 'Diversify with this lambda instead'),
+        queryParameter('limit', ref('Limit'), 'Results per page'),
+        queryParameter('offset', { type: 'integer', minimum: 0 }, 'Ranked results to skip'),
+        queryParameter('cursor', { type: 'string' }, 'metadata.nextCursor of the previous page; replaces offset'),
+        queryParameter('category', { type: 'string' }, 'Comma-separated categories to keep'),
+        queryParameter('tags', { type: 'string' }, 'Comma-separated tags (a result needs one of them)'),
+        queryParameter('minReadingTime', { type: 'number', minimum: 0, maximum: 1440 }, 'Minimum reading time in minutes'),
+        queryParameter('maxReadingTime', { type: 'number', minimum: 0, maximum: 1440 }, 'Maximum reading time in minutes'),
+        queryParameter('minTrust', { type: 'number', minimum: 0, maximum: 100 }, 'Minimum trust, 0-100'),
+        queryParameter('priceBand', { type: 'string' }, `Comma-separated price bands: ${facets.PRICE_LABELS.join(', ')}`),
+        queryParameter('depth', { type: 'string' }, `Comma-separated depth levels: ${facets.DEPTH_LABELS.join(', ')}`)
+    ];
+}
+
+/**
+ * Build the OpenAPI document
+ * @returns {Object} - OpenAPI 3.0 document
+ */
+function buildOpenApiDocument() {
+    const ref = name => ({ $ref: `#/components/schemas/${name}` });
+    const errorResponse = description => jsonResponse(description, ref('Error'));
+    const nameParameter = { name: 'name', in: 'path', required: true, schema: { type: 'string' } };
+
+    return {
+        openapi: '3.0.3',
+        info: {
+            title: 'Decision-Aware Search API',
+            version: '1.0.0',
+            description: 'Search results ranked for a user profile and optional constraints'
+        },
+        servers: [
+            { url: `/api/${API_VERSION}` },
+            { url: '/api', description: 'Unversioned aliases (flat response shape)' }
+        ],
+        // Keys are only required when the server has some configured (see access-control.js)
+        security: [{ ApiKeyHeader: [] }, { BearerKey: [] }, {}],
+        paths: {
+            '/health': {
+                get: {
+                    operationId: 'getHealth',
+                    summary: 'Health check',
+                    security: [],
+                    responses: { 200: jsonResponse('Service is up', { type: 'object' }) }
+                }
+            },
+            '/openapi.json': {
+                get: {
+                    operationId: 'getOpenApiDocument',
+                    summary: 'This document (served without the envelope)',
+                    security: [],
+                    responses: {
+                        200: { description: 'OpenAPI document', content: { 'application/json': { schema: { type: 'object' } } } }
+                    }
+                }
+            },
+            '/search': {
+                get: {
+                    operationId: 'searchGet',
+                    summary: 'Search with query parameters',
+                    parameters: searchQueryParameters(),
+                    responses: {
+                        200: jsonResponse('One page of ranked results', ref('SearchResponse')),
+                        400: errorResponse('Invalid parameters')
+                    }
+                },
+                post: {
+                    operationId: 'searchPost',
+                    summary: 'Search with a request body (weights and blend overrides)',
+                    requestBody: jsonBody({
+                        type: 'object',
+                        required: ['query'],
+                        additionalProperties: false,
+                        properties: {
+                            query: { type: 'string', minLength: 1 },
+                            profile: ref('Profile'),
+                            provider: ref('Provider'),
+                            constraints: ref('Constraints'),
+                            weights: ref('WeightOverrides'),
+                            blend: ref('Blend'),
+                            diversify: { type: 'boolean' },
+                            diversityLambda: ref('DiversityLambda'),
+                            filters: ref('Filters'),
+                            limit: ref('Limit'),
+                            offset: { type: 'integer', minimum: 0 },
+                            cursor: { type: 'string' }
+                        }
+                    }),
+                    responses: {
+                        200: jsonResponse('One page of ranked results', ref('SearchResponse')),
+                        400: errorResponse('Invalid request body')
+                    }
+                }
+            },
+            '/compare': {
+                post: {
+                    operationId: 'compare',
+                    summary: 'Rank one query for 2-6 profiles or variants',
+                    description: 'Give either `profiles` (sharing `constraints`) or `variants`.',
+                    requestBody: jsonBody({
+                        type: 'object',
+                        required: ['query'],
+                        additionalProperties: false,
+                        properties: {
+                            query: { type: 'string', minLength: 1 },
+                            provider: ref('Provider'),
+                            profiles: { type: 'array', items: ref('Profile') },
+                            constraints: ref('Constraints'),
+                            variants: { type: 'array', items: ref('CompareVariant') },
+                            limit: ref('Limit')
+                        }
+                    }),
+                    responses: {
+                        200: jsonResponse('Rankings per variant with Kendall tau and rank moves', { type: 'object' }),
+                        400: errorResponse('Invalid request body')
+                    }
+                }
+            },
+            '/profiles': {
+                get: {
+                    operationId: 'listProfiles',
+                    summary: 'Built-in and custom profiles',
+                    responses: { 200: jsonResponse('Profiles by name', { type: 'object' }) }
+                },
+                post: {
+                    operationId: 'createProfile',
+                    summary: 'Create a custom profile',
+                    requestBody: jsonBody(ref('ProfileInput')),
+                    responses: {
+                        201: jsonResponse('Created profile', { type: 'object' }),
+                        400: errorResponse('Invalid profile'),
+                        409: errorResponse('Profile already exists')
+                    }
+                }
+            },
+            '/profiles/{name}': {
+                get: {
+                    operationId: 'getProfile',
+                    summary: 'One profile',
+                    parameters: [nameParameter],
+                    responses: {
+                        200: jsonResponse('Profile', { type: 'object' }),
+                        404: errorResponse('Profile not found')
+                    }
+                },
+                put: {
+                    operationId: 'updateProfile',
+                    summary: 'Update a custom profile\'s description, weights and/or diversity lambda',
+                    parameters: [nameParameter],
+                    requestBody: jsonBody(ref('ProfileInput')),
+                    responses: {
+                        200: jsonResponse('Updated profile', { type: 'object' }),
+                        400: errorResponse('Invalid profile'),
+                        403: errorResponse('Built-in profiles cannot be modified'),
+                        404: errorResponse('Profile not found')
+                    }
+                },
+                delete: {
+                    operationId: 'deleteProfile',
+                    summary: 'Delete a custom profile',
+                    parameters: [nameParameter],
+                    responses: {
+                        200: jsonResponse('Deleted', { type: 'object' }),
+                        403: errorResponse('Built-in profiles cannot be deleted'),
+                        404: errorResponse('Profile not found')
+                    }
+                }
+            },
+            '/metrics': {
+                get: {
+                    operationId: 'listMetrics',
+                    summary: 'Ranking metrics',
+                    responses: { 200: jsonResponse('Metrics', { type: 'object' }) }
+                }
+            },
+            '/providers': {
+                get: {
+                    operationId: 'listProviders',
+                    summary: 'Search providers',
+                    responses: { 200: jsonResponse('Providers', { type: 'object' }) }
+                }
+            },
+            '/feedback': {
+                post: {
+                    operationId: 'submitFeedback',
+                    summary: 'Log impressions, clicks and dwell times for weight training',
+                    requestBody: jsonBody({
+                        type: 'object',
+                        required: ['events'],
+                        additionalProperties: false,
+                        properties: {
+                            events: { type: 'array', minItems: 1, maxItems: 100, items: ref('FeedbackEvent') }
+                        }
+                    }),
+                    responses: {
+                        202: jsonResponse('Events logged', { type: 'object' }),
+                        400: errorResponse('Invalid events')
+                    }
+                }
+            },
+            '/weights/learned': {
+                get: {
+                    operationId: 'previewLearnedWeights',
+                    summary: 'Learned weights from the last training run, compared with live weights',
+                    responses: {
+                        200: jsonResponse('Candidate weights per profile', { type: 'object' }),
+                        403: errorResponse('Admin key required'),
+                        404: errorResponse('The trainer has not run yet')
+                    }
+                }
+            },
+            '/weights/learned/promote': {
+                post: {
+                    operationId: 'promoteLearnedWeights',
+                    summary: 'Use learned weights in live rankings',
+                    requestBody: jsonBody({
+                        type: 'object',
+                        additionalProperties: false,
+                        properties: {
+                            profiles: { type: 'array', items: ref('Profile'), description: 'Default: every profile in the candidate' }
+                        }
+                    }),
+                    responses: {
+                        200: jsonResponse('Promoted weights', { type: 'object' }),
+                        400: errorResponse('No learned weights for a profile'),
+                        403: errorResponse('Admin key required'),
+                        404: errorResponse('The trainer has not run yet')
+                    }
+                }
+            },
+            '/experiments': {
+                get: {
+                    operationId: 'listExperiments',
+                    summary: 'Ranking experiments with per-variant click-through stats',
+                    description: 'Searches are bucketed by the X-Session-Id header (else the client IP).',
+                    responses: {
+                        200: jsonResponse('Experiments and the running one', { type: 'object' }),
+                        403: errorResponse('Admin key required')
+                    }
+                }
+            },
+            '/weights/promoted': {
+                delete: {
+                    operationId: 'resetPromotedWeights',
+                    summary: 'Go back to hand-tuned weights',
+                    parameters: [
+                        queryParameter('profiles', { type: 'string' }, 'Comma-separated profiles to reset (default: all)')
+                    ],
+                    responses: {
+                        200: jsonResponse('Promoted weights', { type: 'object' }),
+                        403: errorResponse('Admin key required')
+                    }
+                }
+            }
+        },
+        components: {
+            schemas: buildSchemas(),
+            securitySchemes: {
+                ApiKeyHeader: {
+                    type: 'apiKey',
+                    in: 'header',
+                    name: 'X-API-Key',
+                    description: 'Rejected with 401 API_KEY_REQUIRED / INVALID_API_KEY; over the rate limit gives 429 RATE_LIMITED with Retry-After'
+                },
+                BearerKey: { type: 'http', scheme: 'bearer', description: 'The same API key as a bearer token' }
+            }
+        }
+    };
+}
+
+/**
+ * Find an operation by its operationId
+ * @returns {Object|null} - The operation object
+ */
+function findOperation(document, operationId) {
+    for (const pathItem of Object.values(document.paths)) {
+        for (const operation of Object.values(pathItem)) {
+            if (operation.operationId === operationId) {
+                return operation;
+            }
+        }
+    }
+    return null;
+}
+
+// Exports
+module.exports = {
+    buildOpenApiDocument,
+    findOperation
+};
@@ -0,0 +1,137 @@
+/**
+ * Pagination Module
+ *
+ * Slices ranked results into pages for /api/search. A page is addressed with
+ * limit + offset, or with the opaque cursor returned as metadata.nextCursor.
+ *
+ * A cursor only works for the search that produced it (same query, profile,
+ * constraints, weights, blend, diversification and filters), so following it
+ * never skips or repeats results because the ranking changed underneath.
+ */
+
+const crypto = require('crypto');
+const { createApiError } = require('./api-response');
+
+/**
+ * Page size when no limit is given, and the largest page a client may ask for
+ */
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 50;
+
+/**
+ * Parse a non-negative integer from a query string value or JSON number
+ * @returns {number|null} - The integer, or null if the value is not one
+ */
+function parseInteger(value) {
+    if (typeof value === 'number') {
+        return Number.isInteger(value) && value >= 0 ? value : null;
+    }
+    if (typeof value === 'string' && /^\d+$/.test(value.trim())) {
+        return parseInt(value, 10);
+    }
+    return null;
+}
+
+/**
+ * Short hash of everything that decides the ranking order of a search
+ * @param {Object} search - { query, profile, constraints, weights, blend, diversify, diversityLambda, filters }
+ */
+function fingerprintSearch(search) {
+    const key = JSON.stringify([
+        search.query,
+        search.profile,
+        search.constraints || {},
+        search.weights || null,
+        search.blend === undefined ? null : search.blend,
+        search.diversify === true,
+        search.diversityLambda === undefined ? null : search.diversityLambda,
+        search.filters || {}
+    ]);
+    return crypto.createHash('sha1').update(key).digest('base64url').slice(0, 12);
+}
+
+/**
+ * Encode the offset of the next page as an opaque cursor
+ */
+function encodeCursor(offset, search) {
+    const payload = JSON.stringify({ offset, search: fingerprintSearch(search) });
+    return Buffer.from(payload).toString('base64url');
+}
+
+/**
+ * Decode a cursor back to an offset
+ * @throws {Error} - INVALID_CURSOR if the cursor is malformed or belongs to another search
+ */
+function decodeCursor(cursor, search) {
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    } catch (error) {
+        throw createApiError('INVALID_CURSOR', 'Invalid cursor');
+    }
+
+    if (!payload || parseInteger(payload.offset) === null) {
+        throw createApiError('INVALID_CURSOR', 'Invalid cursor');
+    }
+    if (payload.search !== fingerprintSearch(search)) {
+        throw createApiError('INVALID_CURSOR', 'Invalid cursor. It belongs to a different search');
+    }
+    return payload.offset;
+}
+
+/**
+ * Read limit, offset and cursor from request parameters
+ * A cursor, when given, takes the place of offset.
+ * @param {Object} params - { limit, offset, cursor } from the query string or request body
+ * @param {Object} search - { query, profile, constraints, weights, blend, diversify, diversityLambda, filters } of this request
+ * @returns {Object} - { limit, offset }
+ * @throws {Error} - INVALID_LIMIT, INVALID_OFFSET or INVALID_CURSOR (see api-response.js)
+ */
+function parsePagination(params = {}, search) {
+    let limit = DEFAULT_LIMIT;
+    if (params.limit !== undefined && params.limit !== '') {
+        limit = parseInteger(params.limit);
+        if (limit === null || limit < 1 || limit > MAX_LIMIT) {
+            throw createApiError('INVALID_LIMIT', `Invalid limit. Must be an integer between 1 and ${MAX_LIMIT}`);
+        }
+    }
+
+    if (params.cursor) {
+        return { limit, offset: decodeCursor(params.cursor, search) };
+    }
+
+    let offset = 0;
+    if (params.offset !== undefined && params.offset !== '') {
+        offset = parseInteger(params.offset);
+        if (offset === null) {
+            throw createApiError('INVALID_OFFSET', 'Invalid offset. Must be a non-negative integer');
+        }
+    }
+
+    return { limit, offset };
+}
+
+/**
+ * Cut one page out of the ranked results
+ * @param {Array} results - All ranked results
+ * @param {Object} pagination - { limit, offset } from parsePagination()
+ * @param {Object} search - Same search object given to parsePagination()
+ * @returns {Object} - { results, nextCursor } (nextCursor is null on the last page)
+ */
+function paginate(results, pagination, search) {
+    const { limit, offset } = pagination;
+    const nextOffset = offset + limit;
+
+    return {
+        results: results.slice(offset, nextOffset),
+        nextCursor: nextOffset < results.length ? encodeCursor(nextOffset, search) : null
+    };
+}
+
+// Exports
+module.exports = {
+    DEFAULT_LIMIT,
+    MAX_LIMIT,
+    parsePagination,
+    paginate
+};
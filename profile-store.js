@@ -0,0 +1,316 @@
+/**
+ * Custom Profile Store
+ *
+ * Persists user-defined profiles (name, description, metric weights) in a
+ * local JSON file and keeps the ranking engine's custom profiles in sync.
+ *
+ * File: PROFILES_PATH env, or data/custom-profiles.json by default
+ *   {
+ *     "profiles": {
+ *       "budget-conscious researcher": {
+ *         "description": "...",
+ *         "weights": { "citations": 0.3, "price": 0.3, ... },
+ *         "diversityLambda": 0.6,     (optional, see ranking-engine.js diversifyResults)
+ *         "createdAt": "...",
+ *         "updatedAt": "..."
+ *       }
+ *     }
+ *   }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const rankingEngine = require('./ranking-engine');
+const { createApiError } = require('./api-response');
+const { logger } = require('./logger');
+
+/**
+ * Absolute weights must add up to 1 within this tolerance
+ * (the built-in profiles range from 1.0 to 1.1)
+ */
+const WEIGHT_SUM_TOLERANCE = 0.1;
+
+/**
+ * Allowed profile name: letters, digits, spaces, "-" and "_", 2-40 characters
+ */
+const PROFILE_NAME_PATTERN = /^[a-z0-9][a-z0-9 _-]{1,39}$/;
+
+// Cache for loaded custom profiles
+let customProfiles = null;
+
+/**
+ * Get the path of the profiles file
+ */
+function getProfilesPath() {
+    return process.env.PROFILES_PATH || path.join(__dirname, 'data', 'custom-profiles.json');
+}
+
+/**
+ * Map of profile name → profile without a prototype, so names such as
+ * "constructor" never resolve to Object.prototype members
+ */
+function createProfileMap(profiles = {}) {
+    return Object.assign(Object.create(null), profiles);
+}
+
+/**
+ * Load custom profiles from disk
+ */
+function loadProfiles() {
+    const profilesPath = getProfilesPath();
+
+    try {
+        if (fs.existsSync(profilesPath)) {
+            const data = fs.readFileSync(profilesPath, 'utf8');
+            customProfiles = createProfileMap(JSON.parse(data).profiles);
+            logger.info('Loaded custom profiles', { count: Object.keys(customProfiles).length });
+        } else {
+            customProfiles = createProfileMap();
+        }
+    } catch (error) {
+        logger.error('Could not load custom profiles', { path: profilesPath, error });
+        customProfiles = createProfileMap();
+    }
+
+    syncRankingEngine();
+    return customProfiles;
+}
+
+/**
+ * Write custom profiles to disk (via a temp file so a crash never leaves half a file)
+ */
+function saveProfiles() {
+    const profilesPath = getProfilesPath();
+    const tempPath = `${profilesPath}.tmp`;
+
+    fs.mkdirSync(path.dirname(profilesPath), { recursive: true });
+    fs.writeFileSync(tempPath, JSON.stringify({ profiles: customProfiles }, null, 2));
+    fs.renameSync(tempPath, profilesPath);
+}
+
+/**
+ * Push the current custom weights into the ranking engine
+ */
+function syncRankingEngine() {
+    const weightsByName = {};
+    const lambdasByName = {};
+    for (const [name, profile] of Object.entries(customProfiles)) {
+        weightsByName[name] = profile.weights;
+        if (typeof profile.diversityLambda === 'number') {
+            lambdasByName[name] = profile.diversityLambda;
+        }
+    }
+    rankingEngine.setCustomProfiles(weightsByName, lambdasByName);
+}
+
+/**
+ * Get custom profiles, loading them on first use
+ */
+function getCustomProfiles() {
+    return customProfiles || loadProfiles();
+}
+
+/**
+ * Normalize a profile name (trimmed, lowercase)
+ */
+function normalizeName(name) {
+    return typeof name === 'string' ? name.trim().toLowerCase() : '';
+}
+
+/**
+ * Build one field-level error detail (same shape as request-validator.js)
+ */
+function fieldError(field, message) {
+    return { field, in: 'body', message: `Invalid ${field}. ${message}` };
+}
+
+/**
+ * Validate metric weights
+ * Only the eight ranking metrics are allowed, each between -1 and 1, and the
+ * absolute weights must sum to 1 (± 0.1). Unlisted metrics default to 0.
+ * @param {Object} weights - Metric → weight
+ * @returns {Array} - List of { field, in, message } errors (empty if valid)
+ */
+function validateWeights(weights) {
+    const errors = [];
+
+    if (!weights || typeof weights !== 'object' || Array.isArray(weights)) {
+        return [fieldError('weights', 'Must be an object of metric → number')];
+    }
+
+    let absoluteSum = 0;
+    for (const [metric, weight] of Object.entries(weights)) {
+        if (!rankingEngine.METRIC_NAMES.includes(metric)) {
+            errors.push(fieldError(`weights.${metric}`, `Not a ranking metric (allowed: ${rankingEngine.METRIC_NAMES.join(', ')})`));
+            continue;
+        }
+        if (typeof weight !== 'number' || !isFinite(weight) || weight < -1 || weight > 1) {
+            errors.push(fieldError(`weights.${metric}`, 'Must be a number between -1 and 1'));
+            continue;
+        }
+        absoluteSum += Math.abs(weight);
+    }
+
+    if (errors.length === 0 && Math.abs(absoluteSum - 1) > WEIGHT_SUM_TOLERANCE + 1e-9) {
+        errors.push(fieldError('weights', `Absolute weights must sum to 1 (± ${WEIGHT_SUM_TOLERANCE}), got ${Math.round(absoluteSum * 1000) / 1000}`));
+    }
+
+    return errors;
+}
+
+/**
+ * Validate an optional diversification lambda
+ * @returns {Array} - List of { field, in, message } errors (empty if valid)
+ */
+function validateDiversityLambda(diversityLambda) {
+    if (diversityLambda === undefined) {
+        return [];
+    }
+    if (typeof diversityLambda !== 'number' || !isFinite(diversityLambda) || diversityLambda < 0 || diversityLambda > 1) {
+        return [fieldError('diversityLambda', 'Must be a number between 0 and 1')];
+    }
+    return [];
+}
+
+/**
+ * Fill in every metric (missing ones become 0)
+ */
+function completeWeights(weights) {
+    const complete = {};
+    for (const metric of rankingEngine.METRIC_NAMES) {
+        complete[metric] = weights[metric] || 0;
+    }
+    return complete;
+}
+
+/**
+ * List custom profiles
+ */
+function listProfiles() {
+    return getCustomProfiles();
+}
+
+/**
+ * Get a custom profile by name
+ * @returns {Object|null}
+ */
+function getProfile(name) {
+    return getCustomProfiles()[normalizeName(name)] || null;
+}
+
+/**
+ * Create a custom profile
+ * @param {Object} input - { name, description, weights, diversityLambda }
+ * @returns {Object} - { name, ...profile }
+ */
+function createProfile(input = {}) {
+    const profiles = getCustomProfiles();
+    const name = normalizeName(input.name);
+    const errors = [];
+
+    if (!PROFILE_NAME_PATTERN.test(name)) {
+        errors.push(fieldError('name', 'Must be 2-40 characters: letters, digits, spaces, "-" or "_"'));
+    }
+    if (input.description !== undefined && typeof input.description !== 'string') {
+        errors.push(fieldError('description', 'Must be a string'));
+    }
+    errors.push(...validateWeights(input.weights));
+    errors.push(...validateDiversityLambda(input.diversityLambda));
+
+    if (errors.length > 0) {
+        throw createApiError('INVALID_PROFILE_DEFINITION', 'Invalid profile', errors);
+    }
+    if (rankingEngine.isBuiltInProfile(name) || profiles[name]) {
+        throw createApiError('PROFILE_EXISTS', `Profile "${name}" already exists`);
+    }
+
+    const now = new Date().toISOString();
+    profiles[name] = {
+        description: input.description || '',
+        weights: completeWeights(input.weights),
+        ...(input.diversityLambda !== undefined ? { diversityLambda: input.diversityLambda } : {}),
+        createdAt: now,
+        updatedAt: now
+    };
+
+    saveProfiles();
+    syncRankingEngine();
+    return { name, ...profiles[name] };
+}
+
+/**
+ * Update a custom profile's description, weights and/or diversification lambda
+ * @param {string} name - Profile name
+ * @param {Object} updates - { description, weights, diversityLambda }
+ * @returns {Object} - { name, ...profile }
+ */
+function updateProfile(name, updates = {}) {
+    const profiles = getCustomProfiles();
+    const key = normalizeName(name);
+
+    if (rankingEngine.isBuiltInProfile(key)) {
+        throw createApiError('PROFILE_READ_ONLY', `Built-in profile "${key}" cannot be modified`);
+    }
+    if (!profiles[key]) {
+        throw createApiError('PROFILE_NOT_FOUND', `Profile "${key}" not found`);
+    }
+
+    const errors = [];
+    if (updates.description !== undefined && typeof updates.description !== 'string') {
+        errors.push(fieldError('description', 'Must be a string'));
+    }
+    if (updates.weights !== undefined) {
+        errors.push(...validateWeights(updates.weights));
+    }
+    errors.push(...validateDiversityLambda(updates.diversityLambda));
+    if (errors.length > 0) {
+        throw createApiError('INVALID_PROFILE_DEFINITION', 'Invalid profile', errors);
+    }
+
+    const profile = profiles[key];
+    if (updates.description !== undefined) {
+        profile.description = updates.description;
+    }
+    if (updates.weights !== undefined) {
+        profile.weights = completeWeights(updates.weights);
+    }
+    if (updates.diversityLambda !== undefined) {
+        profile.diversityLambda = updates.diversityLambda;
+    }
+    profile.updatedAt = new Date().toISOString();
+
+    saveProfiles();
+    syncRankingEngine();
+    return { name: key, ...profile };
+}
+
+/**
+ * Delete a custom profile
+ * @param {string} name - Profile name
+ */
+function deleteProfile(name) {
+    const profiles = getCustomProfiles();
+    const key = normalizeName(name);
+
+    if (rankingEngine.isBuiltInProfile(key)) {
+        throw createApiError('PROFILE_READ_ONLY', `Built-in profile "${key}" cannot be deleted`);
+    }
+    if (!profiles[key]) {
+        throw createApiError('PROFILE_NOT_FOUND', `Profile "${key}" not found`);
+    }
+
+    delete profiles[key];
+    saveProfiles();
+    syncRankingEngine();
+}
+
+// Exports
+module.exports = {
+    loadProfiles,
+    listProfiles,
+    getProfile,
+    createProfile,
+    updateProfile,
+    deleteProfile,
+    validateWeights
+};
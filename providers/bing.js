@@ -0,0 +1,69 @@
+/**
+ * Bing Search Provider
+ *
+ * Calls the Bing Web Search API using native fetch.
+ * Requires BING_ENDPOINT and BING_API_KEY in the environment.
+ */
+
+const { logger, redactQuery } = require('../logger');
+
+/**
+ * Search Bing and return raw results
+ * Metrics are filled in by the registry's feature extraction.
+ * @param {string} query - Search query
+ * @param {Object} opts - { maxResults (default 5), log (request logger) }
+ * @returns {Promise<Array>} - Array of search results
+ */
+async function search(query, opts = {}) {
+    const maxResults = opts.maxResults || 5;
+    const log = opts.log || logger;
+    const startTime = Date.now();
+
+    try {
+        const endpoint = process.env.BING_ENDPOINT;
+        const apiKey = process.env.BING_API_KEY;
+
+        if (!endpoint || !apiKey) {
+            log.warn('Bing credentials not configured', { provider: 'bing' });
+            throw new Error('Bing API credentials not configured');
+        }
+
+        const url = `${endpoint}?q=${encodeURIComponent(query)}&count=${maxResults}`;
+        const response = await fetch(url, {
+            headers: {
+                'Ocp-Apim-Subscription-Key': apiKey
+            }
+        });
+
+        if (!response.ok) {
+            throw new Error(`Bing API returned ${response.status}: ${response.statusText}`);
+        }
+
+        const data = await response.json();
+        log.info('Bing search completed', {
+            provider: 'bing',
+            query: redactQuery(query),
+            results: data.webPages?.value?.length || 0,
+            durationMs: Date.now() - startTime
+        });
+
+        // Transform Bing results to our standardized format
+        return (data.webPages?.value || []).map((item, index) => ({
+            id: index + 1,
+            title: item.name,
+            url: item.url,
+            summary: item.snippet,
+            datePublished: item.datePublished
+        }));
+
+    } catch (error) {
+        log.error('Bing search failed', { provider: 'bing', error: error.message, durationMs: Date.now() - startTime });
+        throw error;
+    }
+}
+
+module.exports = {
+    name: 'bing',
+    description: 'Bing Web Search API (live results)',
+    search
+};
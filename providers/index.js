@@ -0,0 +1,197 @@
+/**
+ * Search Provider Registry
+ *
+ * Every search backend is an adapter with the same interface:
+ *
+ *   {
+ *     name: 'bing',
+ *     description: 'Bing Web Search API',
+ *     search: async (query, opts) => [ ...raw results ]
+ *   }
+ *
+ * Raw results are normalized here to the shape ranking-engine.js expects,
+ * so route handlers never need to know which backend answered.
+ *
+ * Raw results are cached per provider and normalized query (result-cache.js),
+ * configured by env:
+ *   SEARCH_CACHE_SIZE - Max cached queries (default 200; 0 turns the cache off)
+ *   SEARCH_CACHE_TTL  - Seconds a cached result stays fresh (default 600)
+ *   SEARCH_CACHE_FILE - Optional JSON file that keeps the cache across restarts
+ * Adapters that are free to call (mock) set `cacheable: false`.
+ */
+
+const featureExtractor = require('../feature-extractor');
+const { METRIC_NAMES } = require('../ranking-engine');
+const resultCache = require('../result-cache');
+const { logger } = require('../logger');
+
+// Fallback provider used when the selected one fails or returns nothing
+const FALLBACK_PROVIDER = 'mock';
+
+// Registered adapters by name
+const providers = new Map();
+
+// Cache of raw provider results, created on first use
+let cache = null;
+
+/**
+ * Get the provider result cache (configured from env on first use)
+ */
+function getResultCache() {
+    if (!cache) {
+        const size = parseInt(process.env.SEARCH_CACHE_SIZE, 10);
+        const ttl = parseFloat(process.env.SEARCH_CACHE_TTL);
+        cache = resultCache.createCache({
+            maxEntries: Number.isInteger(size) && size >= 0 ? size : 200,
+            ttlMs: (isFinite(ttl) && ttl > 0 ? ttl : 600) * 1000,
+            persistPath: process.env.SEARCH_CACHE_FILE || null
+        });
+    }
+    return cache;
+}
+
+/**
+ * Register a search provider adapter
+ * @param {Object} provider - { name, description, search(query, opts) }
+ */
+function registerProvider(provider) {
+    if (!provider || typeof provider.name !== 'string' || typeof provider.search !== 'function') {
+        throw new Error('Search provider must have a name and a search(query, opts) function');
+    }
+    providers.set(provider.name, provider);
+    return provider;
+}
+
+/**
+ * Get a registered provider by name
+ */
+function getProvider(name) {
+    return providers.get(name) || null;
+}
+
+/**
+ * List registered providers
+ * @returns {Array} - [{ name, description }]
+ */
+function listProviders() {
+    return Array.from(providers.values()).map(provider => ({
+        name: provider.name,
+        description: provider.description || ''
+    }));
+}
+
+/**
+ * Get the provider used when a request does not select one
+ */
+function getDefaultProviderName() {
+    return process.env.SEARCH_PROVIDER || 'bing';
+}
+
+/**
+ * Normalize a raw provider result to the ranking-engine shape
+ * Missing metrics are computed from the content by the feature extractor.
+ * @param {Object} item - Raw result (title/name, url, summary/snippet, optional metrics)
+ * @param {Object} context - { query, position }
+ * @returns {Object} - Normalized result
+ */
+function normalizeResult(item, { query = '', position = 0 } = {}) {
+    // Already in ranking-engine shape (e.g. the mock corpus): keep the same
+    // object so the corpus search index can be reused
+    const hasAllMetrics = METRIC_NAMES.every(metric => typeof item[metric] === 'number');
+    if (hasAllMetrics && item.id !== undefined && item.title && item.summary !== undefined) {
+        return item;
+    }
+
+    const base = {
+        id: item.id !== undefined ? item.id : position + 1,
+        title: item.title || item.name || '',
+        url: item.url || '',
+        summary: item.summary || item.snippet || ''
+    };
+
+    const features = hasAllMetrics ? {} : featureExtractor.extractFeatures({
+        title: base.title,
+        url: base.url,
+        snippet: base.summary,
+        datePublished: item.datePublished
+    }, { query, position });
+
+    const normalized = { ...features, ...item, ...base };
+    delete normalized.name;
+    delete normalized.snippet;
+    return normalized;
+}
+
+/**
+ * Run a search against the selected provider, falling back to mock results
+ * Results from the selected provider are cached; fallback results are not, so
+ * the provider is tried again on the next request.
+ *
+ * @param {string} query - Search query
+ * @param {Object} opts
+ *   - provider: string (default: SEARCH_PROVIDER env or 'bing')
+ *   - maxResults: number (optional, passed to the adapter)
+ *   - log: Object (optional) - Request logger from logger.js, passed to the adapter
+ * @returns {Promise<Object>} - { results, apiSource, cache: 'hit' | 'miss' }
+ */
+async function search(query, opts = {}) {
+    const providerName = opts.provider || getDefaultProviderName();
+    const log = opts.log || logger;
+    const provider = getProvider(providerName);
+
+    if (!provider) {
+        throw new Error(`Unknown search provider: ${providerName}`);
+    }
+
+    const cacheable = provider.cacheable !== false;
+    const cacheKey = `${providerName}:${resultCache.normalizeQuery(query)}${opts.maxResults ? `#${opts.maxResults}` : ''}`;
+    const cached = cacheable ? getResultCache().get(cacheKey) : undefined;
+    if (cached) {
+        log.info('Provider results from cache', { provider: providerName, results: cached.length });
+        const results = cached.map((item, position) => normalizeResult(item, { query, position }));
+        return { results, apiSource: providerName, cache: 'hit' };
+    }
+
+    let rawResults = [];
+    let apiSource = providerName;
+    try {
+        rawResults = await provider.search(query, opts);
+        log.info('Provider returned results', { provider: providerName, results: rawResults.length });
+        if (cacheable && rawResults.length) {
+            getResultCache().set(cacheKey, rawResults);
+        }
+    } catch (providerError) {
+        log.warn('Provider failed, using fallback', { provider: providerName, fallback: FALLBACK_PROVIDER, error: providerError.message });
+    }
+
+    if (!rawResults.length && providerName !== FALLBACK_PROVIDER) {
+        try {
+            rawResults = await getProvider(FALLBACK_PROVIDER).search(query, opts);
+        } catch (fallbackError) {
+            const error = new Error(`Search provider "${providerName}" is unavailable and the ${FALLBACK_PROVIDER} fallback failed`);
+            error.statusCode = 502;
+            error.code = 'PROVIDER_UNAVAILABLE';
+            throw error;
+        }
+        apiSource = FALLBACK_PROVIDER;
+    }
+
+    const results = rawResults.map((item, position) => normalizeResult(item, { query, position }));
+    return { results, apiSource, cache: 'miss' };
+}
+
+// Built-in adapters
+registerProvider(require('./bing'));
+registerProvider(require('./mock'));
+registerProvider(require('./local'));
+
+// Exports
+module.exports = {
+    search,
+    registerProvider,
+    getProvider,
+    listProviders,
+    getDefaultProviderName,
+    getResultCache,
+    normalizeResult
+};
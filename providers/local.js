@@ -0,0 +1,55 @@
+/**
+ * Local Search Provider
+ *
+ * Stand-in backend for testing without a paid search API. Reads results from
+ * either:
+ *   - LOCAL_SEARCH_URL  - an HTTP stub called as GET <url>?q=<query>&count=<n>
+ *   - LOCAL_SEARCH_FILE - a JSON file on disk (default: data/local-results.json)
+ *
+ * Both may return an array of results or { results: [...] } (the format of
+ * data/results.json). Results without metrics get them from the feature extractor.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Pull the results array out of a stub response
+ */
+function unwrapResults(data) {
+    const results = Array.isArray(data) ? data : data && data.results;
+    if (!Array.isArray(results)) {
+        throw new Error('Local provider data must be an array or { results: [...] }');
+    }
+    return results;
+}
+
+/**
+ * Search the configured local stub
+ * @param {string} query - Search query
+ * @param {Object} opts - { maxResults }
+ * @returns {Promise<Array>} - Raw results
+ */
+async function search(query, opts = {}) {
+    const stubUrl = process.env.LOCAL_SEARCH_URL;
+    const stubFile = process.env.LOCAL_SEARCH_FILE || path.join('data', 'local-results.json');
+
+    if (stubUrl) {
+        const count = opts.maxResults ? `&count=${opts.maxResults}` : '';
+        const response = await fetch(`${stubUrl}?q=${encodeURIComponent(query)}${count}`);
+        if (!response.ok) {
+            throw new Error(`Local stub returned ${response.status}: ${response.statusText}`);
+        }
+        return unwrapResults(await response.json());
+    }
+
+    const filePath = path.resolve(__dirname, '..', stubFile);
+    const data = await fs.promises.readFile(filePath, 'utf8');
+    return unwrapResults(JSON.parse(data));
+}
+
+module.exports = {
+    name: 'local',
+    description: 'Local fixture file or HTTP stub (LOCAL_SEARCH_FILE / LOCAL_SEARCH_URL)',
+    search
+};
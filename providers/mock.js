@@ -0,0 +1,22 @@
+/**
+ * Mock Search Provider
+ *
+ * Serves the bundled corpus in data/results.json. It is already in memory, so
+ * its results are not cached.
+ */
+
+const rankingEngine = require('../ranking-engine');
+
+/**
+ * Return the mock corpus; query intent filtering happens during ranking
+ */
+async function search() {
+    return rankingEngine.getMockResults();
+}
+
+module.exports = {
+    name: 'mock',
+    description: 'Bundled mock results from data/results.json',
+    cacheable: false,
+    search
+};
@@ -0,0 +1,1573 @@
+// DOM Elements
+const searchInput = document.getElementById('searchInput');
+const searchBtn = document.getElementById('searchBtn');
+const profileSelect = document.getElementById('profileSelect');
+const budgetInput = document.getElementById('budgetInput');
+const currencySelect = document.getElementById('currencySelect');
+const readingTimeInput = document.getElementById('readingTimeInput');
+const skillLevelInput = document.getElementById('skillLevelInput');
+const requiredToggles = {
+    budget: document.getElementById('budgetRequired'),
+    readingTime: document.getElementById('readingTimeRequired'),
+    skillLevel: document.getElementById('skillLevelRequired')
+};
+const resultsContainer = document.getElementById('resultsContainer');
+const facetSidebar = document.getElementById('facetSidebar');
+const blendSlider = document.getElementById('blendSlider');
+const blendValue = document.getElementById('blendValue');
+const weightSliders = document.getElementById('weightSliders');
+const diversifyToggle = document.getElementById('diversifyToggle');
+const resetTuningBtn = document.getElementById('resetTuningBtn');
+const compareBtn = document.getElementById('compareBtn');
+
+// Ranking is done by the shared engine (ranking-engine.js), the same code the server runs
+const { DEFAULT_BLEND } = RankingEngine;
+
+// Versioned API (responses use the { success, data, metadata } envelope)
+const API_BASE = '/api/v1';
+
+// Results fetched per page ("Show more results" fetches the next page)
+const PAGE_SIZE = 5;
+
+// Results per column in the profile comparison, and the rank gap that counts as diverging
+const COMPARE_LIMIT = 8;
+const COMPARE_DIVERGENCE = 2;
+
+// Metrics that can be tuned with sliders (relevance is controlled by the blend)
+const TUNABLE_METRICS = RankingEngine.METRIC_NAMES.filter(metric => metric !== 'relevance');
+
+// Global state
+let mockResults = [];
+let lastSearchContext = null;  // { query, profile, constraints, results, ... } of the last API search
+let displayedResults = [];  // Ranked results currently shown, for the re-rank diff
+let rankingOverrides = null;  // { weights, blend } when the tuning sliders have been moved
+let activeFilters = {};  // Facet filters picked in the sidebar (see facets.js)
+let tuningDebounceTimer = null;
+let feedbackSearchId = null;  // Ties feedback events to the ranking currently shown
+let pendingClick = null;  // { searchId, resultId, clickedAt } until the user comes back to the results
+let feedbackExperiment = null;  // { experiment, variant, teams } when the shown ranking came from an experiment
+
+/**
+ * Get Google brand color for a profile type
+ * @param {string} profile - User profile type
+ * @returns {Object} - Object with color name and CSS variable
+ */
+function getProfileColor(profile) {
+    const profileColors = {
+        student: { name: 'blue', variable: '--google-blue', hex: '#4285F4' },
+        shopper: { name: 'green', variable: '--google-green', hex: '#34A853' },
+        researcher: { name: 'red', variable: '--google-red', hex: '#EA4335' },
+        casual: { name: 'yellow', variable: '--google-yellow', hex: '#FBBC04' }
+    };
+    
+    return profileColors[profile] || profileColors.casual;
+}
+
+/**
+ * Get CSS class name for profile-specific styling
+ * @param {string} profile - User profile type
+ * @returns {string} - CSS class name
+ */
+function getProfileClass(profile) {
+    return `profile-${profile}`;
+}
+
+/**
+ * Load mock search results from data/results.json
+ */
+async function loadSearchResults() {
+    try {
+        const response = await fetch('data/results.json');
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        const data = await response.json();
+        mockResults = data.results;
+        console.log('✓ Search results loaded:', mockResults);
+        return mockResults;
+    } catch (error) {
+        console.error('✗ Error loading search results:', error);
+        resultsContainer.innerHTML = '<div class="empty-state"><p>Error loading results. Please check the data file.</p></div>';
+    }
+}
+
+/**
+ * Load the exchange rate table so budget conversions match the server
+ */
+async function loadExchangeRates() {
+    try {
+        const response = await fetch('data/exchange-rates.json');
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        const table = Currency.setRateTable(await response.json());
+        console.log(`✓ Exchange rates loaded for ${Object.keys(table.rates).length} currencies`);
+    } catch (error) {
+        console.error('✗ Error loading exchange rates:', error);
+    }
+}
+
+/**
+ * Get this browser's experiment unit ID (created once, kept in localStorage)
+ * The server buckets it into ranking experiment variants, so a browser keeps its variant.
+ */
+function getExperimentUnitId() {
+    let unitId = localStorage.getItem('experimentUnitId');
+    if (!unitId) {
+        unitId = createSearchId();
+        localStorage.setItem('experimentUnitId', unitId);
+    }
+    return unitId;
+}
+
+/**
+ * Call the API and unwrap its envelope
+ * When the server requires API keys, store one for this browser with
+ * localStorage.setItem('apiKey', '<key>'); it is sent as X-API-Key.
+ * The experiment unit ID is sent as X-Session-Id.
+ * @param {string} path - Route under API_BASE, e.g. '/search?q=...'
+ * @param {Object} options - fetch options; `body` objects are sent as JSON
+ * @returns {Promise<Object>} - The response data, with the envelope's metadata added
+ * @throws {Error} - With the API's error message (and `code`) for failed requests
+ */
+async function requestApi(path, options = {}) {
+    const fetchOptions = { ...options, headers: { 'X-Session-Id': getExperimentUnitId() } };
+    if (options.body !== undefined) {
+        fetchOptions.headers['Content-Type'] = 'application/json';
+        fetchOptions.body = JSON.stringify(options.body);
+    }
+    
+    const apiKey = localStorage.getItem('apiKey');
+    if (apiKey) {
+        fetchOptions.headers['X-API-Key'] = apiKey;
+    }
+    
+    const response = await fetch(`${API_BASE}${path}`, fetchOptions);
+    const body = await response.json().catch(() => null);
+    
+    if (!body || !body.success) {
+        const error = new Error(body && body.error ? body.error.message : `HTTP ${response.status}: ${response.statusText}`);
+        error.code = body && body.error ? body.error.code : null;
+        throw error;
+    }
+    
+    return { ...body.data, metadata: body.metadata };
+}
+
+/**
+ * Load custom profiles (and learned weights promoted for built-in ones) from the API
+ * and add the custom profiles to the profile dropdown
+ */
+async function loadCustomProfiles() {
+    try {
+        const data = await requestApi('/profiles');
+        const customWeights = {};
+        const customDiversityLambdas = {};
+        const learnedWeights = {};
+        
+        Object.entries(data.profiles)
+            .filter(([, profile]) => profile.learned)
+            .forEach(([name, profile]) => {
+                learnedWeights[name] = profile.weights;
+            });
+        RankingEngine.setLearnedWeights(learnedWeights);
+        
+        Object.entries(data.profiles)
+            .filter(([, profile]) => profile.custom)
+            .forEach(([name, profile]) => {
+                customWeights[name] = profile.weights;
+                if (typeof profile.diversityLambda === 'number') {
+                    customDiversityLambdas[name] = profile.diversityLambda;
+                }
+                
+                const option = document.createElement('option');
+                option.value = name;
+                option.textContent = `⚪ ${name}`;
+                option.title = profile.description || '';
+                profileSelect.appendChild(option);
+            });
+        RankingEngine.setCustomProfiles(customWeights, customDiversityLambdas);
+        console.log('✓ Profiles loaded:', Object.keys(data.profiles));
+    } catch (error) {
+        console.error('✗ Error loading custom profiles:', error);
+    }
+}
+
+/**
+ * Collect user search input
+ */
+function getSearchInput() {
+    return searchInput.value.trim();
+}
+
+/**
+ * Collect selected user profile
+ */
+function getUserProfile() {
+    return profileSelect.value;
+}
+
+/**
+ * Collect optional constraints
+ */
+function getConstraints() {
+    const budgetAmount = budgetInput.value.trim();
+    const currency = currencySelect.value;
+    const readingTime = readingTimeInput.value;
+    const skillLevel = skillLevelInput.value;
+    
+    const constraints = {
+        budget: budgetAmount ? true : false,  // Budget is a boolean flag - true if any amount entered
+        budgetAmount: budgetAmount ? parseFloat(budgetAmount) : null,  // Convert to number
+        currency: budgetAmount ? currency : null,  // Include currency code if budget specified
+        readingTime: readingTime ? parseInt(readingTime) : null,  // Convert to number
+        skillLevel: skillLevel || null  // Keep as string or null
+    };
+    
+    // "Must match" turns a set constraint into a hard one (e.g. readingTimeMode: 'require')
+    Object.entries(requiredToggles).forEach(([name, toggle]) => {
+        if (toggle.checked && constraints[name]) {
+            constraints[`${name}Mode`] = 'require';
+        }
+    });
+    
+    return constraints;
+}
+
+/**
+ * Validate search input
+ */
+function isValidSearch() {
+    const query = getSearchInput();
+    if (!query) {
+        console.warn('⚠ Search query is empty');
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Display loading state
+ */
+function showLoadingState() {
+    resultsContainer.innerHTML = '<div class="loading">Searching...</div>';
+}
+
+/**
+ * Display empty results state
+ */
+function showEmptyState() {
+    resultsContainer.innerHTML = '<div class="empty-state"><p>No results found. Try a different search.</p></div>';
+}
+
+/**
+ * Collect all user inputs and call /api/search
+ */
+async function handleSearch() {
+    console.log('\n=== SEARCH INITIATED ===');
+    
+    // Validate input
+    if (!isValidSearch()) {
+        console.error('Search validation failed');
+        return;
+    }
+
+    // Collect all inputs
+    const searchQuery = getSearchInput();
+    const userProfile = getUserProfile();
+    const constraints = getConstraints();
+    
+    // Facet filters belong to one query; a new query starts unfiltered
+    if (!lastSearchContext || lastSearchContext.query !== searchQuery) {
+        activeFilters = {};
+    }
+
+    // Log collected data
+    console.log('📝 Search Query:', searchQuery);
+    console.log('👤 User Profile:', userProfile);
+    console.log('⚙️ Constraints:', constraints);
+    console.log('\n--- Input Summary ---');
+    console.table({
+        'Query': searchQuery,
+        'Profile': userProfile,
+        'Budget': constraints.budget ? `${constraints.currency} ${constraints.budgetAmount}` : 'Not set',
+        'Reading Time': constraints.readingTime ? `${constraints.readingTime} min` : 'Not set',
+        'Skill Level': constraints.skillLevel || 'Not set'
+    });
+
+    // Show loading state
+    showLoadingState();
+
+    try {
+        const request = {
+            query: searchQuery,
+            profile: userProfile,
+            constraints,
+            overrides: rankingOverrides,
+            diversify: diversifyToggle.checked,
+            filters: activeFilters
+        };
+        const data = await fetchSearchPage(request);
+
+        console.log(`✅ API Response: ${data.results.length} of ${data.totalResults} results`);
+        console.log(`⚖️ Effective weights (blend ${data.blend}):`, data.weights);
+        console.log('📊 Results:', data.results);
+
+        // Store search context and results for the profile-switching demo
+        lastSearchContext = {
+            query: searchQuery,
+            profile: userProfile,
+            constraints: constraints,
+            results: data.results,
+            totalResults: data.totalResults,
+            nextCursor: data.metadata.nextCursor,
+            facets: data.facets,
+            request,
+            timestamp: data.metadata.timestamp,
+            apiSource: data.metadata.apiSource,
+            excluded: data.metadata.excluded || null
+        };
+
+        // Display results (API results already have scores and explanations)
+        renderFacetSidebar(data.facets, data.filters);
+        if (data.totalResults === 0) {
+            showEmptyState();
+        } else {
+            displayResults(data.results, {
+                experiment: getExperimentFields(data.metadata),
+                excluded: data.metadata.excluded
+            });
+        }
+
+    } catch (error) {
+        console.error('❌ Search Error:', error.message);
+        showErrorState(error.message);
+    }
+}
+
+/**
+ * Fetch one page of ranked results from /api/search
+ * @param {Object} request - { query, profile, constraints, overrides, diversify, filters }
+ * @param {string} cursor - Optional metadata.nextCursor of the previous page
+ * @returns {Promise<Object>} - Successful API response
+ */
+async function fetchSearchPage(request, cursor = null) {
+    const { query, profile, constraints, overrides, diversify, filters = {} } = request;
+    
+    // Call API (POST when the tuning sliders override weights or blend)
+    if (overrides) {
+        console.log('🌐 Posting to /search with tuning overrides:', overrides);
+        return requestApi('/search', {
+            method: 'POST',
+            body: {
+                query,
+                profile,
+                constraints,
+                weights: overrides.weights,
+                blend: overrides.blend,
+                diversify,
+                filters,
+                limit: PAGE_SIZE,
+                cursor: cursor || undefined
+            }
+        });
+    }
+    
+    // Build query parameters
+    const params = new URLSearchParams();
+    params.append('q', query);
+    params.append('profile', profile);
+    params.append('limit', PAGE_SIZE);
+    
+    if (constraints.budget && constraints.budgetAmount) {
+        params.append('budget', 'true');
+        params.append('budgetAmount', constraints.budgetAmount);
+        params.append('currency', constraints.currency);
+    }
+    if (constraints.readingTime) {
+        params.append('readingTime', constraints.readingTime);
+    }
+    if (constraints.skillLevel) {
+        params.append('skillLevel', constraints.skillLevel);
+    }
+    RankingEngine.CONSTRAINT_NAMES.forEach(name => {
+        if (constraints[`${name}Mode`]) {
+            params.append(`${name}Mode`, constraints[`${name}Mode`]);
+        }
+    });
+    if (diversify) {
+        params.append('diversify', 'true');
+    }
+    Object.entries(filters).forEach(([name, value]) => {
+        params.append(name, Array.isArray(value) ? value.join(',') : value);
+    });
+    if (cursor) {
+        params.append('cursor', cursor);
+    }
+    
+    console.log(`🌐 Fetching ${API_BASE}/search?${params.toString()}`);
+    return requestApi(`/search?${params.toString()}`);
+}
+
+/**
+ * Handle "Show more results" - fetch the next page of the last search
+ * @param {HTMLButtonElement} button - The clicked button
+ */
+async function handleShowMore(button) {
+    if (!lastSearchContext || !lastSearchContext.nextCursor) {
+        return;
+    }
+    
+    button.disabled = true;
+    button.textContent = 'Loading...';
+    
+    try {
+        const data = await fetchSearchPage(lastSearchContext.request, lastSearchContext.nextCursor);
+        const knownIds = new Set(lastSearchContext.results.map(result => result.id));
+        const newResults = data.results.filter(result => !knownIds.has(result.id));
+        
+        console.log(`✅ Loaded ${newResults.length} more results`);
+        
+        lastSearchContext.results.push(...newResults);
+        lastSearchContext.totalResults = data.totalResults;
+        lastSearchContext.nextCursor = data.metadata.nextCursor;
+        
+        // Pages follow the ranking of the original request; if the profile or
+        // constraints were changed since, re-rank everything loaded so far
+        const { request } = lastSearchContext;
+        const rankedAsRequested = lastSearchContext.profile === request.profile &&
+            JSON.stringify(lastSearchContext.constraints) === JSON.stringify(request.constraints);
+        
+        if (rankedAsRequested) {
+            appendResults(newResults, getExperimentFields(data.metadata));
+        } else {
+            rankAndDisplayResults(lastSearchContext);
+        }
+    } catch (error) {
+        console.error('❌ Show More Error:', error.message);
+        button.disabled = false;
+        button.textContent = 'Retry';
+    }
+}
+
+/**
+ * Facet groups shown in the sidebar, in order
+ */
+const facetGroups = [
+    { name: 'category', title: 'Type' },
+    { name: 'priceBand', title: 'Price' },
+    { name: 'depth', title: 'Depth' },
+    { name: 'tags', title: 'Topics', maxValues: 10 }
+];
+
+/**
+ * Minimum trust choices for the sidebar (percent)
+ */
+const minTrustOptions = [0, 50, 70, 85];
+
+/**
+ * Render the facet sidebar: one checkbox per value with its count, plus a
+ * minimum trust choice
+ * @param {Object} facets - Facet counts from the API ({ category, tags, priceBand, depth })
+ * @param {Object} filters - Filters the API applied
+ */
+function renderFacetSidebar(facets, filters = {}) {
+    facetSidebar.innerHTML = '';
+    if (!facets) {
+        facetSidebar.hidden = true;
+        return;
+    }
+    facetSidebar.hidden = false;
+    
+    facetGroups.forEach(group => {
+        const values = Object.entries(facets[group.name] || {}).slice(0, group.maxValues || Infinity);
+        const selected = filters[group.name] || [];
+        if (values.length === 0 && selected.length === 0) {
+            return;
+        }
+        
+        const fieldset = document.createElement('fieldset');
+        fieldset.className = 'facet-group';
+        const legend = document.createElement('legend');
+        legend.textContent = group.title;
+        fieldset.appendChild(legend);
+        
+        values.forEach(([value, count]) => {
+            const label = document.createElement('label');
+            label.className = 'facet-option';
+            
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = value;
+            checkbox.dataset.facet = group.name;
+            checkbox.checked = selected.includes(value);
+            checkbox.addEventListener('change', handleFacetChange);
+            
+            const text = document.createElement('span');
+            text.className = 'facet-value';
+            text.textContent = value;
+            
+            const countBadge = document.createElement('span');
+            countBadge.className = 'facet-count';
+            countBadge.textContent = count;
+            
+            label.append(checkbox, text, countBadge);
+            fieldset.appendChild(label);
+        });
+        
+        facetSidebar.appendChild(fieldset);
+    });
+    
+    // Minimum trust
+    const trustGroup = document.createElement('fieldset');
+    trustGroup.className = 'facet-group';
+    const trustLegend = document.createElement('legend');
+    trustLegend.textContent = 'Min Trust';
+    const trustSelect = document.createElement('select');
+    trustSelect.id = 'minTrustSelect';
+    trustSelect.className = 'constraint-select';
+    minTrustOptions.forEach(value => {
+        const option = document.createElement('option');
+        option.value = value ? String(value) : '';
+        option.textContent = value ? `${value}%+` : 'Any';
+        option.selected = (filters.minTrust || 0) === value;
+        trustSelect.appendChild(option);
+    });
+    trustSelect.addEventListener('change', handleFacetChange);
+    trustGroup.append(trustLegend, trustSelect);
+    facetSidebar.appendChild(trustGroup);
+    
+    // Clear all
+    if (Object.keys(filters).length > 0) {
+        const clearBtn = document.createElement('button');
+        clearBtn.type = 'button';
+        clearBtn.className = 'tuning-reset-btn';
+        clearBtn.textContent = 'Clear filters';
+        clearBtn.addEventListener('click', () => {
+            activeFilters = {};
+            handleSearch();
+        });
+        facetSidebar.appendChild(clearBtn);
+    }
+}
+
+/**
+ * Handle a facet checkbox or min trust change - re-run the search with the new filters
+ */
+function handleFacetChange() {
+    const filters = {};
+    
+    facetSidebar.querySelectorAll('input[type="checkbox"]:checked').forEach(checkbox => {
+        const facet = checkbox.dataset.facet;
+        filters[facet] = (filters[facet] || []).concat(checkbox.value);
+    });
+    
+    const minTrust = document.getElementById('minTrustSelect').value;
+    if (minTrust) {
+        filters.minTrust = Number(minTrust);
+    }
+    
+    console.log('🔎 Facet filters:', filters);
+    activeFilters = filters;
+    handleSearch();
+}
+
+/**
+ * Compare the current query across the built-in profiles (plus the selected
+ * custom profile) with the compare endpoint
+ */
+async function handleCompare() {
+    if (!isValidSearch()) {
+        return;
+    }
+    
+    const query = getSearchInput();
+    const selectedProfile = getUserProfile();
+    const profiles = ['casual', 'student', 'shopper', 'researcher'];
+    if (!profiles.includes(selectedProfile)) {
+        profiles.push(selectedProfile);
+    }
+    
+    console.log(`\n⚖️ Comparing "${query}" across profiles:`, profiles);
+    showLoadingState();
+    facetSidebar.hidden = true;
+    
+    try {
+        const data = await requestApi('/compare', {
+            method: 'POST',
+            body: {
+                query,
+                profiles,
+                constraints: getConstraints(),
+                limit: COMPARE_LIMIT
+            }
+        });
+        
+        console.log('📊 Comparison:', data.comparisons);
+        renderComparison(data);
+    } catch (error) {
+        console.error('❌ Compare Error:', error.message);
+        showErrorState(error.message);
+    }
+}
+
+/**
+ * Show /api/compare results as one column per profile
+ * Each result shows how far it moved against the first column; results that
+ * moved COMPARE_DIVERGENCE places or more are highlighted, and hovering a
+ * result highlights it in every column.
+ * @param {Object} data - /api/compare response
+ */
+function renderComparison(data) {
+    resultsContainer.innerHTML = '';
+    displayedResults = [];
+    
+    if (data.totalResults === 0) {
+        showEmptyState();
+        return;
+    }
+    
+    const baseRanks = new Map(data.alignment.map(row => [row.id, row.ranks[0]]));
+    
+    // Agreement with the first column: Kendall tau and the biggest moves
+    const stats = document.createElement('div');
+    stats.className = 'compare-stats';
+    data.comparisons
+        .filter(comparison => comparison.from === 0)
+        .forEach(comparison => {
+            const stat = document.createElement('div');
+            stat.className = 'compare-stat';
+            
+            const tau = comparison.kendallTau === null ? 'n/a' : comparison.kendallTau.toFixed(2);
+            const heading = document.createElement('strong');
+            heading.textContent = `${data.variants[0].label} vs ${data.variants[comparison.to].label}: τ = ${tau}`;
+            stat.appendChild(heading);
+            
+            comparison.biggestMoves.forEach(move => {
+                const moveLine = document.createElement('div');
+                moveLine.className = 'compare-move';
+                moveLine.textContent = `${move.change > 0 ? '▲' : '▼'} ${move.title} (#${move.fromRank} → #${move.toRank})`;
+                stat.appendChild(moveLine);
+            });
+            
+            stats.appendChild(stat);
+        });
+    resultsContainer.appendChild(stats);
+    
+    // One column per variant
+    const grid = document.createElement('div');
+    grid.className = 'compare-grid';
+    grid.style.gridTemplateColumns = `repeat(${data.variants.length}, minmax(140px, 1fr))`;
+    
+    data.variants.forEach((variant, column) => {
+        const columnEl = document.createElement('div');
+        columnEl.className = 'compare-column';
+        
+        const header = document.createElement('h3');
+        header.className = 'compare-column-header';
+        header.style.borderBottomColor = getProfileColor(variant.profile).hex;
+        header.textContent = variant.label;
+        columnEl.appendChild(header);
+        
+        variant.results.forEach(result => {
+            const item = document.createElement('div');
+            item.className = 'compare-item';
+            item.dataset.resultId = result.id;
+            
+            const rank = document.createElement('span');
+            rank.className = 'compare-rank';
+            rank.textContent = `#${result.rank}`;
+            item.appendChild(rank);
+            
+            const title = document.createElement('span');
+            title.className = 'compare-title';
+            title.textContent = result.title;
+            item.appendChild(title);
+            
+            // Movement against the first column
+            const baseRank = baseRanks.get(result.id);
+            if (column > 0 && baseRank) {
+                const change = baseRank - result.rank;
+                if (change !== 0) {
+                    const delta = document.createElement('span');
+                    delta.className = `compare-delta ${change > 0 ? 'rank-change-up' : 'rank-change-down'}`;
+                    delta.textContent = `${change > 0 ? '▲' : '▼'}${Math.abs(change)}`;
+                    item.appendChild(delta);
+                }
+                if (Math.abs(change) >= COMPARE_DIVERGENCE) {
+                    item.classList.add('compare-item-diverged');
+                }
+            }
+            
+            item.addEventListener('mouseenter', () => highlightComparedResult(result.id, true));
+            item.addEventListener('mouseleave', () => highlightComparedResult(result.id, false));
+            columnEl.appendChild(item);
+        });
+        
+        grid.appendChild(columnEl);
+    });
+    
+    resultsContainer.appendChild(grid);
+}
+
+/**
+ * Highlight one result in every comparison column
+ */
+function highlightComparedResult(resultId, highlighted) {
+    resultsContainer.querySelectorAll('.compare-item').forEach(item => {
+        if (item.dataset.resultId === String(resultId)) {
+            item.classList.toggle('compare-item-highlighted', highlighted);
+        }
+    });
+}
+
+/**
+ * Display error state with friendly message
+ */
+function showErrorState(errorMessage) {
+    const errorText = errorMessage.includes('fetch') 
+        ? 'Unable to connect to server. Make sure the API is running on port 8000.'
+        : errorMessage;
+    
+    resultsContainer.innerHTML = `
+        <div class="error-state">
+            <p style="font-size: 18px; color: #d32f2f; margin-bottom: 10px;">❌ Search Error</p>
+            <p style="color: #666; margin-bottom: 15px;">${SafeHtml.escapeHtml(errorText)}</p>
+            <p style="color: #999; font-size: 13px;">Try adjusting your query or check the API status.</p>
+        </div>
+    `;
+}
+
+/**
+ * Handle Enter key press in search input
+ */
+function handleEnterKey(event) {
+    if (event.key === 'Enter') {
+        handleSearch();
+    }
+}
+
+/**
+ * Re-rank the cached results of the last search, then display them with a diff
+ * against the previous ranking
+ * @param {Object} searchContext - Contains query, profile, constraints, and results
+ */
+function rankAndDisplayResults(searchContext) {
+    const { results, profile, constraints, query } = searchContext;
+    const weights = getEffectiveWeights(profile);
+    const blend = getEffectiveBlend();
+    
+    // Step 1: Re-score and sort with the shared ranking engine. Relevance stays as the
+    // server computed it over all results (only some pages are loaded here), so only
+    // profile, constraint and blend changes move cards
+    const allRankedResults = RankingEngine.rankResults({
+        query,
+        profile,
+        constraints,
+        results,
+        weights: rankingOverrides ? rankingOverrides.weights : undefined,
+        blend,
+        diversify: diversifyToggle.checked,
+        keepRelevance: true
+    });
+    
+    if (allRankedResults.length === 0) {
+        console.log('✗ No results match the search query intent');
+        showEmptyState();
+        return;
+    }
+    
+    // Step 2: Log the top 3 results (all loaded results are displayed)
+    const topResults = allRankedResults.slice(0, 3);
+    
+    // Log ranking details
+    console.log(`\n=== RANKING RESULTS (${profile.toUpperCase()}) ===`);
+    console.log(`Scoring: ${Math.round(blend * 100)}% Relevance + ${Math.round((1 - blend) * 100)}% Personalization`);
+    console.log(`Profile Weights (Personalization):`, weights);
+    
+    // Log constraint info if any
+    const hasConstraints = Object.values(constraints).some(val => val);
+    if (hasConstraints) {
+        console.log(`Constraints Applied:`, constraints);
+    }
+    
+    console.log(`\n--- Top 3 Ranked Results (out of ${allRankedResults.length}) ---`);
+    
+    topResults.forEach((result, index) => {
+        console.log(`${index + 1}. ${result.title}`);
+        console.log(`   Score: ${result.score.toFixed(3)} (${Math.round(result.score * 100)}%)`);
+        console.log(`   URL: ${result.url}`);
+        console.log(`   Why this result:`, result.explanations);
+    });
+    
+    console.log('\n✨ Results ranked and displayed\n');
+    
+    // Display results, animating cards from their previous positions; results hidden by
+    // required constraints were never sent, so the server's count is the one to show
+    displayResults(allRankedResults, { previousResults: displayedResults, excluded: searchContext.excluded });
+}
+
+/**
+ * Human-readable names for score breakdown entries
+ */
+const breakdownLabels = {
+    simplicity: 'Simplicity',
+    price: 'Price',
+    reviews: 'Reviews',
+    citations: 'Citations',
+    depth: 'Depth',
+    recency: 'Recency',
+    readingTime: 'Reading time',
+    budget: 'Budget',
+    skillLevel: 'Skill level'
+};
+
+/**
+ * Find the breakdown entry whose contribution to the final score changed most
+ * between two rankings of the same result
+ * @param {Object} previous - scoreBreakdown before re-ranking
+ * @param {Object} current - scoreBreakdown after re-ranking
+ * @returns {Object|null} - { label, delta } with delta in final-score points, or null
+ */
+function getBiggestScoreChange(previous, current) {
+    if (!previous || !current) {
+        return null;
+    }
+    
+    // Personalization parts count towards the final score at (1 - blend)
+    const contributions = breakdown => {
+        const parts = {};
+        const share = 1 - breakdown.blend;
+        const { metrics, constraints } = breakdown.personalization;
+        
+        Object.entries(metrics).forEach(([metric, entry]) => {
+            parts[metric] = (entry.contribution || 0) * share;
+        });
+        ['budget', 'readingTime', 'skillLevel'].forEach(name => {
+            if (constraints[name]) {
+                // readingTime is both a metric and a constraint; keep them apart
+                const key = name === 'readingTime' ? 'readingTimeLimit' : name;
+                parts[key] = constraints[name].applied * share;
+            }
+        });
+        parts.relevance = breakdown.relevance.score * breakdown.blend;
+        return parts;
+    };
+    
+    const before = contributions(previous);
+    const after = contributions(current);
+    let biggest = null;
+    
+    new Set([...Object.keys(before), ...Object.keys(after)]).forEach(key => {
+        const delta = (after[key] || 0) - (before[key] || 0);
+        if (!biggest || Math.abs(delta) > Math.abs(biggest.delta)) {
+            biggest = { key, delta };
+        }
+    });
+    
+    if (!biggest || Math.abs(biggest.delta) < 0.005) {
+        return null;
+    }
+    
+    const labels = { ...breakdownLabels, readingTimeLimit: 'Time limit', relevance: 'Relevance' };
+    return { label: labels[biggest.key] || biggest.key, delta: biggest.delta };
+}
+
+/**
+ * Describe how a result moved between the previous and the current ranking
+ * @param {Object} result - Re-ranked result
+ * @param {number} position - New position (1-based)
+ * @param {Array} previousResults - Ranked results shown before
+ * @returns {Object} - { direction: 'up'|'down'|'same'|'new', places, reason }
+ */
+function getRankChange(result, position, previousResults) {
+    const previousIndex = previousResults.findIndex(previous => previous.id === result.id);
+    
+    if (previousIndex === -1) {
+        return { direction: 'new', places: 0, reason: 'Newly in view' };
+    }
+    
+    const places = (previousIndex + 1) - position;
+    const change = getBiggestScoreChange(previousResults[previousIndex].scoreBreakdown, result.scoreBreakdown);
+    const diversity = result.scoreBreakdown && result.scoreBreakdown.diversity;
+    let reason = change
+        ? `${change.label} ${change.delta > 0 ? '+' : '−'}${(Math.abs(change.delta) * 100).toFixed(1)} pts`
+        : 'Score unchanged';
+    if (places > 0 && diversity && diversity.scoreRank > position) {
+        reason = 'Moved up for variety';
+    }
+    
+    return {
+        direction: places > 0 ? 'up' : places < 0 ? 'down' : 'same',
+        places: Math.abs(places),
+        reason
+    };
+}
+
+/**
+ * Build the rank-change badge shown on a card after re-ranking
+ * @param {Object} rankChange - From getRankChange()
+ * @returns {string} - Badge HTML
+ */
+function createRankChangeBadge(rankChange) {
+    const arrows = { up: `▲ ${rankChange.places}`, down: `▼ ${rankChange.places}`, same: '＝', new: '✚' };
+    
+    return `
+        <div class="rank-change rank-change-${rankChange.direction}" title="${SafeHtml.escapeHtml(rankChange.reason)}">
+            <span class="rank-change-arrow">${arrows[rankChange.direction]}</span>
+            <span class="rank-change-reason">${SafeHtml.escapeHtml(rankChange.reason)}</span>
+        </div>
+    `;
+}
+
+/**
+ * Slide re-ranked cards from their old positions to their new ones (FLIP)
+ * @param {Map} previousTops - Result id → card top before re-rendering
+ */
+function animateRankChanges(previousTops) {
+    resultsContainer.querySelectorAll('.result-card-wrapper').forEach(card => {
+        if (!previousTops.has(card.dataset.resultId)) {
+            return;
+        }
+        
+        const offset = previousTops.get(card.dataset.resultId) - card.getBoundingClientRect().top;
+        card.classList.add('result-card-reranked');
+        if (offset === 0) {
+            return;
+        }
+        
+        card.style.transition = 'none';
+        card.style.transform = `translateY(${offset}px)`;
+        requestAnimationFrame(() => {
+            requestAnimationFrame(() => {
+                card.style.transition = '';
+                card.style.transform = '';
+            });
+        });
+    });
+}
+
+/**
+ * Display ranked results as cards
+ * @param {Array} rankedResults - Ranked search results
+ * @param {Object} options
+ *   - previousResults: Array (optional) - Ranking shown before a re-rank; cards
+ *     then show how far they moved and why, and slide into place
+ *   - experiment: Object (optional) - Experiment fields of the API search that
+ *     ranked the results (see getExperimentFields); reported with impressions
+ *   - excluded: Object (optional) - Results removed by required constraints
+ *     (metadata.excluded); shown as a notice above the cards
+ */
+function displayResults(rankedResults, options = {}) {
+    const { previousResults = null, experiment = null, excluded = null } = options;
+    
+    // Remember where each card was before re-rendering
+    const previousTops = new Map();
+    if (previousResults) {
+        resultsContainer.querySelectorAll('.result-card-wrapper').forEach(card => {
+            previousTops.set(card.dataset.resultId, card.getBoundingClientRect().top);
+        });
+    }
+    
+    resultsContainer.innerHTML = '';
+    if (excluded && excluded.total > 0) {
+        resultsContainer.appendChild(createExcludedNotice(excluded));
+    }
+    
+    rankedResults.forEach((result, index) => {
+        const rankChange = previousResults ? getRankChange(result, index + 1, previousResults) : null;
+        const resultCard = createResultCard(result, index + 1, rankChange);
+        resultsContainer.appendChild(resultCard);
+    });
+    
+    if (previousResults) {
+        animateRankChanges(previousTops);
+    }
+    displayedResults = rankedResults.slice();
+    
+    // Every displayed ranking is a new feedback session
+    feedbackSearchId = createSearchId();
+    feedbackExperiment = experiment;
+    reportImpressions(rankedResults, 1);
+    
+    renderResultsFooter();
+}
+
+/**
+ * Build the notice saying how many results required constraints hid, and why
+ * @param {Object} excluded - { total, byConstraint, results } from metadata.excluded
+ * @returns {HTMLElement} - Notice element (the hidden results are listed in its tooltip)
+ */
+function createExcludedNotice(excluded) {
+    const notice = document.createElement('div');
+    notice.className = 'results-excluded';
+    
+    const counts = Object.entries(excluded.byConstraint)
+        .map(([name, count]) => `${breakdownLabels[name] || name} (${count})`)
+        .join(', ');
+    notice.textContent = `${excluded.total} result${excluded.total === 1 ? '' : 's'} hidden by required constraints: ${counts}`;
+    notice.title = excluded.results
+        .map(result => `${result.title}: ${Object.values(result.reasons).join('; ')}`)
+        .join('\n');
+    
+    return notice;
+}
+
+/**
+ * Add the next page of results below the cards already shown
+ * @param {Array} newResults - Results to append, already in rank order
+ * @param {Object} experiment - Experiment fields of the page (see getExperimentFields)
+ */
+function appendResults(newResults, experiment = null) {
+    const footer = resultsContainer.querySelector('.results-footer');
+    if (footer) {
+        footer.remove();
+    }
+    
+    newResults.forEach((result, index) => {
+        const resultCard = createResultCard(result, displayedResults.length + index + 1);
+        resultsContainer.appendChild(resultCard);
+    });
+    if (feedbackExperiment && experiment && experiment.experiment === feedbackExperiment.experiment) {
+        Object.assign(feedbackExperiment.teams, experiment.teams);
+    }
+    reportImpressions(newResults, displayedResults.length + 1);
+    displayedResults = displayedResults.concat(newResults);
+    
+    renderResultsFooter();
+}
+
+/**
+ * Show the result count and, when more pages exist, a "Show more results" button
+ */
+function renderResultsFooter() {
+    const total = lastSearchContext ? lastSearchContext.totalResults : displayedResults.length;
+    const hasMore = Boolean(lastSearchContext && lastSearchContext.nextCursor);
+    
+    if (total <= displayedResults.length && !hasMore) {
+        return;
+    }
+    
+    const footer = document.createElement('div');
+    footer.className = 'results-info results-footer';
+    
+    const countInfo = document.createElement('span');
+    countInfo.textContent = `Showing ${displayedResults.length} of ${total} results`;
+    footer.appendChild(countInfo);
+    
+    if (hasMore) {
+        const showMoreBtn = document.createElement('button');
+        showMoreBtn.type = 'button';
+        showMoreBtn.className = 'show-more-btn';
+        showMoreBtn.textContent = 'Show more results';
+        showMoreBtn.addEventListener('click', () => handleShowMore(showMoreBtn));
+        footer.appendChild(showMoreBtn);
+    }
+    
+    resultsContainer.appendChild(footer);
+}
+
+/**
+ * Create a result card DOM element
+ * Everything taken from the result (title, URL, summary, explanations, ...) is
+ * escaped; the title only links out for http(s) URLs, in a new tab without
+ * access to this page (rel="noopener noreferrer").
+ * @param {Object} result - Search result with score and explanations
+ * @param {number} position - Position in ranking
+ * @param {Object} rankChange - Optional movement since the previous ranking (see getRankChange)
+ * @returns {HTMLElement} - Result card element
+ */
+function createResultCard(result, position, rankChange = null) {
+    const card = document.createElement('div');
+    card.className = 'result-card-wrapper';
+    card.dataset.resultId = String(result.id);
+    
+    // Apply profile-specific CSS class for color branding
+    const profileClass = getProfileClass(result.profile);
+    const profileColor = getProfileColor(result.profile);
+    
+    console.log(`Card: ${result.title} → Profile: ${result.profile} → Color: ${profileColor.name}`);
+    
+    // Get decision label and colors
+    const decisionLabel = getDecisionLabel(result, result.profile);
+    const labelColors = getLabelColors(decisionLabel.category);
+    
+    // Calculate trust score and determine badge
+    const trustScore = Math.round(result.reviews * 100);
+    const trustBadge = getTrustBadge(trustScore);
+    
+    // Build explanations HTML
+    const explanationsHTML = result.explanations && result.explanations.length > 0
+        ? `
+        <div class="why-match-section">
+            <span class="why-match-title">Why this matches:</span>
+            <ul class="why-match-list">
+                ${result.explanations.map(exp => `<li>${SafeHtml.escapeHtml(exp)}</li>`).join('')}
+            </ul>
+        </div>
+        `
+        : '';
+    
+    // Title links out only for http(s) URLs
+    const safeUrl = SafeHtml.getSafeUrl(result.url);
+    const titleHTML = `<h3 class="result-title">${SafeHtml.escapeHtml(result.title)}</h3>`;
+    const titleLinkHTML = safeUrl
+        ? `<a href="${SafeHtml.escapeHtml(safeUrl)}" target="_blank" rel="noopener noreferrer" class="result-title-link">${titleHTML}</a>`
+        : titleHTML;
+    
+    card.innerHTML = `
+        <div class="result-card ${profileClass}">
+            <!-- Position Indicator -->
+            <div class="result-position">${position}</div>
+            
+            <!-- Main Content -->
+            <div class="result-content">
+                ${rankChange ? createRankChangeBadge(rankChange) : ''}
+                
+                <!-- Title (Clickable) -->
+                ${titleLinkHTML}
+                
+                <!-- URL -->
+                <div class="result-url">🔗 ${SafeHtml.escapeHtml(result.url)}</div>
+                
+                <!-- Description -->
+                <p class="result-description">${SafeHtml.escapeHtml(result.summary)}</p>
+                
+                <!-- Trust Badges Row -->
+                <div class="trust-badges-row">
+                    <div class="trust-badge ${trustBadge.class}">
+                        <span class="badge-icon">${trustBadge.icon}</span>
+                        <span class="badge-text">${trustScore}% Trusted</span>
+                    </div>
+                    <div class="metadata-inline">
+                        <span class="meta-item">⏱️ ${SafeHtml.escapeHtml(result.readingTime)}m</span>
+                        <span class="meta-item">💰 ${Facets.getPriceLabel(result.price)}</span>
+                        <span class="meta-item">📚 ${Facets.getDepthLabel(result.depth)}</span>
+                    </div>
+                </div>
+                
+                <!-- Why This Result Matches -->
+                ${explanationsHTML}
+                
+                <!-- Decision Badge -->
+                <div class="decision-badge-container">
+                    <span class="decision-label" style="background-color: ${labelColors.bg}; color: ${labelColors.text};">
+                        ${decisionLabel.label}
+                    </span>
+                </div>
+            </div>
+        </div>
+    `;
+    
+    return card;
+}
+
+/**
+ * Get trust badge info based on trust score
+ * @param {number} trustScore - Trust score 0-100
+ * @returns {Object} - Badge class and icon
+ */
+function getTrustBadge(trustScore) {
+    if (trustScore >= 85) {
+        return { class: 'badge-excellent', icon: '⭐⭐' };
+    } else if (trustScore >= 70) {
+        return { class: 'badge-good', icon: '⭐' };
+    } else if (trustScore >= 50) {
+        return { class: 'badge-fair', icon: '◐' };
+    } else {
+        return { class: 'badge-low', icon: '◑' };
+    }
+}
+
+/**
+ * Generate a decision-focused label for the result
+ * @param {Object} result - The search result
+ * @param {string} profile - User profile type
+ * @returns {Object} - Object with label text and category
+ */
+function getDecisionLabel(result, profile) {
+    // Profile-based decisions
+    if (profile === 'student') {
+        if (result.simplicity > 0.8 && result.reviews > 0.75) {
+            return { label: 'Best for Learning', category: 'student' };
+        }
+        if (result.simplicity > 0.75) {
+            return { label: 'Easy to Understand', category: 'student' };
+        }
+    }
+    
+    if (profile === 'shopper') {
+        if (result.price > 0.7 && result.reviews > 0.8) {
+            return { label: 'Best Budget Choice', category: 'shopper' };
+        }
+        if (result.reviews > 0.85) {
+            return { label: 'Highly Trusted', category: 'shopper' };
+        }
+    }
+    
+    if (profile === 'researcher') {
+        if (result.citations > 0.85 && result.depth > 0.8) {
+            return { label: 'Best for Research', category: 'researcher' };
+        }
+        if (result.citations > 0.8) {
+            return { label: 'Academically Rigorous', category: 'researcher' };
+        }
+    }
+    
+    if (profile === 'casual') {
+        if (result.recency > 0.85 && result.simplicity > 0.75) {
+            return { label: 'Current & Easy Read', category: 'casual' };
+        }
+        if (result.recency > 0.8) {
+            return { label: 'Fresh & Recent', category: 'casual' };
+        }
+    }
+    
+    // Universal high-quality label
+    if (result.relevance > 0.9 && result.score > 0.8) {
+        return { label: 'Top Match', category: 'universal' };
+    }
+    
+    return { label: 'Recommended', category: 'universal' };
+}
+
+/**
+ * Get color for decision label badge
+ * @param {string} category - Label category
+ * @returns {Object} - Object with background and text colors
+ */
+function getLabelColors(category) {
+    const colors = {
+        student: { bg: '#dbeafe', text: '#0c4a6e' },      // Light blue
+        shopper: { bg: '#fce7f3', text: '#831843' },       // Light pink
+        researcher: { bg: '#e0e7ff', text: '#3730a3' },    // Light indigo
+        casual: { bg: '#dcfce7', text: '#166534' },        // Light green
+        universal: { bg: '#f3f4f6', text: '#374151' }      // Light gray
+    };
+    return colors[category] || colors.universal;
+}
+
+/**
+ * Get the weights in effect: the tuning sliders' overrides, or the profile's weights
+ * @param {string} profile - User profile type
+ * @returns {Object} - Metric weights
+ */
+function getEffectiveWeights(profile) {
+    return RankingEngine.getEffectiveWeights(profile, rankingOverrides ? rankingOverrides.weights : null);
+}
+
+/**
+ * Get the relevance share of the final score in effect
+ * @returns {number} - Blend (0-1)
+ */
+function getEffectiveBlend() {
+    return rankingOverrides ? rankingOverrides.blend : DEFAULT_BLEND;
+}
+
+/**
+ * Build one slider row per tunable metric
+ */
+function renderWeightSliders() {
+    weightSliders.innerHTML = '';
+    
+    TUNABLE_METRICS.forEach(metric => {
+        const row = document.createElement('div');
+        row.className = 'tuning-group';
+        
+        const label = document.createElement('label');
+        label.htmlFor = `weight-${metric}`;
+        label.textContent = `${metric}:`;
+        
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.id = `weight-${metric}`;
+        slider.className = 'tuning-slider';
+        slider.min = '-50';
+        slider.max = '50';
+        slider.step = '5';
+        slider.dataset.metric = metric;
+        slider.addEventListener('input', handleTuningChange);
+        
+        const value = document.createElement('span');
+        value.className = 'tuning-value';
+        value.id = `weight-${metric}-value`;
+        
+        row.append(label, slider, value);
+        weightSliders.appendChild(row);
+    });
+}
+
+/**
+ * Move the sliders to the selected profile's weights and the default blend,
+ * and clear any overrides
+ */
+function resetTuning() {
+    const weights = RankingEngine.getWeightsForProfile(getUserProfile()) || {};
+    
+    TUNABLE_METRICS.forEach(metric => {
+        const slider = document.getElementById(`weight-${metric}`);
+        slider.value = Math.round((weights[metric] || 0) * 100);
+        document.getElementById(`weight-${metric}-value`).textContent = (slider.value / 100).toFixed(2);
+    });
+    blendSlider.value = Math.round(DEFAULT_BLEND * 100);
+    blendValue.textContent = `${blendSlider.value} / ${100 - blendSlider.value}`;
+    
+    rankingOverrides = null;
+}
+
+/**
+ * Handle a tuning slider move - store overrides and re-run the last search
+ */
+function handleTuningChange() {
+    const weights = {};
+    TUNABLE_METRICS.forEach(metric => {
+        const slider = document.getElementById(`weight-${metric}`);
+        weights[metric] = Number(slider.value) / 100;
+        document.getElementById(`weight-${metric}-value`).textContent = weights[metric].toFixed(2);
+    });
+    
+    const blend = Number(blendSlider.value) / 100;
+    blendValue.textContent = `${blendSlider.value} / ${100 - blendSlider.value}`;
+    
+    rankingOverrides = { weights, blend };
+    
+    // Re-run the search shortly after the user stops dragging
+    clearTimeout(tuningDebounceTimer);
+    if (lastSearchContext) {
+        tuningDebounceTimer = setTimeout(handleSearch, 250);
+    }
+}
+
+/**
+ * Handle the diversify toggle - re-run the last search with or without diversification
+ */
+function handleDiversifyChange() {
+    if (lastSearchContext) {
+        handleSearch();
+    }
+}
+
+/**
+ * Handle reset button - go back to the profile's weights and re-run the last search
+ */
+function handleTuningReset() {
+    resetTuning();
+    if (lastSearchContext) {
+        handleSearch();
+    }
+}
+
+/**
+ * Handle profile change - re-rank and re-display the last results
+ */
+function handleProfileChange() {
+    // Start tuning from the new profile's weights
+    resetTuning();
+    
+    if (!lastSearchContext) {
+        console.log('ℹ No previous search to re-rank');
+        return;
+    }
+    
+    const newProfile = getUserProfile();
+    const previousProfile = lastSearchContext.profile;
+    
+    if (newProfile === previousProfile) {
+        console.log('ℹ Same profile selected, no re-ranking needed');
+        return;
+    }
+    
+    console.log(`\n🔄 Profile switched from "${previousProfile}" to "${newProfile}"`);
+    
+    // Update search context with new profile
+    lastSearchContext.profile = newProfile;
+    
+    // Re-rank and display
+    rankAndDisplayResults(lastSearchContext);
+}
+
+/**
+ * Check whether any constraint is set to "Must match" (e.g. readingTimeMode: 'require')
+ */
+function hasRequiredConstraint(constraints) {
+    return RankingEngine.CONSTRAINT_NAMES.some(name => RankingEngine.getConstraintMode(constraints, name) === 'require');
+}
+
+/**
+ * Handle a constraint control change - re-rank and re-display the last results
+ * Required constraints are applied by the server, which leaves out the results
+ * breaking them; while one is (or was) required, only a new search can show
+ * the right results, so soft-constraint edits are the only ones ranked locally.
+ */
+function handleConstraintChange() {
+    if (!lastSearchContext) {
+        return;
+    }
+    
+    const constraints = getConstraints();
+    console.log('\n🔄 Constraints changed:', constraints);
+    
+    if (hasRequiredConstraint(constraints) || hasRequiredConstraint(lastSearchContext.constraints)) {
+        handleSearch();
+        return;
+    }
+    
+    lastSearchContext.constraints = constraints;
+    rankAndDisplayResults(lastSearchContext);
+}
+
+/**
+ * Create an ID for one displayed ranking
+ */
+function createSearchId() {
+    if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+        return window.crypto.randomUUID();
+    }
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * Send feedback events for weight training (see feedback-log.js)
+ * Feedback is best effort: failures are logged and never shown to the user.
+ * @param {Array} events - Impression, click or dwell events
+ */
+function sendFeedback(events) {
+    requestApi('/feedback', { method: 'POST', body: { events }, keepalive: true })
+        .catch(error => console.warn('✗ Feedback not sent:', error.message));
+}
+
+/**
+ * Ranking metric values of a result as the trainer sees them (0-1 each)
+ * @param {Object} result - Ranked result
+ * @returns {Object} - Metric → value
+ */
+function getFeatureValues(result) {
+    const values = { ...RankingEngine.getMetricValues(result) };
+    values.relevance = result.scoreBreakdown ? result.scoreBreakdown.relevance.score : 0;
+    
+    const features = {};
+    RankingEngine.METRIC_NAMES.forEach(metric => {
+        features[metric] = Math.min(1, Math.max(0, Number(values[metric]) || 0));
+    });
+    return features;
+}
+
+/**
+ * Experiment fields of a search response, or null when no experiment ran
+ * @param {Object} metadata - Response metadata
+ * @returns {Object|null} - { experiment, variant, teams }
+ */
+function getExperimentFields(metadata) {
+    if (!metadata || !metadata.experiment) {
+        return null;
+    }
+    return { experiment: metadata.experiment, variant: metadata.variant, teams: { ...metadata.teams } };
+}
+
+/**
+ * Report the results shown (in batches of at most 50, as the API accepts)
+ * Rankings from an experiment carry its id, the variant and each result's team.
+ * @param {Array} results - Ranked results, in display order
+ * @param {number} firstPosition - Position of the first result (1-based)
+ */
+function reportImpressions(results, firstPosition) {
+    const shown = results.map((result, index) => {
+        const entry = { id: result.id, position: firstPosition + index, features: getFeatureValues(result) };
+        if (feedbackExperiment && feedbackExperiment.teams[result.id]) {
+            entry.team = feedbackExperiment.teams[result.id];
+        }
+        return entry;
+    });
+    
+    const experimentFields = feedbackExperiment
+        ? { experiment: feedbackExperiment.experiment, variant: feedbackExperiment.variant }
+        : {};
+    for (let start = 0; start < shown.length; start += 50) {
+        sendFeedback([{
+            type: 'impression',
+            searchId: feedbackSearchId,
+            profile: getUserProfile(),
+            ...experimentFields,
+            results: shown.slice(start, start + 50)
+        }]);
+    }
+}
+
+/**
+ * Report a click on a result's title link; dwell is measured until the user comes back
+ */
+function handleResultClick(event) {
+    const link = event.target.closest('.result-title-link');
+    const card = link && link.closest('.result-card-wrapper');
+    if (!card || !feedbackSearchId) {
+        return;
+    }
+    
+    const resultId = Number(card.dataset.resultId);
+    const position = displayedResults.findIndex(result => result.id === resultId) + 1;
+    if (position === 0) {
+        return;
+    }
+    
+    pendingClick = { searchId: feedbackSearchId, resultId, clickedAt: Date.now() };
+    sendFeedback([{ type: 'click', searchId: feedbackSearchId, resultId, position }]);
+}
+
+/**
+ * Report dwell time when the user returns to the results after a click
+ */
+function handleVisibilityChange() {
+    if (document.visibilityState !== 'visible' || !pendingClick) {
+        return;
+    }
+    
+    const { searchId, resultId, clickedAt } = pendingClick;
+    pendingClick = null;
+    sendFeedback([{ type: 'dwell', searchId, resultId, dwellMs: Math.min(Date.now() - clickedAt, 86400000) }]);
+}
+
+/**
+ * Initialize event listeners
+ */
+function initializeEventListeners() {
+    searchBtn.addEventListener('click', handleSearch);
+    searchInput.addEventListener('keypress', handleEnterKey);
+    profileSelect.addEventListener('change', handleProfileChange);
+    budgetInput.addEventListener('input', handleConstraintChange);
+    currencySelect.addEventListener('change', handleConstraintChange);
+    readingTimeInput.addEventListener('change', handleConstraintChange);
+    skillLevelInput.addEventListener('change', handleConstraintChange);
+    Object.values(requiredToggles).forEach(toggle => toggle.addEventListener('change', handleConstraintChange));
+    blendSlider.addEventListener('input', handleTuningChange);
+    diversifyToggle.addEventListener('change', handleDiversifyChange);
+    resetTuningBtn.addEventListener('click', handleTuningReset);
+    compareBtn.addEventListener('click', handleCompare);
+    resultsContainer.addEventListener('click', handleResultClick);
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    
+    console.log('✓ Event listeners initialized');
+}
+
+/**
+ * Initialize the application
+ */
+async function initializeApp() {
+    console.log('🚀 Initializing Decision-Aware Search...');
+    
+    // Load mock data, exchange rates and custom profiles
+    await loadSearchResults();
+    await loadExchangeRates();
+    await loadCustomProfiles();
+    
+    // Build tuning sliders from the selected profile
+    renderWeightSliders();
+    resetTuning();
+    
+    // Set up event listeners
+    initializeEventListeners();
+    
+    console.log('✓ Application ready\n');
+}
+
+// Start the application when DOM is ready
+document.addEventListener('DOMContentLoaded', initializeApp);
@@ -0,0 +1,228 @@
+/**
+ * Query Analyzer Module
+ *
+ * Turns a raw search query into keywords for ranking. Shared by the server
+ * (ranking-engine.js, search-index.js) and the browser (app.js), so it is
+ * wrapped to load as a CommonJS module or as the global `QueryAnalyzer`.
+ *
+ * Handles:
+ * - Stopwords ("for", "vs", "the") without dropping short meaningful terms ("AI", "ML", "JS")
+ * - Symbols in terms ("C++", "C#", "Node.js")
+ * - Quoted phrases ("\"wireless earbuds\"")
+ * - Multi-word tags from a known vocabulary (wireless earbuds → "wireless earbuds")
+ * - Acronym expansion (ML → "machine learning")
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.QueryAnalyzer = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+
+    /**
+     * Maximum number of keywords kept from a single query
+     */
+    const MAX_KEYWORDS = 10;
+
+    /**
+     * Words too common to carry meaning in a query or document
+     */
+    const STOPWORDS = new Set([
+        'a', 'an', 'and', 'are', 'as', 'at', 'be', 'best', 'by', 'can', 'do', 'does',
+        'for', 'from', 'how', 'i', 'in', 'is', 'it', 'me', 'my', 'of', 'on', 'or',
+        'that', 'the', 'this', 'to', 'top', 'versus', 'vs', 'what', 'which', 'with',
+        'you', 'your'
+    ]);
+
+    /**
+     * Common acronyms and the phrase they stand for
+     */
+    const ACRONYMS = {
+        ai: 'artificial intelligence',
+        ml: 'machine learning',
+        js: 'javascript',
+        ts: 'typescript',
+        ui: 'user interface',
+        ux: 'user experience',
+        db: 'database',
+        gcp: 'google cloud',
+        aws: 'amazon web services',
+        pc: 'personal computer'
+    };
+
+    /**
+     * Token pattern: starts with a letter or digit and may contain "+", "#" or
+     * inner dots, so "c++", "c#" and "node.js" stay whole
+     */
+    const TOKEN_PATTERN = /[a-z0-9][a-z0-9+#]*(?:\.[a-z0-9]+)*/g;
+
+    /**
+     * Reduce a word to its stem by stripping common English suffixes
+     * ("courses" → "cours", "course" → "cours", "learning" → "learn")
+     * @param {string} word - Lowercase word
+     * @returns {string} - Stem
+     */
+    function stem(word) {
+        if (word.length <= 3 || /[^a-z]/.test(word)) {
+            return word;
+        }
+
+        const rules = [
+            [/ies$/, 'y'],
+            [/(ss)es$/, '$1'],
+            [/([^s])s$/, '$1'],
+            [/ing$/, ''],
+            [/edly$/, ''],
+            [/ed$/, ''],
+            [/ly$/, ''],
+            [/ment$/, ''],
+            [/e$/, '']
+        ];
+
+        let stemmed = word;
+        for (const [pattern, replacement] of rules) {
+            const candidate = stemmed.replace(pattern, replacement);
+            if (candidate !== stemmed && candidate.length >= 3) {
+                stemmed = candidate;
+            }
+        }
+        return stemmed;
+    }
+
+    /**
+     * Split text into lowercase words (no stopword removal or stemming)
+     */
+    function splitWords(text) {
+        return String(text || '').toLowerCase().match(TOKEN_PATTERN) || [];
+    }
+
+    /**
+     * Check whether a word is a stopword
+     */
+    function isStopword(word) {
+        return STOPWORDS.has(word);
+    }
+
+    /**
+     * Split text into stemmed tokens, dropping stopwords
+     * @param {string} text - Text to tokenize
+     * @returns {Array} - Array of stemmed tokens
+     */
+    function tokenize(text) {
+        return splitWords(text)
+            .filter(word => !isStopword(word))
+            .map(stem);
+    }
+
+    /**
+     * Check whether a keyword appears in a text as whole words
+     * Multi-word keywords must appear as a contiguous sequence. Words are
+     * compared by stem, so "course" matches "courses" but "java" does not
+     * match "javascript" and "ai" does not match "pair".
+     * @param {string} text - Text to search (e.g. a tag or category)
+     * @param {string} keyword - Keyword from analyzeQuery()
+     * @returns {boolean}
+     */
+    function matchesKeyword(text, keyword) {
+        const textTokens = tokenize(text);
+        const keywordTokens = tokenize(keyword);
+
+        if (keywordTokens.length === 0 || keywordTokens.length > textTokens.length) {
+            return false;
+        }
+
+        for (let start = 0; start <= textTokens.length - keywordTokens.length; start++) {
+            if (keywordTokens.every((token, offset) => textTokens[start + offset] === token)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Analyze a search query
+     *
+     * @param {string} query - Raw search query
+     * @param {Object} options
+     *   - vocabulary: Array of known multi-word tags (e.g. result tags) to
+     *     recognise in unquoted text
+     * @returns {Object} - Analysis
+     *   - phrases: quoted phrases and recognised multi-word tags
+     *   - terms: remaining single words (stopwords removed)
+     *   - expansions: phrases for acronyms found in the query
+     *   - keywords: phrases, terms and expansions combined (max 10)
+     */
+    function analyzeQuery(query, options = {}) {
+        const text = String(query || '').toLowerCase();
+        const phrases = [];
+
+        // 1. Quoted phrases are kept as-is
+        const unquoted = text.replace(/"([^"]+)"/g, (match, phrase) => {
+            const words = splitWords(phrase);
+            if (words.length > 0) {
+                phrases.push(words.join(' '));
+            }
+            return ' ';
+        });
+
+        // 2. Recognise multi-word tags from the vocabulary, longest first
+        const vocabulary = (options.vocabulary || [])
+            .map(tag => splitWords(tag).join(' '))
+            .filter(tag => tag.includes(' '))
+            .sort((a, b) => b.split(' ').length - a.split(' ').length);
+
+        const words = splitWords(unquoted);
+        const consumed = new Array(words.length).fill(false);
+
+        for (const tag of new Set(vocabulary)) {
+            const tagWords = tag.split(' ');
+            for (let start = 0; start <= words.length - tagWords.length; start++) {
+                const span = words.slice(start, start + tagWords.length);
+                const free = consumed.slice(start, start + tagWords.length).every(used => !used);
+                if (free && span.join(' ') === tag) {
+                    phrases.push(tag);
+                    for (let i = start; i < start + tagWords.length; i++) {
+                        consumed[i] = true;
+                    }
+                }
+            }
+        }
+
+        // 3. Remaining words, minus stopwords
+        const terms = words.filter((word, i) => !consumed[i] && !isStopword(word));
+
+        // 4. Acronym expansions (from any word, including inside phrases)
+        const expansions = splitWords(text)
+            .filter(word => ACRONYMS.hasOwnProperty(word))
+            .map(word => ACRONYMS[word]);
+
+        const keywords = Array.from(new Set([...phrases, ...terms, ...expansions])).slice(0, MAX_KEYWORDS);
+
+        return {
+            phrases: Array.from(new Set(phrases)),
+            terms: Array.from(new Set(terms)),
+            expansions: Array.from(new Set(expansions)),
+            keywords
+        };
+    }
+
+    /**
+     * Extract keywords from a search query
+     * @param {string} query - Search query
+     * @param {Object} options - See analyzeQuery()
+     * @returns {Array} - Array of lowercase keywords
+     */
+    function extractKeywords(query, options = {}) {
+        return analyzeQuery(query, options).keywords;
+    }
+
+    return {
+        analyzeQuery,
+        extractKeywords,
+        matchesKeyword,
+        tokenize,
+        stem,
+        isStopword
+    };
+});
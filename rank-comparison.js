@@ -0,0 +1,147 @@
+/**
+ * Rank Comparison Module
+ *
+ * Statistics for comparing several rankings of the same results (one query
+ * ranked for different profiles or constraint sets): Kendall tau between each
+ * pair, the results that moved the most, and a table of each result's rank in
+ * every ranking.
+ */
+
+/**
+ * Number of "moved most" results reported per pair of rankings
+ */
+const DEFAULT_MAX_MOVES = 3;
+
+/**
+ * Map result id → 1-based rank
+ * @param {Array} ranking - Ranked results (objects with an id)
+ */
+function getRanks(ranking) {
+    const ranks = new Map();
+    ranking.forEach((result, index) => ranks.set(result.id, index + 1));
+    return ranks;
+}
+
+/**
+ * Kendall rank correlation between two rankings
+ * Only results present in both are compared. 1 = same order, -1 = reversed,
+ * around 0 = unrelated.
+ * @param {Array} rankingA - Ranked results
+ * @param {Array} rankingB - Ranked results
+ * @returns {number|null} - Tau in [-1, 1], or null with fewer than two shared results
+ */
+function kendallTau(rankingA, rankingB) {
+    const ranksB = getRanks(rankingB);
+    const shared = rankingA.filter(result => ranksB.has(result.id));
+    const n = shared.length;
+
+    if (n < 2) {
+        return null;
+    }
+
+    let concordant = 0;
+    let discordant = 0;
+    for (let i = 0; i < n; i++) {
+        for (let j = i + 1; j < n; j++) {
+            // shared is in A's order, so the pair agrees if B keeps i before j
+            if (ranksB.get(shared[i].id) < ranksB.get(shared[j].id)) {
+                concordant++;
+            } else {
+                discordant++;
+            }
+        }
+    }
+
+    return (concordant - discordant) / (n * (n - 1) / 2);
+}
+
+/**
+ * Results whose rank changed most between two rankings
+ * @returns {Array} - [{ id, title, fromRank, toRank, change }], change > 0 = moved up
+ */
+function getBiggestMoves(rankingA, rankingB, maxMoves = DEFAULT_MAX_MOVES) {
+    const ranksB = getRanks(rankingB);
+
+    return rankingA
+        .map((result, index) => ({
+            id: result.id,
+            title: result.title,
+            fromRank: index + 1,
+            toRank: ranksB.has(result.id) ? ranksB.get(result.id) : null
+        }))
+        .filter(move => move.toRank !== null && move.toRank !== move.fromRank)
+        .map(move => ({ ...move, change: move.fromRank - move.toRank }))
+        .sort((a, b) => Math.abs(b.change) - Math.abs(a.change) || a.fromRank - b.fromRank)
+        .slice(0, maxMoves);
+}
+
+/**
+ * Line up several rankings: one row per result with its rank in each
+ * Rows are ordered by average rank; `spread` is the gap between the result's
+ * best and worst rank, so large spreads mark where the rankings diverge.
+ * @param {Array} rankings - Array of ranked result arrays
+ * @param {Object} options
+ *   - limit: number (optional) - Only add rows for results in some ranking's top `limit`
+ *     (their ranks still come from the full rankings)
+ * @returns {Array} - [{ id, title, ranks: [rank|null, ...], spread }]
+ */
+function alignRankings(rankings, options = {}) {
+    const { limit = Infinity } = options;
+    const rankMaps = rankings.map(getRanks);
+    const rows = new Map();
+
+    rankings.forEach(ranking => {
+        ranking.slice(0, limit).forEach(result => {
+            if (!rows.has(result.id)) {
+                rows.set(result.id, { id: result.id, title: result.title });
+            }
+        });
+    });
+
+    const aligned = Array.from(rows.values()).map(row => {
+        const ranks = rankMaps.map(ranks => (ranks.has(row.id) ? ranks.get(row.id) : null));
+        const present = ranks.filter(rank => rank !== null);
+        return {
+            ...row,
+            ranks,
+            spread: Math.max(...present) - Math.min(...present),
+            averageRank: present.reduce((sum, rank) => sum + rank, 0) / present.length
+        };
+    });
+
+    aligned.sort((a, b) => a.averageRank - b.averageRank);
+    return aligned.map(({ averageRank, ...row }) => row);
+}
+
+/**
+ * Compare every pair of rankings
+ * @param {Array} rankings - Array of ranked result arrays
+ * @param {Object} options
+ *   - maxMoves: number (default: 3) - Moves reported per pair
+ * @returns {Array} - [{ from, to, kendallTau, biggestMoves }] with from/to as ranking indexes
+ */
+function compareRankings(rankings, options = {}) {
+    const { maxMoves = DEFAULT_MAX_MOVES } = options;
+    const comparisons = [];
+
+    for (let from = 0; from < rankings.length; from++) {
+        for (let to = from + 1; to < rankings.length; to++) {
+            comparisons.push({
+                from,
+                to,
+                kendallTau: kendallTau(rankings[from], rankings[to]),
+                biggestMoves: getBiggestMoves(rankings[from], rankings[to], maxMoves)
+            });
+        }
+    }
+
+    return comparisons;
+}
+
+// Exports
+module.exports = {
+    kendallTau,
+    getBiggestMoves,
+    alignRankings,
+    compareRankings
+};
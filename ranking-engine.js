@@ -1,504 +1,1144 @@
 /**
  * Ranking Engine Module
  * 
- * Core ranking logic extracted for use by both client-side and server-side code.
+ * Core ranking logic shared by the server (server.js) and the browser (app.js).
  * Provides pure functions for scoring and ranking search results based on profile and constraints.
+ * 
+ * Loads as a CommonJS module or as the global `RankingEngine`. In the browser,
+ * load query-analyzer.js, search-index.js and currency.js first. The server
+ * logs through logger.js, the browser to the console.
  */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        const fs = require('fs');
+        const path = require('path');
+        const readMockData = () => {
+            const dataPath = path.join(__dirname, 'data', 'results.json');
+            return JSON.parse(fs.readFileSync(dataPath, 'utf8')).results;
+        };
+        module.exports = factory(
+            require('./query-analyzer'),
+            require('./search-index'),
+            require('./currency'),
+            readMockData,
+            require('./logger').logger
+        );
+    } else {
+        root.RankingEngine = factory(root.QueryAnalyzer, root.SearchIndex, root.Currency, null, root.console);
+    }
+})(typeof self !== 'undefined' ? self : this, function (queryAnalyzer, searchIndex, currency, readMockData, logger) {
 
-const fs = require('fs');
-const path = require('path');
+    // Cache for loaded mock results and their full-text index
+    let mockResults = null;
+    let mockIndex = null;
 
-// Cache for loaded mock results
-let mockResults = null;
+    /**
+     * Profile-based ranking weights
+     * Maps user profiles to metric weights (0-1 scale)
+     * 
+     * IMPORTANT: These weights ONLY affect personalization scoring (30% of final score)
+     * They do NOT change result categories or introduce unrelated result types.
+     */
+    const profileWeights = {
+        student: {
+            simplicity: 0.30,      // Easy to understand concepts
+            relevance: 0.25,       // Must be relevant
+            recency: 0.15,         // Recent knowledge preferred
+            reviews: 0.15,         // Trust credibility of source
+            depth: 0.10,           // Some depth for learning
+            price: 0.05,           // Cost matters but less critical
+            citations: 0.00,       // Less important for students
+            readingTime: -0.05     // Shorter is better (negative bonus)
+        },
+        shopper: {
+            price: 0.35,           // Cost is primary concern
+            reviews: 0.30,         // Trust other buyers
+            relevance: 0.20,       // Must match what they want
+            simplicity: 0.10,      // Easy purchasing info
+            recency: 0.05,         // Recent prices/availability
+            depth: 0.00,
+            citations: 0.00,
+            readingTime: 0.00
+        },
+        researcher: {
+            citations: 0.35,       // Academic impact matters most
+            depth: 0.30,           // Detailed analysis needed
+            relevance: 0.20,       // Must be on-topic
+            reviews: 0.10,         // Peer credibility
+            recency: 0.05,         // Recent research preferred
+            simplicity: 0.00,      // Complexity acceptable
+            price: 0.00,
+            readingTime: 0.00
+        },
+        casual: {
+            relevance: 0.35,       // Must match search intent
+            recency: 0.25,         // Want current information
+            readingTime: -0.15,    // Prefer quick reads
+            simplicity: 0.20,      // Easy to understand
+            reviews: 0.10,         // General trustworthiness
+            price: 0.05,           // Some price awareness
+            depth: 0.00,
+            citations: 0.00
+        }
+    };
 
-/**
- * Profile-based ranking weights
- * Maps user profiles to metric weights (0-1 scale)
- * 
- * IMPORTANT: These weights ONLY affect personalization scoring (30% of final score)
- * They do NOT change result categories or introduce unrelated result types.
- */
-const profileWeights = {
-    student: {
-        simplicity: 0.30,      // Easy to understand concepts
-        relevance: 0.25,       // Must be relevant
-        recency: 0.15,         // Recent knowledge preferred
-        reviews: 0.15,         // Trust credibility of source
-        depth: 0.10,           // Some depth for learning
-        price: 0.05,           // Cost matters but less critical
-        citations: 0.00,       // Less important for students
-        readingTime: -0.05     // Shorter is better (negative bonus)
-    },
-    shopper: {
-        price: 0.35,           // Cost is primary concern
-        reviews: 0.30,         // Trust other buyers
-        relevance: 0.20,       // Must match what they want
-        simplicity: 0.10,      // Easy purchasing info
-        recency: 0.05,         // Recent prices/availability
-        depth: 0.00,
-        citations: 0.00,
-        readingTime: 0.00
-    },
-    researcher: {
-        citations: 0.35,       // Academic impact matters most
-        depth: 0.30,           // Detailed analysis needed
-        relevance: 0.20,       // Must be on-topic
-        reviews: 0.10,         // Peer credibility
-        recency: 0.05,         // Recent research preferred
-        simplicity: 0.00,      // Complexity acceptable
-        price: 0.00,
-        readingTime: 0.00
-    },
-    casual: {
-        relevance: 0.35,       // Must match search intent
-        recency: 0.25,         // Want current information
-        readingTime: -0.15,    // Prefer quick reads
-        simplicity: 0.20,      // Easy to understand
-        reviews: 0.10,         // General trustworthiness
-        price: 0.05,           // Some price awareness
-        depth: 0.00,
-        citations: 0.00
-    }
-};
+    /**
+     * Metrics a profile can weight
+     */
+    const METRIC_NAMES = ['relevance', 'simplicity', 'price', 'reviews', 'citations', 'depth', 'recency', 'readingTime'];
 
-/**
- * Get profile weights
- */
-function getProfileWeights() {
-    return profileWeights;
-}
+    /**
+     * Default share of the final score given to relevance (the rest is personalization)
+     */
+    const DEFAULT_BLEND = 0.7;
 
-/**
- * Load mock results from data/results.json
- */
-function getMockResults() {
-    if (!mockResults) {
-        try {
-            const dataPath = path.join(__dirname, 'data', 'results.json');
-            const data = fs.readFileSync(dataPath, 'utf8');
-            mockResults = JSON.parse(data).results;
-            console.log(`✓ Loaded ${mockResults.length} mock results`);
-        } catch (error) {
-            console.error('✗ Error loading mock results:', error.message);
-            mockResults = getDefaultResults();
+    /**
+     * Profile-based diversification lambdas (0-1)
+     * Used when a search asks to diversify: 1 keeps the pure score order,
+     * lower values trade more score for variety among the top results.
+     */
+    const profileDiversityLambdas = {
+        student: 0.7,
+        shopper: 0.6,       // Comparing options across stores matters
+        researcher: 0.85,   // Stay close to the strongest sources
+        casual: 0.65
+    };
+
+    /**
+     * Diversification lambda for profiles without their own
+     */
+    const DEFAULT_DIVERSITY_LAMBDA = 0.7;
+
+    // User-defined profiles (name → weights), kept in sync by profile-store.js
+    let customProfileWeights = {};
+
+    // Diversification lambdas of user-defined profiles (name → lambda), kept in sync by profile-store.js
+    let customDiversityLambdas = {};
+
+    // Promoted learned weights replacing built-in ones (name → weights), kept in sync by weight-store.js
+    let learnedProfileWeights = {};
+
+    /**
+     * Get profile weights for built-in and custom profiles
+     */
+    function getProfileWeights() {
+        return { ...customProfileWeights, ...profileWeights, ...learnedProfileWeights };
+    }
+
+    /**
+     * Get the weights for one profile
+     * @param {string} profile - Built-in or custom profile name
+     * @returns {Object|null} - Metric weights, or null for an unknown profile
+     */
+    function getWeightsForProfile(profile) {
+        if (learnedProfileWeights.hasOwnProperty(profile)) {
+            return learnedProfileWeights[profile];
+        }
+        if (profileWeights.hasOwnProperty(profile)) {
+            return profileWeights[profile];
         }
+        if (customProfileWeights.hasOwnProperty(profile)) {
+            return customProfileWeights[profile];
+        }
+        return null;
     }
-    return mockResults;
-}
 
-/**
- * Get default fallback results if data file not found
- */
-function getDefaultResults() {
-    return [
-        {
-            id: 1,
-            title: "Comprehensive Guide to Machine Learning",
-            url: "https://example.com/ml-guide",
-            summary: "A complete introduction to machine learning concepts",
-            category: "course",
-            tags: ["machine learning", "course", "tutorial", "learning"],
-            relevance: 0.95,
-            simplicity: 0.85,
-            price: 0.3,
-            reviews: 0.92,
-            citations: 0.7,
-            depth: 0.88,
-            recency: 0.75,
-            readingTime: 20
-        }
-    ];
-}
+    /**
+     * Check whether a profile name is built-in or custom
+     */
+    function isKnownProfile(profile) {
+        return getWeightsForProfile(profile) !== null;
+    }
 
-/**
- * Calculate normalized reading time penalty/bonus
- */
-function getReadingTimeScore(readingTime) {
-    const maxTime = 60;
-    const minTime = 5;
-    
-    if (readingTime <= minTime) return 1.0;
-    if (readingTime >= maxTime) return 0.0;
-    
-    return 1.0 - ((readingTime - minTime) / (maxTime - minTime));
-}
+    /**
+     * Check whether a profile name is one of the built-in profiles
+     */
+    function isBuiltInProfile(profile) {
+        return profileWeights.hasOwnProperty(profile);
+    }
 
-/**
- * Extract keywords from search query
- */
-function extractKeywords(query) {
-    return query
-        .toLowerCase()
-        .split(/\s+/)
-        .filter(word => word.length > 3)
-        .slice(0, 5);
-}
+    /**
+     * Get the weights actually used for a request
+     * Per-request overrides replace individual profile weights; unlisted metrics keep the profile's value.
+     * @param {string} profile - Built-in or custom profile name
+     * @param {Object} overrides - Optional metric → weight overrides
+     * @returns {Object|null} - Effective weights, or null for an unknown profile
+     */
+    function getEffectiveWeights(profile, overrides) {
+        const weights = getWeightsForProfile(profile);
+        if (!weights) {
+            return null;
+        }
+        return { ...weights, ...(overrides || {}) };
+    }
 
-/**
- * Compute relevance score based on keyword/category matching
- * Measures how well the result matches the search query intent (70% weight)
- */
-function computeRelevanceScore(result, queryKeywords) {
-    let score = 0;
-    let factors = 0;
-    
-    // Factor 1: Direct relevance metric from data (base score)
-    score += (result.relevance || 0) * 0.6;
-    factors += 0.6;
-    
-    // Factor 2: Category match to query intent
-    if (result.category && queryKeywords && queryKeywords.length > 0) {
-        const categoryMatch = queryKeywords.some(keyword => 
-            result.category.toLowerCase().includes(keyword) || 
-            keyword.includes(result.category.toLowerCase())
-        );
-        if (categoryMatch) {
-            score += 0.25;
-        }
-        factors += 0.25;
-    }
-    
-    // Factor 3: Tag match to query intent
-    if (result.tags && queryKeywords && queryKeywords.length > 0) {
-        const matchingTags = result.tags.filter(tag => 
-            queryKeywords.some(keyword => 
-                tag.toLowerCase().includes(keyword) || 
-                keyword.includes(tag.toLowerCase())
-            )
-        );
-        const tagMatchRatio = matchingTags.length / Math.max(1, result.tags.length);
-        score += tagMatchRatio * 0.15;
-        factors += 0.15;
+    /**
+     * Combine relevance and personalization scores
+     * @param {number} blend - Share of the final score given to relevance (0-1, default 0.7)
+     */
+    function blendScores(relevanceScore, personalizationScore, blend = DEFAULT_BLEND) {
+        return (blend * relevanceScore) + ((1 - blend) * personalizationScore);
     }
-    
-    // Normalize score to 0-1 range
-    const normalizedScore = factors > 0 ? score / factors : result.relevance || 0;
-    return Math.max(0, Math.min(1, normalizedScore));
-}
 
-/**
- * Compute personalization score based on user profile and constraints
- * Measures how well the result fits the user's preferences (30% weight)
- */
-function computePersonalizationScore(result, profile, constraints = {}) {
-    const weights = profileWeights[profile];
-    if (!weights) {
-        return 0.5;
-    }
-    
-    const readingTimeScore = getReadingTimeScore(result.readingTime || 15);
-    
-    const metrics = {
-        simplicity: result.simplicity || 0,
-        price: result.price || 0,
-        reviews: result.reviews || 0,
-        citations: result.citations || 0,
-        depth: result.depth || 0,
-        recency: result.recency || 0,
-        readingTime: readingTimeScore
+    /**
+     * Replace the set of custom profiles
+     * @param {Object} profiles - Map of profile name → metric weights
+     * @param {Object} diversityLambdas - Optional map of profile name → diversification lambda
+     */
+    function setCustomProfiles(profiles, diversityLambdas = {}) {
+        customProfileWeights = { ...profiles };
+        customDiversityLambdas = { ...diversityLambdas };
+    }
+
+    /**
+     * Get the diversification lambda of a profile
+     * @param {string} profile - Built-in or custom profile name
+     * @returns {number} - Lambda (0-1); DEFAULT_DIVERSITY_LAMBDA if the profile has none
+     */
+    function getDiversityLambda(profile) {
+        if (profileDiversityLambdas.hasOwnProperty(profile)) {
+            return profileDiversityLambdas[profile];
+        }
+        if (customDiversityLambdas.hasOwnProperty(profile)) {
+            return customDiversityLambdas[profile];
+        }
+        return DEFAULT_DIVERSITY_LAMBDA;
+    }
+
+    /**
+     * Replace built-in profile weights with learned ones
+     * Profiles left out go back to their hand-tuned weights; names that are
+     * not built-in profiles are ignored.
+     * @param {Object} profiles - Map of built-in profile name → metric weights
+     */
+    function setLearnedWeights(profiles) {
+        learnedProfileWeights = {};
+        for (const [name, weights] of Object.entries(profiles || {})) {
+            if (profileWeights.hasOwnProperty(name)) {
+                learnedProfileWeights[name] = { ...weights };
+            }
+        }
+    }
+
+    /**
+     * Get the hand-tuned weights of a built-in profile, ignoring learned ones
+     * @returns {Object|null} - Metric weights, or null if not a built-in profile
+     */
+    function getHandTunedWeights(profile) {
+        return profileWeights.hasOwnProperty(profile) ? { ...profileWeights[profile] } : null;
+    }
+
+    /**
+     * Load mock results from data/results.json (server only; the browser falls back
+     * to the default results)
+     * The full-text index over the corpus is built once, on first load.
+     */
+    function getMockResults() {
+        if (!mockResults) {
+            try {
+                if (!readMockData) {
+                    throw new Error('no mock data file in this environment');
+                }
+                const loadStart = Date.now();
+                mockResults = readMockData();
+                logger.info('Loaded mock results', { count: mockResults.length, durationMs: Date.now() - loadStart });
+            } catch (error) {
+                logger.error('Could not load mock results, using defaults', { error });
+                mockResults = getDefaultResults();
+            }
+            const indexStart = Date.now();
+            mockIndex = searchIndex.buildIndex(mockResults);
+            logger.info('Indexed mock results', { terms: mockIndex.postings.size, durationMs: Date.now() - indexStart });
+        }
+        return mockResults;
+    }
+
+    /**
+     * Get a full-text index covering the given results
+     * Reuses the mock corpus index when every result comes from it,
+     * otherwise (e.g. live results) indexes the results on the fly.
+     */
+    function getIndexFor(results) {
+        if (searchIndex.coversDocuments(mockIndex, results)) {
+            return mockIndex;
+        }
+        return searchIndex.buildIndex(results);
+    }
+
+    /**
+     * Get default fallback results if data file not found
+     */
+    function getDefaultResults() {
+        return [
+            {
+                id: 1,
+                title: "Comprehensive Guide to Machine Learning",
+                url: "https://example.com/ml-guide",
+                summary: "A complete introduction to machine learning concepts",
+                category: "course",
+                tags: ["machine learning", "course", "tutorial", "learning"],
+                relevance: 0.95,
+                simplicity: 0.85,
+                price: 0.3,
+                reviews: 0.92,
+                citations: 0.7,
+                depth: 0.88,
+                recency: 0.75,
+                readingTime: 20
+            }
+        ];
+    }
+
+    /**
+     * Calculate normalized reading time penalty/bonus
+     */
+    function getReadingTimeScore(readingTime) {
+        const maxTime = 60;
+        const minTime = 5;
+
+        if (readingTime <= minTime) return 1.0;
+        if (readingTime >= maxTime) return 0.0;
+
+        return 1.0 - ((readingTime - minTime) / (maxTime - minTime));
+    }
+
+    /**
+     * Get a result's personalization metric values (every metric but relevance, 0-1)
+     * @param {Object} result - Search result
+     * @returns {Object} - Metric → value
+     */
+    function getMetricValues(result) {
+        return {
+            simplicity: result.simplicity || 0,
+            price: result.price || 0,
+            reviews: result.reviews || 0,
+            citations: result.citations || 0,
+            depth: result.depth || 0,
+            recency: result.recency || 0,
+            readingTime: getReadingTimeScore(result.readingTime || 15)
+        };
+    }
+
+    /**
+     * Extract keywords from search query
+     * @param {string} query - Search query
+     * @param {Array} results - Optional results whose multi-word tags should be recognised as phrases
+     */
+    function extractKeywords(query, results = []) {
+        const vocabulary = [];
+        results.forEach(result => vocabulary.push(...(result.tags || [])));
+        return queryAnalyzer.extractKeywords(query || '', { vocabulary });
+    }
+
+    /**
+     * Check whether a keyword and a category/tag match as whole words, in either direction
+     * ("headphones" matches "gaming headphones", "wireless earbuds" matches "earbuds")
+     */
+    function keywordMatches(text, keyword) {
+        return queryAnalyzer.matchesKeyword(text, keyword) || queryAnalyzer.matchesKeyword(keyword, text);
+    }
+
+    /**
+     * Share of the relevance score given to each relevance component
+     */
+    const relevanceComponentWeights = {
+        base: 0.6,        // Relevance metric from the data
+        text: 0.4,        // Full-text (BM25) match
+        category: 0.25,   // Category matches the query
+        tags: 0.15        // Share of tags matching the query
     };
-    
-    let profileScore = 0;
-    let totalWeight = 0;
-    
-    for (const [metric, weight] of Object.entries(weights)) {
-        if (metric === 'relevance' || !metrics.hasOwnProperty(metric)) {
-            continue;
-        }
-        
-        if (weight !== 0) {
-            profileScore += metrics[metric] * weight;
+
+    /**
+     * Break the relevance score down into its components
+     * Each component's contribution is its share of the normalized score, so the
+     * contributions add up to the relevance score.
+     * 
+     * @param {Object} result - Search result
+     * @param {Array} queryKeywords - Keywords extracted from the query
+     * @param {number} textScore - Optional normalized BM25 score (0-1) from the search index
+     * @returns {Object} - { score, components: { base, text, category, tags } }
+     *   (text, category and tags are null when they do not apply)
+     */
+    function computeRelevanceBreakdown(result, queryKeywords, textScore) {
+        const hasKeywords = Boolean(queryKeywords && queryKeywords.length > 0);
+        const components = {
+            base: { value: result.relevance || 0, weight: relevanceComponentWeights.base },
+            text: null,
+            category: null,
+            tags: null
+        };
+
+        // Full-text match over title, summary, tags and category
+        if (typeof textScore === 'number') {
+            components.text = { value: textScore, weight: relevanceComponentWeights.text };
+        }
+
+        // Category match to query intent
+        if (result.category && hasKeywords) {
+            const matched = queryKeywords.some(keyword => keywordMatches(result.category, keyword));
+            components.category = { value: matched ? 1 : 0, weight: relevanceComponentWeights.category, matched };
+        }
+
+        // Tag match to query intent
+        if (result.tags && hasKeywords) {
+            const matchingTags = result.tags.filter(tag => 
+                queryKeywords.some(keyword => keywordMatches(tag, keyword))
+            );
+            const tagMatchRatio = matchingTags.length / Math.max(1, result.tags.length);
+            components.tags = { value: tagMatchRatio, weight: relevanceComponentWeights.tags, matched: matchingTags };
+        }
+
+        // Normalize to 0-1 by the total weight of the components that apply
+        const applied = Object.values(components).filter(Boolean);
+        const totalWeight = applied.reduce((sum, component) => sum + component.weight, 0);
+        applied.forEach(component => {
+            component.contribution = totalWeight > 0 ? (component.value * component.weight) / totalWeight : 0;
+        });
+
+        const rawScore = totalWeight > 0
+            ? applied.reduce((sum, component) => sum + component.contribution, 0)
+            : result.relevance || 0;
+
+        return {
+            score: Math.max(0, Math.min(1, rawScore)),
+            components
+        };
+    }
+
+    /**
+     * Compute relevance score based on keyword/category matching
+     * Measures how well the result matches the search query intent (70% weight)
+     * 
+     * @param {Object} result - Search result
+     * @param {Array} queryKeywords - Keywords extracted from the query
+     * @param {number} textScore - Optional normalized BM25 score (0-1) from the search index
+     */
+    function computeRelevanceScore(result, queryKeywords, textScore) {
+        return computeRelevanceBreakdown(result, queryKeywords, textScore).score;
+    }
+
+    /**
+     * Break the personalization score down into weighted metrics and constraint adjustments
+     * Metric contributions add up to profileScore; profileScore plus the clamped
+     * constraint adjustment (clamped again to 0-1) gives the score.
+     * 
+     * @param {Object} result - Search result
+     * @param {string} profile - Profile name
+     * @param {Object} constraints - User constraints
+     * @param {Object} weights - Optional effective weights (default: the profile's weights)
+     * @param {Object} tuning - Optional constraint limits (see getConstraintAdjustments)
+     * @returns {Object} - { score, profileScore, metrics, constraints }
+     */
+    function computePersonalizationBreakdown(result, profile, constraints = {}, weights = getWeightsForProfile(profile), tuning = {}) {
+        const constraintBreakdown = getConstraintAdjustments(result, constraints, tuning);
+
+        if (!weights) {
+            return { score: 0.5, profileScore: 0.5, metrics: {}, constraints: constraintBreakdown };
+        }
+
+        const values = getMetricValues(result);
+
+        const metrics = {};
+        let totalWeight = 0;
+
+        for (const [metric, weight] of Object.entries(weights)) {
+            if (metric === 'relevance' || !values.hasOwnProperty(metric) || weight === 0) {
+                continue;
+            }
+            metrics[metric] = { value: values[metric], weight };
             totalWeight += Math.abs(weight);
         }
+
+        let profileScore = 0.5;
+        if (totalWeight > 0) {
+            profileScore = 0;
+            for (const entry of Object.values(metrics)) {
+                entry.contribution = (entry.value * entry.weight) / totalWeight;
+                profileScore += entry.contribution;
+            }
+        }
+
+        return {
+            score: Math.max(0, Math.min(1, profileScore + constraintBreakdown.clamped)),
+            profileScore,
+            metrics,
+            constraints: constraintBreakdown
+        };
     }
-    
-    let normalizedProfileScore = totalWeight > 0 ? profileScore / totalWeight : 0.5;
-    
-    // Apply constraint adjustments
-    const constraintBonus = applyConstraintAdjustments(result, constraints);
-    normalizedProfileScore += constraintBonus;
-    
-    return Math.max(0, Math.min(1, normalizedProfileScore));
-}
 
-/**
- * Apply constraint adjustments to personalization score
- * Constraints reduce scores but never remove results completely
- * 
- * Budget: Down-ranks expensive results (price score 0.0)
- * Reading Time: Down-ranks long articles if constraint is tight
- * Skill Level: Down-ranks content mismatch (too advanced for beginners, etc.)
- * 
- * Adjustments range from -0.25 (severe penalty) to +0.15 (bonus)
- */
-function applyConstraintAdjustments(result, constraints) {
-    let adjustment = 0;
-    const maxPenalty = -0.25;    // Maximum penalty for constraint violations
-    const maxBonus = 0.15;       // Maximum bonus for meeting constraints
-    
-    // ===== BUDGET CONSTRAINT =====
-    // Down-rank expensive items (low price scores) when budget is a concern
-    if (constraints.budget) {
-        const priceScore = result.price || 0;
-        // Price score 1.0 = free/cheap (bonus), 0.0 = expensive (penalty)
-        // Penalty for expensive items: -0.25 × (1 - priceScore)
-        const budgetPenalty = (1 - priceScore) * maxPenalty * 0.8;
-        adjustment += budgetPenalty;
-    }
-    
-    // ===== READING TIME CONSTRAINT =====
-    // Down-rank long articles when time-constrained
-    if (constraints.readingTime) {
-        const maxReadingTime = parseInt(constraints.readingTime);
-        const resultReadingTime = result.readingTime || 15;
-        
-        // Bonus for content within reading time
-        if (resultReadingTime <= maxReadingTime) {
-            adjustment += maxBonus * 0.4;
-        } else {
-            // Penalty for long content: proportional to how much it exceeds limit
-            const overageRatio = Math.min(1, (resultReadingTime - maxReadingTime) / maxReadingTime);
-            const readingTimePenalty = overageRatio * maxPenalty * 0.5;
-            adjustment += readingTimePenalty;
-        }
-        
-        // Additional bonus for simple content when time-constrained
-        adjustment += result.simplicity * (maxBonus * 0.15);
-    }
-    
-    // ===== SKILL LEVEL CONSTRAINT =====
-    // Down-rank content mismatch for skill level
-    if (constraints.skillLevel) {
-        if (constraints.skillLevel === 'beginner') {
-            // Boost simple content
-            adjustment += result.simplicity * (maxBonus * 0.6);
-            
-            // Penalize very advanced/deep content for beginners
-            // Penalty: -0.20 × (depth score)
-            const advancedPenalty = result.depth * maxPenalty * 0.5;
-            adjustment += advancedPenalty;
-        } 
-        else if (constraints.skillLevel === 'intermediate') {
-            // Intermediate learners prefer moderate depth
-            const depthOptimal = result.depth > 0.3 ? result.depth : 0.3;
-            adjustment += depthOptimal * (maxBonus * 0.2);
-        } 
-        else if (constraints.skillLevel === 'advanced') {
-            // Advanced users prefer depth and citations
-            adjustment += result.depth * (maxBonus * 0.4);
-            adjustment += result.citations * (maxBonus * 0.3);
-            
-            // Slightly penalize overly simple content for advanced users
-            const simplePenalty = (1 - result.depth) * maxPenalty * 0.1;
-            adjustment += simplePenalty;
-        }
-    }
-    
-    // Clamp adjustment to range [-0.25, +0.15]
-    // Penalties can be stronger than bonuses to enforce constraints
-    return Math.max(maxPenalty, Math.min(maxBonus, adjustment));
-}
+    /**
+     * Compute personalization score based on user profile and constraints
+     * Measures how well the result fits the user's preferences (30% weight by default)
+     * 
+     * @param {Object} result - Search result
+     * @param {string} profile - Profile name
+     * @param {Object} constraints - User constraints
+     * @param {Object} weights - Optional effective weights (default: the profile's weights)
+     */
+    function computePersonalizationScore(result, profile, constraints = {}, weights = getWeightsForProfile(profile)) {
+        return computePersonalizationBreakdown(result, profile, constraints, weights).score;
+    }
 
-/**
- * Filter results by query intent
- */
-function filterByQueryIntent(results, query) {
-    const keywords = extractKeywords(query);
-    
-    if (keywords.length === 0) {
-        return results;
-    }
-    
-    return results.filter(result => {
-        const resultTags = [
-            result.category || '',
-            ...(result.tags || [])
-        ].map(tag => tag.toLowerCase());
-        
-        return keywords.some(keyword => 
-            resultTags.some(tag => tag.includes(keyword) || keyword.includes(tag))
-        );
-    });
-}
+    /**
+     * Compare a result's real price with the user's budget
+     * The result price is converted into the budget currency before comparing.
+     * @param {Object} result - Search result with optional priceAmount/priceCurrency
+     * @param {Object} constraints - Constraints with budgetAmount/currency
+     * @returns {Object|null} - { price, budget, currency, withinBudget, overageRatio },
+     *   or null if the result has no price, no budget amount is set, or a currency is unknown
+     */
+    function getBudgetFit(result, constraints = {}) {
+        const budget = Number(constraints.budgetAmount);
+        if (!constraints.budgetAmount || !isFinite(budget) || budget <= 0) {
+            return null;
+        }
+        if (typeof result.priceAmount !== 'number') {
+            return null;
+        }
 
-/**
- * Score a single result using 70% relevance + 30% personalization
- */
-function scoreResult(result, profile, context = {}) {
-    const queryKeywords = context.queryKeywords || extractKeywords(context.query || '');
-    const constraints = context.constraints || {};
-    
-    const relevanceScore = computeRelevanceScore(result, queryKeywords);
-    const personalizationScore = computePersonalizationScore(result, profile, constraints);
-    
-    // 70% relevance, 30% personalization
-    const finalScore = (0.7 * relevanceScore) + (0.3 * personalizationScore);
-    
-    return finalScore;
-}
+        const budgetCurrency = (constraints.currency || 'USD').toUpperCase();
+        const price = currency.convert(result.priceAmount, result.priceCurrency || 'USD', budgetCurrency);
+        if (price === null) {
+            return null;
+        }
 
-/**
- * Generate explanations for why a result ranked well
- * Only shows reasons that meaningfully contributed (>= 0.6 threshold)
- */
-function generateExplanations(result, profile, constraints, queryKeywords, relevanceScore, personalizationScore) {
-    const explanations = [];
-    const weights = profileWeights[profile];
-    const scoreContributionThreshold = 0.6;
-    
-    // Category match
-    if (result.category && queryKeywords && queryKeywords.length > 0) {
-        const categoryMatch = queryKeywords.some(keyword => 
-            result.category.toLowerCase().includes(keyword) || 
-            keyword.includes(result.category.toLowerCase())
+        return {
+            price,
+            budget,
+            currency: budgetCurrency,
+            withinBudget: price <= budget,
+            overageRatio: Math.min(1, Math.max(0, (price - budget) / budget))
+        };
+    }
+
+    /**
+     * Constraints that take a mode, set as "<name>Mode" in the constraints object
+     */
+    const CONSTRAINT_NAMES = ['budget', 'readingTime', 'skillLevel'];
+
+    /**
+     * Constraint modes: "prefer" only adjusts scores (the default), "require"
+     * also removes results that break the constraint
+     */
+    const CONSTRAINT_MODES = ['prefer', 'require'];
+
+    /**
+     * Get the mode of one constraint
+     * @param {Object} constraints - User constraints (e.g. { readingTime: 5, readingTimeMode: 'require' })
+     * @param {string} name - One of CONSTRAINT_NAMES
+     * @returns {string} - 'prefer' or 'require'
+     */
+    function getConstraintMode(constraints, name) {
+        return constraints[`${name}Mode`] === 'require' ? 'require' : 'prefer';
+    }
+
+    /**
+     * Work out each constraint's adjustment to the personalization score
+     * Adjustments never remove results; required constraints do that in rankResults
+     * 
+     * Budget: Down-ranks results priced over the budget amount (converted to the
+     *         budget currency), or expensive results (price score 0.0) when either
+     *         the result price or the budget amount is unknown
+     * Reading Time: Down-ranks long articles if constraint is tight
+     * Skill Level: Down-ranks content mismatch (too advanced for beginners, etc.)
+     * 
+     * The total adjustment is clamped to -0.25 (severe penalty) .. +0.15 (bonus).
+     * Each constraint reports its raw adjustment and its share after clamping
+     * (scaled by the same factor as the total).
+     * 
+     * @param {Object} tuning - Optional { maxPenalty, maxBonus } replacing -0.25 and
+     *   0.15; every adjustment scales with them (used by ranking experiments)
+     * @returns {Object} - { budget, readingTime, skillLevel, raw, clamped }
+     *   Each constraint is null when not set, otherwise { raw, applied, ...details }
+     */
+    function getConstraintAdjustments(result, constraints = {}, tuning = {}) {
+        const {
+            maxPenalty = -0.25,      // Maximum penalty for constraint violations
+            maxBonus = 0.15          // Maximum bonus for meeting constraints
+        } = tuning;
+        const fitThreshold = 0.6;    // Metric score that counts as meeting a constraint
+        const adjustments = { budget: null, readingTime: null, skillLevel: null };
+
+        // ===== BUDGET CONSTRAINT =====
+        // Compare the real price against the converted budget when both are known,
+        // otherwise down-rank expensive items (low price scores)
+        const budgetFit = getBudgetFit(result, constraints);
+        if (budgetFit) {
+            // Penalty for items over budget: proportional to how much it exceeds the budget
+            const raw = budgetFit.withinBudget
+                ? maxBonus * 0.4
+                : maxPenalty * (0.6 + 0.4 * budgetFit.overageRatio);
+            adjustments.budget = { raw, fits: budgetFit.withinBudget, ...budgetFit };
+        } else if (constraints.budget) {
+            const priceScore = result.price || 0;
+            // Price score 1.0 = free/cheap (bonus), 0.0 = expensive (penalty)
+            // Penalty for expensive items: -0.25 × (1 - priceScore)
+            const raw = (1 - priceScore) * maxPenalty * 0.8;
+            adjustments.budget = { raw, fits: priceScore > fitThreshold, priceScore };
+        }
+
+        // ===== READING TIME CONSTRAINT =====
+        // Down-rank long articles when time-constrained
+        if (constraints.readingTime) {
+            const maxReadingTime = parseInt(constraints.readingTime);
+            const resultReadingTime = result.readingTime || 15;
+            const fits = resultReadingTime <= maxReadingTime;
+            let raw;
+
+            // Bonus for content within reading time
+            if (fits) {
+                raw = maxBonus * 0.4;
+            } else {
+                // Penalty for long content: proportional to how much it exceeds limit
+                const overageRatio = Math.min(1, (resultReadingTime - maxReadingTime) / maxReadingTime);
+                raw = overageRatio * maxPenalty * 0.5;
+            }
+
+            // Additional bonus for simple content when time-constrained
+            raw += result.simplicity * (maxBonus * 0.15);
+
+            adjustments.readingTime = {
+                raw,
+                fits: fits && Boolean(result.readingTime),
+                limit: maxReadingTime,
+                readingTime: result.readingTime
+            };
+        }
+
+        // ===== SKILL LEVEL CONSTRAINT =====
+        // Down-rank content mismatch for skill level
+        if (constraints.skillLevel) {
+            let raw = 0;
+            let fits = false;
+
+            if (constraints.skillLevel === 'beginner') {
+                // Boost simple content
+                raw += result.simplicity * (maxBonus * 0.6);
+
+                // Penalize very advanced/deep content for beginners
+                // Penalty: -0.20 × (depth score)
+                raw += result.depth * maxPenalty * 0.5;
+                fits = result.simplicity > fitThreshold;
+            } 
+            else if (constraints.skillLevel === 'intermediate') {
+                // Intermediate learners prefer moderate depth
+                const depthOptimal = result.depth > 0.3 ? result.depth : 0.3;
+                raw += depthOptimal * (maxBonus * 0.2);
+                fits = result.depth > 0.4;
+            } 
+            else if (constraints.skillLevel === 'advanced') {
+                // Advanced users prefer depth and citations
+                raw += result.depth * (maxBonus * 0.4);
+                raw += result.citations * (maxBonus * 0.3);
+
+                // Slightly penalize overly simple content for advanced users
+                raw += (1 - result.depth) * maxPenalty * 0.1;
+                fits = result.depth > fitThreshold;
+            }
+
+            adjustments.skillLevel = { raw, fits, level: constraints.skillLevel };
+        }
+
+        // Clamp the total to range [-0.25, +0.15]
+        // Penalties can be stronger than bonuses to enforce constraints
+        const set = Object.values(adjustments).filter(Boolean);
+        const raw = set.reduce((sum, adjustment) => sum + adjustment.raw, 0);
+        const clamped = Math.max(maxPenalty, Math.min(maxBonus, raw));
+        const scale = raw !== 0 ? clamped / raw : 1;
+        set.forEach(adjustment => {
+            adjustment.applied = adjustment.raw * scale;
+        });
+
+        return { ...adjustments, raw, clamped };
+    }
+
+    /**
+     * Say why a result breaks a constraint
+     * Unknown values (a result without a reading time) do not break it.
+     * @param {string} name - Constraint name
+     * @param {Object} adjustment - The constraint's entry from getConstraintAdjustments
+     * @returns {string|null} - Reason, or null if the result meets the constraint
+     */
+    function getConstraintViolation(name, adjustment) {
+        if (!adjustment || adjustment.fits) {
+            return null;
+        }
+
+        switch (name) {
+            case 'budget':
+                return adjustment.price !== undefined
+                    ? `${currency.formatAmount(adjustment.price, adjustment.currency)} is over the ${currency.formatAmount(adjustment.budget, adjustment.currency)} budget`
+                    : 'Not a budget option';
+            case 'readingTime':
+                return typeof adjustment.readingTime === 'number'
+                    ? `${adjustment.readingTime} min is over the ${adjustment.limit}-minute limit`
+                    : null;
+            case 'skillLevel':
+                return `Not suited to the ${adjustment.level} level`;
+            default:
+                return 'Does not meet the constraint';
+        }
+    }
+
+    /**
+     * Remove scored results that break a required constraint
+     * @param {Array} scoredResults - Results with scoreBreakdown
+     * @param {Object} constraints - User constraints with optional "<name>Mode" entries
+     * @returns {Object} - {
+     *     results,                  // Results meeting every required constraint
+     *     excluded: {
+     *       total, byConstraint,    // byConstraint: constraint name → results it excluded
+     *       results: [{ id, title, reasons: { constraint: reason } }]
+     *     }
+     *   }
+     */
+    function applyRequiredConstraints(scoredResults, constraints = {}) {
+        const required = CONSTRAINT_NAMES.filter(name => getConstraintMode(constraints, name) === 'require');
+        const excluded = { total: 0, byConstraint: {}, results: [] };
+
+        const results = scoredResults.filter(result => {
+            const reasons = {};
+            required.forEach(name => {
+                const violation = getConstraintViolation(name, result.scoreBreakdown.personalization.constraints[name]);
+                if (violation) {
+                    reasons[name] = violation;
+                    excluded.byConstraint[name] = (excluded.byConstraint[name] || 0) + 1;
+                }
+            });
+
+            if (Object.keys(reasons).length === 0) {
+                return true;
+            }
+            excluded.total++;
+            excluded.results.push({ id: result.id, title: result.title, reasons });
+            return false;
+        });
+
+        return { results, excluded };
+    }
+
+    /**
+     * Filter results by query intent
+     * Keeps results where at least one query term appears in the title,
+     * summary, tags or category (whole-word, stemmed match)
+     */
+    function filterByQueryIntent(results, query, index = getIndexFor(results)) {
+        const terms = queryAnalyzer.tokenize(extractKeywords(query, results).join(' '));
+
+        if (terms.length === 0) {
+            return results;
+        }
+
+        const matches = searchIndex.scoreQuery(index, terms);
+        return results.filter(result => matches.has(result.id));
+    }
+
+    /**
+     * Build the full score breakdown for a single result
+     * 
+     * @param {Object} result - Search result
+     * @param {string} profile - Profile name
+     * @param {Object} context
+     *   - queryKeywords / query: Query keywords, or the query to extract them from
+     *   - textScore: Optional normalized BM25 score
+     *   - relevance: Optional relevance breakdown to keep instead of computing one
+     *   - constraints: User constraints
+     *   - weights: Per-metric overrides of the profile weights
+     *   - blend: Relevance share of the final score (default: 0.7)
+     *   - constraintTuning: Constraint limits (see getConstraintAdjustments)
+     * @returns {Object} - scoreBreakdown
+     *   - final: blended score (0-1)
+     *   - blend: relevance share used
+     *   - relevance: { score, components: { base, text, category, tags } }
+     *   - personalization: { score, profileScore, metrics, constraints }
+     */
+    function computeScoreBreakdown(result, profile, context = {}) {
+        const queryKeywords = context.queryKeywords || extractKeywords(context.query || '');
+        const weights = getEffectiveWeights(profile, context.weights);
+        const blend = typeof context.blend === 'number' ? context.blend : DEFAULT_BLEND;
+
+        const relevance = context.relevance || computeRelevanceBreakdown(result, queryKeywords, context.textScore);
+        const personalization = computePersonalizationBreakdown(
+            result, profile, context.constraints || {}, weights, context.constraintTuning
         );
-        if (categoryMatch) {
+
+        return {
+            final: blendScores(relevance.score, personalization.score, blend),
+            blend,
+            relevance,
+            personalization
+        };
+    }
+
+    /**
+     * Score a single result using 70% relevance + 30% personalization
+     * context.weights and context.blend override the profile weights and the 70/30 split
+     */
+    function scoreResult(result, profile, context = {}) {
+        return computeScoreBreakdown(result, profile, context).final;
+    }
+
+    /**
+     * Human-readable labels for personalization metrics
+     */
+    const metricLabels = {
+        simplicity: 'Easy to understand',
+        price: 'Affordable',
+        reviews: 'Highly reviewed',
+        citations: 'Highly cited',
+        depth: 'Comprehensive and detailed',
+        recency: 'Recently updated',
+        readingTime: 'Quick to read'
+    };
+
+    /**
+     * Generate explanations for why a result ranked well, from its score breakdown
+     * A metric is only named when it scored >= 0.6 and contributed at least 0.1
+     * to the personalization score.
+     * 
+     * @param {Object} result - Search result
+     * @param {string} profile - Profile name
+     * @param {Object} breakdown - scoreBreakdown from computeScoreBreakdown()
+     * @returns {Array} - Array of explanation strings
+     */
+    function generateExplanations(result, profile, breakdown) {
+        const explanations = [];
+        const scoreContributionThreshold = 0.6;
+        const minMetricContribution = 0.1;
+        const { relevance, personalization } = breakdown;
+        const { category, tags } = relevance.components;
+        const { budget, readingTime, skillLevel } = personalization.constraints;
+
+        // Category match
+        if (category && category.matched) {
             explanations.push(`✓ Matches "${result.category}" result type you're looking for`);
         }
+
+        // Tag matches
+        if (tags && tags.matched.length > 0) {
+            const tagList = tags.matched.slice(0, 3).join(', ');
+            explanations.push(`✓ Matches your interests: ${tagList}${tags.matched.length > 3 ? ' ...' : ''}`);
+        }
+
+        // High relevance score
+        if (relevance.score >= scoreContributionThreshold) {
+            explanations.push(`✓ Highly relevant to your search (${Math.round(relevance.score * 100)}% match)`);
+        }
+
+        // Contributing factors, biggest contribution first
+        const contributingFactors = Object.entries(personalization.metrics)
+            .filter(([, entry]) => entry.value > scoreContributionThreshold && entry.contribution >= minMetricContribution)
+            .sort((a, b) => b[1].contribution - a[1].contribution)
+            .map(([metric]) => metricLabels[metric]);
+
+        // Reading time
+        if (readingTime && readingTime.fits) {
+            explanations.push(`✓ Fits your ${readingTime.limit}-minute reading time limit (${readingTime.readingTime} min)`);
+        }
+
+        // Budget
+        if (budget && budget.fits) {
+            if (budget.budget !== undefined) {
+                const priceText = budget.price === 0
+                    ? 'Free'
+                    : currency.formatAmount(budget.price, budget.currency);
+                explanations.push(`✓ ${priceText} — within your ${currency.formatAmount(budget.budget, budget.currency)} budget`);
+            } else {
+                explanations.push('✓ Respects your budget constraint');
+            }
+        }
+
+        // Skill level
+        if (skillLevel && skillLevel.fits) {
+            if (skillLevel.level === 'beginner') {
+                explanations.push('✓ Appropriate for beginner level');
+            } else if (skillLevel.level === 'intermediate') {
+                explanations.push('✓ Good depth for intermediate learners');
+            } else if (skillLevel.level === 'advanced') {
+                explanations.push('✓ Sufficient depth for advanced learners');
+            }
+        }
+
+        // Profile factors (top 2)
+        if (contributingFactors.length > 0) {
+            const topFactors = contributingFactors.slice(0, 2);
+            const factorTexts = topFactors.join(', ');
+            const profileName = profile.charAt(0).toUpperCase() + profile.slice(1);
+            explanations.push(`✓ ${profileName} preference: ${factorTexts}`);
+        }
+
+        // Fallback
+        if (explanations.length === 0) {
+            if (relevance.score >= 0.5) {
+                explanations.push(`✓ Relevant match (${Math.round(relevance.score * 100)}%)`);
+            } else {
+                explanations.push('✓ Best available match for your search');
+            }
+        }
+
+        return explanations;
     }
-    
-    // Tag matches
-    if (result.tags && queryKeywords && queryKeywords.length > 0) {
-        const matchingTags = result.tags.filter(tag => 
-            queryKeywords.some(keyword => 
-                tag.toLowerCase().includes(keyword) || 
-                keyword.includes(tag.toLowerCase())
-            )
-        );
-        if (matchingTags.length > 0) {
-            const tagList = matchingTags.slice(0, 3).join(', ');
-            explanations.push(`✓ Matches your interests: ${tagList}${matchingTags.length > 3 ? ' ...' : ''}`);
-        }
-    }
-    
-    // High relevance score
-    if (relevanceScore >= scoreContributionThreshold) {
-        explanations.push(`✓ Highly relevant to your search (${Math.round(relevanceScore * 100)}% match)`);
-    }
-    
-    // Contributing factors
-    const contributingFactors = [];
-    
-    if (weights.simplicity > 0.2 && result.simplicity > scoreContributionThreshold) {
-        contributingFactors.push('Easy to understand');
-    }
-    if (weights.price > 0.2 && result.price > scoreContributionThreshold) {
-        contributingFactors.push('Affordable');
-    }
-    if (weights.reviews > 0.2 && result.reviews > scoreContributionThreshold) {
-        contributingFactors.push('Highly reviewed');
-    }
-    if (weights.citations > 0.2 && result.citations > scoreContributionThreshold) {
-        contributingFactors.push('Highly cited');
-    }
-    if (weights.depth > 0.2 && result.depth > scoreContributionThreshold) {
-        contributingFactors.push('Comprehensive and detailed');
-    }
-    if (weights.recency > 0.15 && result.recency > scoreContributionThreshold) {
-        contributingFactors.push('Recently updated');
-    }
-    
-    // Reading time
-    if (constraints.readingTime) {
-        const maxTime = parseInt(constraints.readingTime);
-        if (result.readingTime && result.readingTime <= maxTime) {
-            explanations.push(`✓ Fits your ${maxTime}-minute reading time limit (${result.readingTime} min)`);
-        }
-    }
-    
-    // Budget
-    if (constraints.budget && result.price > scoreContributionThreshold) {
-        explanations.push('✓ Respects your budget constraint');
-    }
-    
-    // Skill level
-    if (constraints.skillLevel) {
-        if (constraints.skillLevel === 'beginner' && result.simplicity > scoreContributionThreshold) {
-            explanations.push('✓ Appropriate for beginner level');
-        } else if (constraints.skillLevel === 'intermediate' && result.depth > 0.4) {
-            explanations.push('✓ Good depth for intermediate learners');
-        } else if (constraints.skillLevel === 'advanced' && result.depth > scoreContributionThreshold) {
-            explanations.push('✓ Sufficient depth for advanced learners');
-        }
-    }
-    
-    // Profile factors (top 2)
-    if (contributingFactors.length > 0) {
-        const topFactors = contributingFactors.slice(0, 2);
-        const factorTexts = topFactors.join(', ');
-        const profileName = profile.charAt(0).toUpperCase() + profile.slice(1);
-        explanations.push(`✓ ${profileName} preference: ${factorTexts}`);
-    }
-    
-    // Fallback
-    if (explanations.length === 0) {
-        if (relevanceScore >= 0.5) {
-            explanations.push(`✓ Relevant match (${Math.round(relevanceScore * 100)}%)`);
-        } else {
-            explanations.push('✓ Best available match for your search');
-        }
-    }
-    
-    return explanations;
-}
 
-/**
- * Main ranking function
- * Takes a search request and returns ranked results
- * 
- * @param {Object} request - Search request
- *   - query: string (required)
- *   - profile: string (default: 'casual')
- *   - constraints: object (default: {})
- *   - results: array (required)
- * @returns {Array} - Ranked results with scores and explanations
- */
-function rankResults(request) {
-    const { query, profile = 'casual', constraints = {}, results = [] } = request;
-    
-    if (!results || results.length === 0) {
-        return [];
-    }
-    
-    // Step 1: Filter by query intent
-    const intentFilteredResults = filterByQueryIntent(results, query);
-    
-    if (intentFilteredResults.length === 0) {
-        return [];
-    }
-    
-    // Step 2: Extract query keywords
-    const queryKeywords = extractKeywords(query);
-    
-    // Step 3: Score and rank results
-    const scoredResults = intentFilteredResults.map(result => {
-        const relevanceScore = computeRelevanceScore(result, queryKeywords);
-        const personalizationScore = computePersonalizationScore(result, profile, constraints);
-        const finalScore = (0.7 * relevanceScore) + (0.3 * personalizationScore);
-        
+    /**
+     * Share of the similarity between two results given to each signal
+     */
+    const similarityWeights = {
+        category: 0.4,      // Same result type (guide, product, ...)
+        domain: 0.35,       // Same site
+        tags: 0.25          // Jaccard overlap of tags
+    };
+
+    /**
+     * Get the site of a result's URL, without "www."
+     */
+    function getDomain(result) {
+        const match = /^[a-z][a-z0-9+.-]*:\/\/(?:www\.)?([^/:?#]+)/i.exec(result.url || '');
+        return match ? match[1].toLowerCase() : '';
+    }
+
+    /**
+     * Similarity of two results from category, domain and tag overlap
+     * @returns {number} - 0 (nothing in common) to 1 (same category, site and tags)
+     */
+    function computeResultSimilarity(a, b) {
+        const tagsA = new Set((a.tags || []).map(tag => tag.toLowerCase()));
+        const tagsB = new Set((b.tags || []).map(tag => tag.toLowerCase()));
+        const sharedTags = Array.from(tagsA).filter(tag => tagsB.has(tag)).length;
+        const allTags = tagsA.size + tagsB.size - sharedTags;
+        const domainA = getDomain(a);
+
+        return (a.category && a.category === b.category ? similarityWeights.category : 0) +
+            (domainA && domainA === getDomain(b) ? similarityWeights.domain : 0) +
+            (allTags > 0 ? similarityWeights.tags * (sharedTags / allTags) : 0);
+    }
+
+    /**
+     * Explain why a result was moved up for variety
+     * @param {Object} result - Promoted result
+     * @param {Array} above - Results placed above it
+     */
+    function explainDiversityPromotion(result, above) {
+        const differences = [];
+        if (result.category && !above.some(other => other.category === result.category)) {
+            differences.push(`a different result type (${result.category})`);
+        }
+        const domain = getDomain(result);
+        if (domain && !above.some(other => getDomain(other) === domain)) {
+            differences.push(`a different source (${domain})`);
+        }
+
+        return differences.length > 0
+            ? `✓ Shown higher for variety: ${differences.join(' and ')} than the results above`
+            : '✓ Shown higher for variety: less overlap with the results above';
+    }
+
+    /**
+     * Re-order ranked results with Maximal Marginal Relevance (MMR)
+     * Each position goes to the result with the highest
+     *   lambda · score - (1 - lambda) · (max similarity to the results already placed)
+     * so near-duplicates of higher results give way to different ones. Every
+     * result gains scoreBreakdown.diversity = { lambda, scoreRank, maxSimilarity };
+     * results moved above their score rank get an explanation saying so.
+     * 
+     * @param {Array} rankedResults - Results sorted by score (highest first)
+     * @param {number} lambda - 1 keeps the score order, 0 only looks at variety
+     * @returns {Array} - Diversified results
+     */
+    function diversifyResults(rankedResults, lambda) {
+        const remaining = rankedResults.map((result, index) => ({ result, scoreRank: index + 1, maxSimilarity: 0 }));
+        const diversified = [];
+
+        while (remaining.length > 0) {
+            let bestIndex = 0;
+            let bestValue = -Infinity;
+            remaining.forEach((entry, index) => {
+                const value = (lambda * entry.result.score) - ((1 - lambda) * entry.maxSimilarity);
+                if (value > bestValue) {
+                    bestValue = value;
+                    bestIndex = index;
+                }
+            });
+
+            const [chosen] = remaining.splice(bestIndex, 1);
+            remaining.forEach(entry => {
+                entry.maxSimilarity = Math.max(entry.maxSimilarity, computeResultSimilarity(entry.result, chosen.result));
+            });
+
+            const { result } = chosen;
+            const promoted = diversified.length + 1 < chosen.scoreRank;
+            diversified.push({
+                ...result,
+                scoreBreakdown: {
+                    ...result.scoreBreakdown,
+                    diversity: {
+                        lambda,
+                        scoreRank: chosen.scoreRank,
+                        maxSimilarity: Math.round(chosen.maxSimilarity * 1000) / 1000
+                    }
+                },
+                explanations: promoted
+                    ? [...result.explanations, explainDiversityPromotion(result, diversified)]
+                    : result.explanations
+            });
+        }
+
+        return diversified;
+    }
+
+    /**
+     * Get the diversification lambda a ranking request asks for
+     * @param {Object} request - rankResults request (diversify, diversityLambda, profile)
+     * @returns {number|null} - Lambda, or null when the request is not diversified
+     */
+    function getRequestDiversityLambda(request) {
+        const lambda = typeof request.diversityLambda === 'number'
+            ? request.diversityLambda
+            : (request.diversify ? getDiversityLambda(request.profile || 'casual') : 1);
+        return lambda < 1 ? lambda : null;
+    }
+
+    /**
+     * Score one result of a search request and explain it
+     * @param {Object} relevanceContext - { queryKeywords, textScore } or { relevance } (see computeScoreBreakdown)
+     */
+    function scoreRequestResult(result, request, relevanceContext) {
+        const profile = request.profile || 'casual';
+        const scoreBreakdown = computeScoreBreakdown(result, profile, {
+            ...relevanceContext,
+            constraints: request.constraints || {},
+            weights: request.weights,
+            blend: typeof request.blend === 'number' ? request.blend : DEFAULT_BLEND,
+            constraintTuning: request.constraintTuning
+        });
+
         return {
             ...result,
-            score: finalScore,
+            score: scoreBreakdown.final,
             profile: profile,
-            explanations: generateExplanations(result, profile, constraints, queryKeywords, relevanceScore, personalizationScore)
+            scoreBreakdown,
+            explanations: generateExplanations(result, profile, scoreBreakdown)
+        };
+    }
+
+    /**
+     * Filter a request's results by query intent and score them, with full-text
+     * relevance from BM25 over the request's results
+     */
+    function scoreByRelevanceAndProfile(request) {
+        const { query, results } = request;
+
+        // Step 1: Filter by query intent
+        const index = getIndexFor(results);
+        const intentFilteredResults = filterByQueryIntent(results, query, index);
+
+        // Step 2: Extract query keywords and full-text scores
+        const queryKeywords = extractKeywords(query, results);
+        const queryTerms = queryAnalyzer.tokenize(queryKeywords.join(' '));
+        const textScores = searchIndex.normalizeScores(searchIndex.scoreQuery(index, queryTerms));
+
+        // Step 3: Score results
+        return intentFilteredResults.map(result => scoreRequestResult(result, request, {
+            queryKeywords,
+            textScore: textScores.has(result.id) ? textScores.get(result.id) : undefined
+        }));
+    }
+
+    /**
+     * Rank a search request and report the results required constraints removed
+     * 
+     * @param {Object} request - Search request
+     *   - query: string (required)
+     *   - profile: string (default: 'casual')
+     *   - constraints: object (default: {}) - "<name>Mode": "require" removes results
+     *     breaking that constraint (see CONSTRAINT_NAMES; default "prefer")
+     *   - results: array (required)
+     *   - weights: object (optional) - Per-metric overrides of the profile weights
+     *   - blend: number (optional) - Relevance share of the final score, 0-1 (default: 0.7)
+     *   - constraintTuning: object (optional) - { maxPenalty, maxBonus } for constraint adjustments
+     *   - diversify: boolean (optional) - Diversify with the profile's lambda (see diversifyResults)
+     *   - diversityLambda: number (optional) - Diversify with this lambda, 0-1 (1 = off)
+     *   - keepRelevance: boolean (optional) - Re-rank results ranked before (e.g. a page
+     *     from the server): skip intent filtering, keep each result's
+     *     scoreBreakdown.relevance and re-score only personalization and the blend.
+     *     BM25 statistics of a subset of the results would give slightly different relevance.
+     * @returns {Object} - { results, excluded } (see applyRequiredConstraints)
+     */
+    function rankResultsWithExclusions(request) {
+        const { constraints = {}, results = [] } = request;
+        const nothingRanked = { results: [], excluded: { total: 0, byConstraint: {}, results: [] } };
+
+        if (!results || results.length === 0) {
+            return nothingRanked;
+        }
+
+        // Step 1-3: Score every result; relevance either comes with the result or
+        // is computed against this result set
+        const scoredResults = request.keepRelevance
+            ? results.map(result => scoreRequestResult(result, request, { relevance: result.scoreBreakdown.relevance }))
+            : scoreByRelevanceAndProfile(request);
+
+        if (scoredResults.length === 0) {
+            return nothingRanked;
+        }
+
+        // Step 4: Drop results breaking a required constraint
+        const { results: keptResults, excluded } = applyRequiredConstraints(scoredResults, constraints);
+
+        // Step 5: Sort by score (highest first)
+        keptResults.sort((a, b) => b.score - a.score);
+
+        // Step 6: Optionally spread out near-duplicates
+        const diversityLambda = getRequestDiversityLambda(request);
+        return {
+            results: diversityLambda !== null ? diversifyResults(keptResults, diversityLambda) : keptResults,
+            excluded
         };
-    });
-    
-    // Step 4: Sort by score (highest first)
-    scoredResults.sort((a, b) => b.score - a.score);
-    
-    return scoredResults;
-}
-
-// Exports
-module.exports = {
-    rankResults,
-    getProfileWeights,
-    getMockResults,
-    extractKeywords,
-    computeRelevanceScore,
-    computePersonalizationScore,
-    scoreResult,
-    generateExplanations,
-    filterByQueryIntent
-};
+    }
+
+    /**
+     * Main ranking function
+     * Takes a search request (see rankResultsWithExclusions) and returns ranked results
+     * 
+     * @param {Object} request - Search request
+     * @returns {Array} - Ranked results with scores, scoreBreakdown and explanations
+     */
+    function rankResults(request) {
+        return rankResultsWithExclusions(request).results;
+    }
+
+    return {
+        rankResults,
+        rankResultsWithExclusions,
+        getProfileWeights,
+        getWeightsForProfile,
+        isKnownProfile,
+        isBuiltInProfile,
+        setCustomProfiles,
+        getDiversityLambda,
+        setLearnedWeights,
+        getHandTunedWeights,
+        getEffectiveWeights,
+        getMetricValues,
+        METRIC_NAMES,
+        DEFAULT_BLEND,
+        DEFAULT_DIVERSITY_LAMBDA,
+        getMockResults,
+        extractKeywords,
+        computeRelevanceScore,
+        computePersonalizationScore,
+        computeScoreBreakdown,
+        getConstraintAdjustments,
+        CONSTRAINT_NAMES,
+        CONSTRAINT_MODES,
+        getConstraintMode,
+        getConstraintViolation,
+        applyRequiredConstraints,
+        scoreResult,
+        generateExplanations,
+        computeResultSimilarity,
+        diversifyResults,
+        getRequestDiversityLambda,
+        filterByQueryIntent,
+        getBudgetFit
+    };
+});
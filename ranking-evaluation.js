@@ -0,0 +1,379 @@
+/**
+ * Ranking Evaluation
+ *
+ * Measures ranking quality offline against hand-made relevance judgments, so a
+ * change to scoring can be checked before it ships. Judgments file
+ * (JUDGMENTS_PATH env, or data/judgments.json by default):
+ *   {
+ *     "judgments": [
+ *       {
+ *         "query": "gaming headphones",
+ *         "profile": "shopper",
+ *         "constraints": { "budget": true, "budgetAmount": 50 },
+ *         "results": { "9": 3, "10": 2, "12": 1 }   // result id → grade 0-3
+ *       }
+ *     ]
+ *   }
+ *
+ * Every judged query is ranked with rankResults over the mock corpus
+ * (data/results.json); results without a grade count as 0. Reported per
+ * profile and overall, as means over queries:
+ *   NDCG@k - Discounted gain of the top k ((2^grade - 1) / log2(rank + 1)),
+ *            divided by that of the ideal order
+ *   MRR    - 1 / rank of the first relevant result (0 if none is ranked)
+ *   P@k    - Share of the top k that is relevant
+ * A result is relevant with a grade of at least RELEVANT_GRADE.
+ *
+ * The numbers are diffed against a stored baseline run (EVAL_BASELINE_PATH
+ * env, or data/eval-baseline.json), which is committed, so a ranking change
+ * shows its effect in review:
+ *   npm run evaluate                          # report + diff; exits 1 on a regression
+ *   npm run evaluate -- --k 3
+ *   npm run evaluate -- --update-baseline     # accept the current numbers
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Lowest grade that counts as relevant for MRR and P@k
+ */
+const RELEVANT_GRADE = 2;
+
+/**
+ * Cutoff for NDCG@k and P@k
+ */
+const DEFAULT_K = 5;
+
+/**
+ * Drops smaller than this are rounding noise, not regressions
+ */
+const REGRESSION_TOLERANCE = 0.001;
+
+/**
+ * Metric names, in report order
+ */
+const EVALUATION_METRICS = ['ndcg', 'mrr', 'precision'];
+
+/**
+ * Get the path of the judgments file
+ */
+function getJudgmentsPath() {
+    return process.env.JUDGMENTS_PATH || path.join(__dirname, 'data', 'judgments.json');
+}
+
+/**
+ * Get the path of the baseline run
+ */
+function getBaselinePath() {
+    return process.env.EVAL_BASELINE_PATH || path.join(__dirname, 'data', 'eval-baseline.json');
+}
+
+function round(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Grade of each ranked result, in rank order (unjudged results are 0)
+ * @param {Array} rankedIds - Result ids in rank order
+ * @param {Object} grades - Result id → grade
+ * @returns {Array} - Grades
+ */
+function gradesInRankOrder(rankedIds, grades) {
+    return rankedIds.map(id => Number(grades[String(id)]) || 0);
+}
+
+/**
+ * Discounted cumulative gain of the first k grades
+ */
+function dcg(grades, k) {
+    return grades.slice(0, k).reduce((sum, grade, index) => sum + (Math.pow(2, grade) - 1) / Math.log2(index + 2), 0);
+}
+
+/**
+ * NDCG@k of a ranking
+ * @param {Array} rankedIds - Result ids in rank order
+ * @param {Object} grades - Result id → grade
+ * @param {number} k - Cutoff
+ * @returns {number} - 0-1 (1 when nothing is graded above 0)
+ */
+function ndcgAtK(rankedIds, grades, k = DEFAULT_K) {
+    const ideal = dcg(Object.values(grades).map(Number).sort((a, b) => b - a), k);
+    return ideal === 0 ? 1 : dcg(gradesInRankOrder(rankedIds, grades), k) / ideal;
+}
+
+/**
+ * Reciprocal rank of the first relevant result
+ * @returns {number} - 0-1 (0 when no relevant result is ranked)
+ */
+function reciprocalRank(rankedIds, grades, relevantGrade = RELEVANT_GRADE) {
+    const index = gradesInRankOrder(rankedIds, grades).findIndex(grade => grade >= relevantGrade);
+    return index === -1 ? 0 : 1 / (index + 1);
+}
+
+/**
+ * Share of the top k that is relevant (a ranking shorter than k counts the missing places as misses)
+ * @returns {number} - 0-1
+ */
+function precisionAtK(rankedIds, grades, k = DEFAULT_K, relevantGrade = RELEVANT_GRADE) {
+    const relevant = gradesInRankOrder(rankedIds, grades).slice(0, k).filter(grade => grade >= relevantGrade).length;
+    return relevant / k;
+}
+
+/**
+ * Label that identifies a judged query in reports and baselines
+ */
+function getJudgmentKey(judgment) {
+    const constraints = judgment.constraints && Object.keys(judgment.constraints).length > 0
+        ? ` ${JSON.stringify(judgment.constraints)}`
+        : '';
+    return `${judgment.profile}: "${judgment.query}"${constraints}`;
+}
+
+/**
+ * Check the judgments file's shape
+ * @param {Object} data - Parsed judgments file
+ * @param {Function} isKnownProfile - Profile name check
+ * @returns {Array} - Error messages (empty when valid)
+ */
+function validateJudgments(data, isKnownProfile) {
+    if (!data || !Array.isArray(data.judgments) || data.judgments.length === 0) {
+        return ['Expected { "judgments": [...] } with at least one judgment'];
+    }
+
+    const errors = [];
+    const seen = new Set();
+    data.judgments.forEach((judgment, index) => {
+        const label = `judgments[${index}]`;
+        if (!judgment || typeof judgment.query !== 'string' || !judgment.query.trim()) {
+            errors.push(`${label}: "query" must be a non-empty string`);
+            return;
+        }
+        if (!isKnownProfile(judgment.profile)) {
+            errors.push(`${label}: unknown profile "${judgment.profile}"`);
+        }
+        if (judgment.constraints !== undefined && (typeof judgment.constraints !== 'object' || judgment.constraints === null)) {
+            errors.push(`${label}: "constraints" must be an object`);
+        }
+        const grades = judgment.results && typeof judgment.results === 'object' ? Object.entries(judgment.results) : [];
+        if (grades.length === 0) {
+            errors.push(`${label}: "results" must grade at least one result id`);
+        }
+        grades
+            .filter(([, grade]) => !Number.isInteger(grade) || grade < 0 || grade > 3)
+            .forEach(([id]) => errors.push(`${label}: grade of result ${id} must be an integer 0-3`));
+
+        const key = getJudgmentKey(judgment);
+        if (seen.has(key)) {
+            errors.push(`${label}: duplicate of ${key}`);
+        }
+        seen.add(key);
+    });
+    return errors;
+}
+
+/**
+ * Mean of each metric over a list of query scores
+ */
+function averageMetrics(scores) {
+    const averages = { queries: scores.length };
+    EVALUATION_METRICS.forEach(metric => {
+        averages[metric] = round(scores.reduce((sum, score) => sum + score[metric], 0) / scores.length);
+    });
+    return averages;
+}
+
+/**
+ * Rank every judged query and score it
+ * @param {Array} judgments - Validated judgments
+ * @param {Object} options
+ *   - rankResults: function - rankResults of the ranking engine
+ *   - results: Array - Corpus to rank
+ *   - k: number (default: DEFAULT_K)
+ *   - relevantGrade: number (default: RELEVANT_GRADE)
+ * @returns {Object} - { k, overall, profiles: { name: averages }, queries: { key: { ndcg, mrr, precision, ranked } } }
+ */
+function evaluateJudgments(judgments, options) {
+    const { rankResults, results, k = DEFAULT_K, relevantGrade = RELEVANT_GRADE } = options;
+    const queries = {};
+    const byProfile = {};
+
+    judgments.forEach(judgment => {
+        const ranked = rankResults({
+            query: judgment.query,
+            profile: judgment.profile,
+            constraints: judgment.constraints || {},
+            results
+        }).map(result => result.id);
+
+        const score = {
+            ndcg: round(ndcgAtK(ranked, judgment.results, k)),
+            mrr: round(reciprocalRank(ranked, judgment.results, relevantGrade)),
+            precision: round(precisionAtK(ranked, judgment.results, k, relevantGrade)),
+            ranked: ranked.slice(0, k)
+        };
+        queries[getJudgmentKey(judgment)] = score;
+        (byProfile[judgment.profile] = byProfile[judgment.profile] || []).push(score);
+    });
+
+    const profiles = {};
+    Object.keys(byProfile).sort().forEach(profile => {
+        profiles[profile] = averageMetrics(byProfile[profile]);
+    });
+
+    return { k, overall: averageMetrics(Object.values(queries)), profiles, queries };
+}
+
+/**
+ * Diff a run against the baseline
+ * @param {Object} run - From evaluateJudgments
+ * @param {Object} baseline - An earlier run
+ * @param {number} tolerance - Drops up to this much are ignored
+ * @returns {Object} - {
+ *     comparable: false when k differs,
+ *     changes: { 'overall' | profile: { metric: current - baseline } },
+ *     regressions: [{ scope, metric, baseline, current }]  (profiles, overall and single queries)
+ *   }
+ */
+function compareToBaseline(run, baseline, tolerance = REGRESSION_TOLERANCE) {
+    if (!baseline || baseline.k !== run.k) {
+        return { comparable: false, changes: {}, regressions: [] };
+    }
+
+    const changes = {};
+    const regressions = [];
+    const diff = (scope, current, previous) => {
+        if (!previous) {
+            return;
+        }
+        const delta = {};
+        EVALUATION_METRICS.forEach(metric => {
+            delta[metric] = round(current[metric] - previous[metric]);
+            if (delta[metric] < -tolerance) {
+                regressions.push({ scope, metric, baseline: previous[metric], current: current[metric] });
+            }
+        });
+        return delta;
+    };
+
+    changes.overall = diff('overall', run.overall, baseline.overall);
+    Object.entries(run.profiles).forEach(([profile, averages]) => {
+        changes[profile] = diff(profile, averages, (baseline.profiles || {})[profile]);
+    });
+    Object.entries(run.queries).forEach(([key, score]) => {
+        diff(key, score, (baseline.queries || {})[key]);
+    });
+
+    return { comparable: true, changes, regressions };
+}
+
+/**
+ * Format a report table with baseline changes
+ */
+function formatReport(run, comparison) {
+    const header = ['profile'.padEnd(12), 'queries', `NDCG@${run.k}`.padEnd(16), 'MRR'.padEnd(16), `P@${run.k}`];
+    const cell = (value, change) => {
+        const text = value.toFixed(3);
+        if (change === undefined || change === 0) {
+            return text.padEnd(16);
+        }
+        return `${text} (${change > 0 ? '+' : ''}${change.toFixed(3)})`.padEnd(16);
+    };
+    const row = (name, averages) => {
+        const change = comparison.changes[name] || {};
+        return [name.padEnd(12), String(averages.queries).padEnd(7), ...EVALUATION_METRICS.map(metric => cell(averages[metric], change[metric]))]
+            .join(' ').trimEnd();
+    };
+
+    return [
+        header.join(' '),
+        ...Object.entries(run.profiles).map(([profile, averages]) => row(profile, averages)),
+        row('overall', run.overall)
+    ].join('\n');
+}
+
+/**
+ * Read "--k 3" / "--update-baseline" from the command line
+ */
+function parseArgs(argv) {
+    const options = { k: DEFAULT_K, updateBaseline: false };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--update-baseline') {
+            options.updateBaseline = true;
+        } else if (argv[i] === '--k' && Number.isInteger(Number(argv[i + 1])) && Number(argv[i + 1]) > 0) {
+            options.k = Number(argv[++i]);
+        } else {
+            throw new Error(`Unknown option "${argv[i]}" (use --k <positive integer> or --update-baseline)`);
+        }
+    }
+    return options;
+}
+
+// Offline evaluation: rank the judged queries, report and diff against the baseline
+if (require.main === module) {
+    // Keep the report readable: only warnings and errors from the modules below
+    process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn';
+    const rankingEngine = require('./ranking-engine');
+
+    try {
+        const options = parseArgs(process.argv.slice(2));
+        const data = JSON.parse(fs.readFileSync(getJudgmentsPath(), 'utf8'));
+        const errors = validateJudgments(data, rankingEngine.isBuiltInProfile);
+        if (errors.length > 0) {
+            throw new Error(`Invalid judgments in ${getJudgmentsPath()}:\n  ${errors.join('\n  ')}`);
+        }
+
+        const run = evaluateJudgments(data.judgments, {
+            rankResults: rankingEngine.rankResults,
+            results: rankingEngine.getMockResults(),
+            k: options.k
+        });
+        const baselinePath = getBaselinePath();
+        const baseline = fs.existsSync(baselinePath) ? JSON.parse(fs.readFileSync(baselinePath, 'utf8')) : null;
+        const comparison = compareToBaseline(run, baseline);
+
+        console.log(`Ranking evaluation: ${data.judgments.length} judged queries, k = ${run.k}, relevant grade ≥ ${RELEVANT_GRADE}`);
+        console.log(formatReport(run, comparison));
+
+        if (!baseline) {
+            console.log('\nNo baseline yet; save one with --update-baseline');
+        } else if (!comparison.comparable) {
+            console.log(`\nBaseline uses k = ${baseline.k}; run with --k ${baseline.k} to compare`);
+        } else if (comparison.regressions.length > 0) {
+            console.log(`\nRegressions against the baseline (${baseline.createdAt}):`);
+            comparison.regressions.forEach(regression => {
+                console.log(`  ${regression.scope} ${regression.metric}: ${regression.baseline.toFixed(3)} → ${regression.current.toFixed(3)}`);
+            });
+        } else {
+            console.log(`\nNo regressions against the baseline (${baseline.createdAt})`);
+        }
+
+        if (options.updateBaseline) {
+            const tempPath = `${baselinePath}.tmp`;
+            fs.writeFileSync(tempPath, `${JSON.stringify({ createdAt: new Date().toISOString(), ...run }, null, 2)}\n`);
+            fs.renameSync(tempPath, baselinePath);
+            console.log(`Baseline written to ${baselinePath}`);
+        } else if (comparison.regressions.length > 0) {
+            process.exitCode = 1;
+        }
+    } catch (error) {
+        console.error(`Evaluation failed: ${error.message}`);
+        process.exitCode = 1;
+    }
+}
+
+// Exports
+module.exports = {
+    RELEVANT_GRADE,
+    DEFAULT_K,
+    EVALUATION_METRICS,
+    getJudgmentsPath,
+    ndcgAtK,
+    reciprocalRank,
+    precisionAtK,
+    getJudgmentKey,
+    validateJudgments,
+    evaluateJudgments,
+    compareToBaseline,
+    formatReport
+};
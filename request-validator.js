@@ -0,0 +1,291 @@
+/**
+ * Request Validator
+ *
+ * Express middleware that checks a request against its operation in the
+ * OpenAPI document (openapi.js): query and path parameters, then the JSON
+ * body. Query values arrive as strings, so integer, number and boolean
+ * parameters are converted first and the handler sees the converted values.
+ *
+ * Supports the schema keywords the document uses: type, enum, nullable,
+ * minimum/maximum, minLength/maxLength, items, minItems/maxItems, properties, required,
+ * additionalProperties and $ref to components.schemas.
+ *
+ * Every invalid field becomes one entry in the error's details, rendered by
+ * api-response.js:
+ *   {
+ *     code: "INVALID_LIMIT",
+ *     message: "Invalid limit. Must be an integer between 1 and 50",
+ *     details: [{ field: "limit", in: "query", message: "Invalid limit. Must be ..." }]
+ *   }
+ * The error code names the invalid field's kind when only one kind of field is
+ * wrong, otherwise it is VALIDATION_FAILED.
+ */
+
+const openapi = require('./openapi');
+const { createApiError } = require('./api-response');
+
+/**
+ * Error code per field, by the field's first path segment
+ */
+const FIELD_ERROR_CODES = {
+    q: 'QUERY_REQUIRED',
+    query: 'QUERY_REQUIRED',
+    profile: 'INVALID_PROFILE',
+    profiles: 'INVALID_PROFILE',
+    provider: 'INVALID_PROVIDER',
+    constraints: 'INVALID_CONSTRAINT',
+    budget: 'INVALID_CONSTRAINT',
+    budgetAmount: 'INVALID_CONSTRAINT',
+    currency: 'INVALID_CONSTRAINT',
+    readingTime: 'INVALID_CONSTRAINT',
+    skillLevel: 'INVALID_CONSTRAINT',
+    filters: 'INVALID_FILTER',
+    category: 'INVALID_FILTER',
+    tags: 'INVALID_FILTER',
+    minReadingTime: 'INVALID_FILTER',
+    maxReadingTime: 'INVALID_FILTER',
+    minTrust: 'INVALID_FILTER',
+    priceBand: 'INVALID_FILTER',
+    depth: 'INVALID_FILTER',
+    weights: 'INVALID_WEIGHTS',
+    blend: 'INVALID_BLEND',
+    limit: 'INVALID_LIMIT',
+    offset: 'INVALID_OFFSET',
+    cursor: 'INVALID_CURSOR',
+    variants: 'INVALID_VARIANTS',
+    events: 'INVALID_FEEDBACK'
+};
+
+/**
+ * Pick the error code for a list of field errors
+ */
+function getErrorCode(errors) {
+    const codes = new Set(errors.map(error => {
+        const root = error.field.split(/[.[]/)[0];
+        return Object.prototype.hasOwnProperty.call(FIELD_ERROR_CODES, root) ? FIELD_ERROR_CODES[root] : 'VALIDATION_FAILED';
+    }));
+    return codes.size === 1 ? codes.values().next().value : 'VALIDATION_FAILED';
+}
+
+/**
+ * Follow a "#/components/schemas/Name" reference
+ */
+function resolveSchema(schema, document) {
+    if (schema && schema.$ref) {
+        const name = schema.$ref.split('/').pop();
+        return document.components.schemas[name];
+    }
+    return schema || {};
+}
+
+/**
+ * Describe the expected number, e.g. "Must be an integer between 1 and 50"
+ */
+function describeNumber(schema) {
+    const noun = schema.type === 'integer' ? 'an integer' : 'a number';
+    const hasMin = schema.minimum !== undefined;
+    const hasMax = schema.maximum !== undefined;
+
+    if (hasMin && hasMax) return `Must be ${noun} between ${schema.minimum} and ${schema.maximum}`;
+    if (hasMin) return `Must be ${noun} of at least ${schema.minimum}`;
+    if (hasMax) return `Must be ${noun} of at most ${schema.maximum}`;
+    return `Must be ${noun}`;
+}
+
+/**
+ * Check a value against a schema, adding one error per invalid field
+ * @param {*} value - Value to check
+ * @param {Object} schema - Schema (may be a $ref)
+ * @param {string} field - Field path for messages, e.g. "constraints.currency"
+ * @param {string} location - "query", "path" or "body"
+ * @param {Object} document - OpenAPI document (for $ref)
+ * @param {Array} errors - Collected { field, in, message } entries
+ */
+function checkValue(value, schema, field, location, document, errors) {
+    schema = resolveSchema(schema, document);
+    const fail = message => errors.push({ field, in: location, message: `Invalid ${field}. ${message}` });
+
+    if (value === null) {
+        if (!schema.nullable) fail('Must not be null');
+        return;
+    }
+
+    if (schema.enum) {
+        if (!schema.enum.includes(value)) fail(`Must be one of: ${schema.enum.join(', ')}`);
+        return;
+    }
+
+    switch (schema.type) {
+        case 'string':
+            if (typeof value !== 'string') return fail('Must be a string');
+            if (schema.minLength !== undefined && value.length < schema.minLength) {
+                return fail(schema.minLength === 1 ? 'Must not be empty' : `Must be at least ${schema.minLength} characters`);
+            }
+            if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+                return fail(`Must be at most ${schema.maxLength} characters`);
+            }
+            return;
+
+        case 'integer':
+        case 'number': {
+            const valid = typeof value === 'number' && isFinite(value) &&
+                (schema.type === 'number' || Number.isInteger(value)) &&
+                (schema.minimum === undefined || value >= schema.minimum) &&
+                (schema.maximum === undefined || value <= schema.maximum);
+            if (!valid) fail(describeNumber(schema));
+            return;
+        }
+
+        case 'boolean':
+            if (typeof value !== 'boolean') fail('Must be true or false');
+            return;
+
+        case 'array':
+            if (!Array.isArray(value)) return fail('Must be an array');
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                return fail(`Must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+            }
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+                return fail(`Must have at most ${schema.maxItems} items`);
+            }
+            value.forEach((item, index) => checkValue(item, schema.items, `${field}[${index}]`, location, document, errors));
+            return;
+
+        case 'object':
+            checkObject(value, schema, field, location, document, errors);
+            return;
+
+        default:
+            return;
+    }
+}
+
+/**
+ * Check an object's required, declared and additional properties
+ * @param {string} prefix - Field path of the object ('' for the request body itself)
+ */
+function checkObject(value, schema, prefix, location, document, errors) {
+    const fieldName = key => (prefix ? `${prefix}.${key}` : key);
+
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        const field = prefix || location;
+        errors.push({ field, in: location, message: `Invalid ${field}. Must be an object` });
+        return;
+    }
+
+    const properties = schema.properties || {};
+
+    (schema.required || []).forEach(key => {
+        if (value[key] === undefined) {
+            errors.push({ field: fieldName(key), in: location, message: `"${fieldName(key)}" is required in request ${location}` });
+        }
+    });
+
+    for (const [key, item] of Object.entries(value)) {
+        if (item === undefined) {
+            continue;
+        }
+        // Own properties only: "constructor" or "__proto__" are not declared fields
+        if (Object.prototype.hasOwnProperty.call(properties, key)) {
+            checkValue(item, properties[key], fieldName(key), location, document, errors);
+        } else if (schema.additionalProperties === false) {
+            errors.push({ field: fieldName(key), in: location, message: `Unknown field "${fieldName(key)}"` });
+        } else if (typeof schema.additionalProperties === 'object') {
+            checkValue(item, schema.additionalProperties, fieldName(key), location, document, errors);
+        }
+    }
+}
+
+/**
+ * Convert a query or path string to the parameter's type
+ * Values that do not convert are returned unchanged so checkValue reports them.
+ */
+function coerceParameter(value, schema) {
+    if (typeof value !== 'string') {
+        return value;
+    }
+
+    const text = value.trim();
+    switch (schema.type) {
+        case 'integer':
+            return /^-?\d+$/.test(text) ? parseInt(text, 10) : value;
+        case 'number':
+            return text !== '' && isFinite(Number(text)) ? Number(text) : value;
+        case 'boolean':
+            if (text === 'true') return true;
+            if (text === 'false') return false;
+            return value;
+        default:
+            return value;
+    }
+}
+
+/**
+ * Check the parameters of one location ("query" or "path")
+ * @returns {Object} - Converted parameter values by name
+ */
+function checkParameters(operation, location, source, document, errors) {
+    const converted = {};
+
+    (operation.parameters || [])
+        .filter(parameter => parameter.in === location)
+        .forEach(parameter => {
+            const raw = source[parameter.name];
+
+            // An empty query value counts as not given
+            if (raw === undefined || raw === '') {
+                if (parameter.required) {
+                    const message = location === 'query'
+                        ? `Query parameter "${parameter.name}" is required`
+                        : `Path parameter "${parameter.name}" is required`;
+                    errors.push({ field: parameter.name, in: location, message });
+                }
+                converted[parameter.name] = undefined;
+                return;
+            }
+
+            const schema = resolveSchema(parameter.schema, document);
+            const value = coerceParameter(raw, schema);
+            checkValue(value, schema, parameter.name, location, document, errors);
+            converted[parameter.name] = value;
+        });
+
+    return converted;
+}
+
+/**
+ * Create middleware that validates requests for one OpenAPI operation
+ * @param {string} operationId - operationId in openapi.js
+ * @returns {Function} - Express middleware; passes a 400 error listing every invalid field to next()
+ */
+function validateRequest(operationId) {
+    return (req, res, next) => {
+        const document = openapi.buildOpenApiDocument();
+        const operation = openapi.findOperation(document, operationId);
+        if (!operation) {
+            return next(new Error(`Unknown OpenAPI operation "${operationId}"`));
+        }
+
+        const errors = [];
+        const query = checkParameters(operation, 'query', req.query, document, errors);
+        checkParameters(operation, 'path', req.params, document, errors);
+
+        if (operation.requestBody) {
+            const schema = resolveSchema(operation.requestBody.content['application/json'].schema, document);
+            checkObject(req.body, schema, '', 'body', document, errors);
+        }
+
+        if (errors.length > 0) {
+            const message = errors.map(error => error.message).join('; ');
+            return next(createApiError(getErrorCode(errors), message, errors));
+        }
+
+        req.query = { ...req.query, ...query };
+        next();
+    };
+}
+
+// Exports
+module.exports = {
+    validateRequest
+};
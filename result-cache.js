@@ -0,0 +1,156 @@
+/**
+ * Result Cache
+ *
+ * In-process LRU cache with a time-to-live, used for raw provider results so a
+ * repeated query does not call the (paid) search API again. Only raw results
+ * are stored; ranking still runs per request, so every profile, constraint
+ * set and weight override is applied on top of the same cached results.
+ *
+ * With a persistPath the entries are also written to a JSON file and loaded
+ * again on start, so the cache survives restarts:
+ *   {
+ *     "entries": [
+ *       { "key": "bing:machine learning", "value": [...], "expiresAt": 1768905000000 }
+ *     ]
+ *   }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+/**
+ * Normalize a query for use in a cache key (trimmed, lowercase, single spaces)
+ * @param {string} query - Search query
+ * @returns {string} - Normalized query
+ */
+function normalizeQuery(query) {
+    return String(query || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * Create an LRU cache whose entries expire after ttlMs
+ * @param {Object} options
+ *   - maxEntries: number (default: 200) - Least recently used entries are dropped beyond this
+ *   - ttlMs: number (default: 10 minutes) - Lifetime of an entry
+ *   - persistPath: string (optional) - JSON file to load from and save to
+ *   - now: function (optional) - Clock, for tests
+ * @returns {Object} - { get, set, delete, clear, size, getStats }
+ */
+function createCache(options = {}) {
+    const {
+        maxEntries = 200,
+        ttlMs = 10 * 60 * 1000,
+        persistPath = null,
+        now = Date.now
+    } = options;
+
+    // Map keeps insertion order: the first key is the least recently used
+    const entries = new Map();
+    const stats = { hits: 0, misses: 0 };
+
+    /**
+     * Drop least recently used entries beyond maxEntries
+     */
+    function evict() {
+        while (entries.size > maxEntries) {
+            entries.delete(entries.keys().next().value);
+        }
+    }
+
+    /**
+     * Load unexpired entries from the persistence file
+     */
+    function load() {
+        try {
+            if (!fs.existsSync(persistPath)) {
+                return;
+            }
+            const data = JSON.parse(fs.readFileSync(persistPath, 'utf8'));
+            const time = now();
+            (data.entries || [])
+                .filter(entry => entry && typeof entry.key === 'string' && entry.expiresAt > time)
+                .forEach(entry => entries.set(entry.key, { value: entry.value, expiresAt: entry.expiresAt }));
+            evict();
+            logger.info('Loaded result cache', { entries: entries.size, path: persistPath });
+        } catch (error) {
+            logger.error('Could not load result cache', { path: persistPath, error });
+            entries.clear();
+        }
+    }
+
+    /**
+     * Write the entries to the persistence file (via a temp file so a crash never leaves half a file)
+     * A failed write only loses persistence, never the request.
+     */
+    function save() {
+        if (!persistPath) {
+            return;
+        }
+        try {
+            const tempPath = `${persistPath}.tmp`;
+            const data = Array.from(entries, ([key, entry]) => ({ key, value: entry.value, expiresAt: entry.expiresAt }));
+            fs.mkdirSync(path.dirname(persistPath), { recursive: true });
+            fs.writeFileSync(tempPath, JSON.stringify({ entries: data }));
+            fs.renameSync(tempPath, persistPath);
+        } catch (error) {
+            logger.error('Could not save result cache', { path: persistPath, error });
+        }
+    }
+
+    /**
+     * Get a cached value and mark it as recently used
+     * @returns {*} - The value, or undefined when missing or expired
+     */
+    function get(key) {
+        const entry = entries.get(key);
+        if (!entry || entry.expiresAt <= now()) {
+            if (entry) entries.delete(key);
+            stats.misses++;
+            return undefined;
+        }
+        entries.delete(key);
+        entries.set(key, entry);
+        stats.hits++;
+        return entry.value;
+    }
+
+    /**
+     * Store a value (replacing any previous one for the key)
+     */
+    function set(key, value) {
+        if (maxEntries <= 0) {
+            return;
+        }
+        entries.delete(key);
+        entries.set(key, { value, expiresAt: now() + ttlMs });
+        evict();
+        save();
+    }
+
+    if (persistPath) {
+        load();
+    }
+
+    return {
+        get,
+        set,
+        delete: key => {
+            const deleted = entries.delete(key);
+            if (deleted) save();
+            return deleted;
+        },
+        clear: () => {
+            entries.clear();
+            save();
+        },
+        size: () => entries.size,
+        getStats: () => ({ ...stats, size: entries.size, maxEntries, ttlMs, persistent: Boolean(persistPath) })
+    };
+}
+
+// Exports
+module.exports = {
+    createCache,
+    normalizeQuery
+};
@@ -0,0 +1,68 @@
+/**
+ * Safe HTML Module
+ *
+ * Helpers for putting untrusted result content (titles, snippets and URLs from
+ * live search providers) into HTML: escaping for text and attribute values,
+ * and URL scheme validation so only http(s) links become clickable.
+ *
+ * Loaded by the browser (app.js builds result cards with it) and by the tests,
+ * so it is wrapped to load as a CommonJS module or as the global `SafeHtml`.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SafeHtml = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+
+    /**
+     * URL schemes allowed in links
+     */
+    const SAFE_PROTOCOLS = ['http:', 'https:'];
+
+    const HTML_ESCAPES = {
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#39;'
+    };
+
+    /**
+     * Escape a value for use as HTML text or inside a quoted attribute
+     * @param {*} value - Any value; null and undefined become ''
+     * @returns {string} - Escaped string
+     */
+    function escapeHtml(value) {
+        if (value === null || value === undefined) {
+            return '';
+        }
+        return String(value).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+    }
+
+    /**
+     * Validate a link target
+     * Only absolute http(s) URLs pass; javascript:, data:, vbscript:, relative and
+     * protocol-relative URLs (and anything that does not parse) are rejected.
+     * @param {*} url - URL from a search result
+     * @returns {string|null} - The normalized URL, or null if it must not be linked
+     */
+    function getSafeUrl(url) {
+        if (typeof url !== 'string' || url.trim() === '') {
+            return null;
+        }
+
+        try {
+            const parsed = new URL(url.trim());
+            return SAFE_PROTOCOLS.includes(parsed.protocol) ? parsed.href : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    return {
+        escapeHtml,
+        getSafeUrl
+    };
+});
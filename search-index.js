@@ -0,0 +1,150 @@
+/**
+ * Search Index Module
+ *
+ * Inverted index over result title, summary, tags and category with BM25
+ * scoring. Text is tokenized and stemmed by query-analyzer.js, so tokens match
+ * whole words only and "java" no longer matches "javascript".
+ *
+ * Shared by the server and the browser: loads as a CommonJS module or as the
+ * global `SearchIndex` (after query-analyzer.js).
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./query-analyzer'));
+    } else {
+        root.SearchIndex = factory(root.QueryAnalyzer);
+    }
+})(typeof self !== 'undefined' ? self : this, function (queryAnalyzer) {
+
+    const { tokenize } = queryAnalyzer;
+
+    /**
+     * BM25 tuning parameters
+     */
+    const BM25_K1 = 1.2;    // Term frequency saturation
+    const BM25_B = 0.75;    // Document length normalization
+
+    /**
+     * Per-field term frequency multipliers
+     * A match in the title or tags says more about a result than one in the summary.
+     */
+    const fieldWeights = {
+        title: 3,
+        tags: 2,
+        category: 2,
+        summary: 1
+    };
+
+    /**
+     * Build an inverted index over a set of results
+     *
+     * @param {Array} documents - Results with id, title, summary, tags, category
+     * @returns {Object} - Index
+     *   - postings: Map(term → Map(docId → weighted term frequency))
+     *   - docLengths: Map(docId → weighted token count)
+     *   - documents: Map(docId → result)
+     *   - docCount: number
+     *   - avgDocLength: number
+     */
+    function buildIndex(documents) {
+        const postings = new Map();
+        const docLengths = new Map();
+        const indexedDocuments = new Map();
+
+        for (const doc of documents) {
+            const fields = {
+                title: doc.title,
+                summary: doc.summary,
+                tags: (doc.tags || []).join(' '),
+                category: doc.category
+            };
+
+            let docLength = 0;
+            for (const [field, text] of Object.entries(fields)) {
+                const weight = fieldWeights[field];
+                for (const term of tokenize(text)) {
+                    if (!postings.has(term)) {
+                        postings.set(term, new Map());
+                    }
+                    const termPostings = postings.get(term);
+                    termPostings.set(doc.id, (termPostings.get(doc.id) || 0) + weight);
+                    docLength += weight;
+                }
+            }
+
+            docLengths.set(doc.id, docLength);
+            indexedDocuments.set(doc.id, doc);
+        }
+
+        const docCount = documents.length;
+        const totalLength = Array.from(docLengths.values()).reduce((sum, length) => sum + length, 0);
+
+        return {
+            postings,
+            docLengths,
+            documents: indexedDocuments,
+            docCount,
+            avgDocLength: docCount > 0 ? totalLength / docCount : 0
+        };
+    }
+
+    /**
+     * Check whether every given result is a document of this index
+     * (so its corpus statistics can be reused instead of building a new index)
+     */
+    function coversDocuments(index, documents) {
+        return Boolean(index) && documents.every(doc => index.documents.get(doc.id) === doc);
+    }
+
+    /**
+     * Score every matching document against a query with BM25
+     * @param {Object} index - Index from buildIndex()
+     * @param {string|Array} query - Query text or pre-tokenized terms
+     * @returns {Map} - Map(docId → raw BM25 score); documents with no matching term are absent
+     */
+    function scoreQuery(index, query) {
+        const terms = Array.isArray(query) ? query : tokenize(query);
+        const scores = new Map();
+
+        for (const term of new Set(terms)) {
+            const termPostings = index.postings.get(term);
+            if (!termPostings) {
+                continue;
+            }
+
+            const docFrequency = termPostings.size;
+            const idf = Math.log(1 + (index.docCount - docFrequency + 0.5) / (docFrequency + 0.5));
+
+            for (const [docId, termFrequency] of termPostings) {
+                const lengthRatio = index.avgDocLength > 0 ? index.docLengths.get(docId) / index.avgDocLength : 1;
+                const saturation = (termFrequency * (BM25_K1 + 1)) /
+                    (termFrequency + BM25_K1 * (1 - BM25_B + BM25_B * lengthRatio));
+                scores.set(docId, (scores.get(docId) || 0) + idf * saturation);
+            }
+        }
+
+        return scores;
+    }
+
+    /**
+     * Scale raw BM25 scores to 0-1 relative to the best match
+     * @param {Map} scores - Map(docId → raw score) from scoreQuery()
+     * @returns {Map} - Map(docId → normalized score)
+     */
+    function normalizeScores(scores) {
+        const maxScore = Math.max(0, ...scores.values());
+        const normalized = new Map();
+
+        for (const [docId, score] of scores) {
+            normalized.set(docId, maxScore > 0 ? score / maxScore : 0);
+        }
+        return normalized;
+    }
+
+    return {
+        buildIndex,
+        coversDocuments,
+        scoreQuery,
+        normalizeScores
+    };
+});
@@ -3,152 +3,288 @@
  * 
  * Provides REST endpoints for searching with profile-based ranking
  * Exposes the ranking logic to both browser and API clients
+ * 
+ * Routes live under /api/v1 and answer in the envelope from api-response.js;
+ * the unversioned /api paths are aliases with the older flat response shape.
  */
 
 const express = require('express');
 const cors = require('cors');
 require('dotenv').config();
+const apiResponse = require('./api-response');
+const accessControl = require('./access-control');
+const staticAssets = require('./static-assets');
+const { logger, redactQuery, requestContext } = require('./logger');
 
 const app = express();
 const PORT = process.env.PORT || 8000;
 
+// Behind a proxy, TRUST_PROXY (e.g. "loopback" or a hop count) makes req.ip the client's address
+if (process.env.TRUST_PROXY) {
+    app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+}
+
 // Middleware
-app.use(cors());
+app.use(apiResponse.envelope);
+app.use(requestContext); // X-Request-Id, req.log and one log line per request
+app.use(staticAssets.securityHeaders);
+app.use(cors(accessControl.getCorsOptions())); // Any origin unless CORS_ORIGINS is set
 app.use(express.json());
-app.use(express.static('.')); // Serve static files (HTML, CSS, client JS)
+app.use(staticAssets.createStaticRouter()); // public/ plus the shared browser scripts only
 
-// Import ranking logic
+// Import ranking logic and search backends
 const rankingEngine = require('./ranking-engine');
+const searchProviders = require('./providers');
+const profileStore = require('./profile-store');
+const pagination = require('./pagination');
+const facets = require('./facets');
+const rankComparison = require('./rank-comparison');
+const feedbackLog = require('./feedback-log');
+const weightStore = require('./weight-store');
+const experiments = require('./experiments');
+const openapi = require('./openapi');
+const { validateRequest } = require('./request-validator');
+
+// Every route is mounted twice: at /api/v1 and at the unversioned /api alias
+const router = express.Router();
+
+// Load user-defined profiles into the ranking engine
+profileStore.loadProfiles();
+
+// Learned weights promoted from the feedback loop (see weight-store.js)
+weightStore.loadPromotedWeights();
+
+// Ranking A/B experiments (see experiments.js)
+experiments.loadExperiments();
+
+// API keys and rate limits (both off when no keys are configured; see access-control.js)
+accessControl.loadApiKeys();
+router.use(accessControl.protect);
 
 /**
  * Health check endpoint
  */
-app.get('/api/health', (req, res) => {
-    res.json({ status: 'ok', service: 'Decision-Aware Search API' });
+router.get('/health', (req, res) => {
+    res.sendData({ status: 'ok', service: 'Decision-Aware Search API' });
+});
+
+/**
+ * OpenAPI 3 document describing every route (requests are validated against it)
+ * Served as the bare document, without the envelope, so OpenAPI tools can read it.
+ */
+router.get('/openapi.json', (req, res) => {
+    res.json(openapi.buildOpenApiDocument());
 });
 
+/**
+ * Experiment fields for search metadata: experiment and variant, plus (when
+ * interleaved) teams, the variant that contributed each result on this page
+ */
+function getExperimentMetadata(ranking, pageResults) {
+    if (!ranking.metadata) {
+        return {};
+    }
+    const { teams, ...metadata } = ranking.metadata;
+    if (teams) {
+        metadata.teams = {};
+        pageResults.forEach(result => {
+            metadata.teams[result.id] = teams[result.id];
+        });
+    }
+    return metadata;
+}
+
+/**
+ * Exclusion fields for search metadata, when some constraint is required:
+ * excluded = { total, byConstraint, results: [{ id, title, reasons }] }
+ */
+function getExclusionMetadata(ranking, constraints) {
+    const required = rankingEngine.CONSTRAINT_NAMES.some(name => rankingEngine.getConstraintMode(constraints, name) === 'require');
+    return required ? { excluded: ranking.excluded } : {};
+}
+
+/**
+ * Experiment fields for the "Search ranked" log line
+ */
+function getExperimentLogFields(ranking) {
+    return ranking.metadata ? { experiment: ranking.metadata.experiment, variant: ranking.metadata.variant } : {};
+}
+
 /**
  * Main search endpoint
  * 
  * Query Parameters:
  *   q (string, required) - Search query
- *   profile (string, optional) - User profile: student, shopper, researcher, casual (default: casual)
+ *   profile (string, optional) - User profile: student, shopper, researcher, casual, or a custom profile (default: casual)
  *   budget (boolean, optional) - Apply budget constraint (default: false)
- *   budgetAmount (number, optional) - Budget amount in specified currency
+ *   budgetAmount (number, optional) - Budget amount in specified currency; results with a
+ *                                     real price are converted into this currency and compared
  *   currency (string, optional) - Currency code: USD, EUR, GBP, INR, JPY, CAD, AUD, SGD, HKD, MXN (default: USD)
  *   readingTime (number, optional) - Max reading time in minutes
  *   skillLevel (string, optional) - Skill level: beginner, intermediate, advanced
+ *   budgetMode / readingTimeMode / skillLevelMode (string, optional) - prefer (default) only
+ *                                     adjusts scores; require also removes results breaking it
+ *   provider (string, optional) - Search backend: bing, mock, local (default: SEARCH_PROVIDER env or bing)
+ *   limit (number, optional) - Results per page, 1-50 (default: 10)
+ *   offset (number, optional) - Number of ranked results to skip (default: 0)
+ *   cursor (string, optional) - metadata.nextCursor from the previous page; replaces offset
+ * 
+ * Filter Parameters (hard filters; lists are comma-separated):
+ *   category (list, optional) - Keep these categories, e.g. course,book
+ *   tags (list, optional) - Keep results with at least one of these tags
+ *   minReadingTime / maxReadingTime (number, optional) - Reading time range in minutes
+ *   minTrust (number, optional) - Minimum trust, 0-100
+ *   priceBand (list, optional) - Free/Cheap, Affordable, Moderate Cost, Expensive
+ *   depth (list, optional) - Very Deep, Comprehensive, Moderate Depth, Surface Level
  * 
  * Example:
- *   GET /api/search?q=machine+learning&profile=student&budget=true&budgetAmount=50&currency=USD&skillLevel=beginner
+ *   GET /api/v1/search?q=machine+learning&profile=student&budget=true&budgetAmount=50&currency=USD&skillLevel=beginner
+ *   GET /api/v1/search?q=gaming+headphones&profile=shopper&diversify=true
+ * 
+ * diversify=true spreads out near-duplicates (same category, site or tags) among
+ * the top results with the profile's lambda; diversityLambda=0.6 sets it directly.
  * 
- * Response:
+ * Response (/api/v1; the /api alias returns the data fields at the top level and
+ * responseTime as a string like "145ms"):
  *   {
  *     success: true,
- *     query: "machine learning",
- *     profile: "student",
- *     totalResults: 5,
- *     results: [
- *       {
- *         id: 1,
- *         title: "...",
- *         url: "...",
- *         summary: "...",
- *         score: 0.92,
- *         explanations: ["...", "..."],
- *         ...
+ *     data: {
+ *       query: "machine learning",
+ *       profile: "student",
+ *       diversityLambda: null,         // The lambda used, or null when not diversified
+ *       totalResults: 24,              // All ranked results passing the filters, not just this page
+ *       results: [
+ *         {
+ *           id: 1,
+ *           title: "...",
+ *           url: "...",
+ *           summary: "...",
+ *           score: 0.92,
+ *           scoreBreakdown: {
+ *             final: 0.92,
+ *             blend: 0.7,
+ *             relevance: { score, components: { base, text, category, tags } },
+ *             personalization: {
+ *               score, profileScore,
+ *               metrics: { simplicity: { value, weight, contribution }, ... },
+ *               constraints: { budget, readingTime, skillLevel, raw, clamped }
+ *             }
+ *           },
+ *           explanations: ["...", "..."],
+ *           ...
+ *         }
+ *       ],
+ *       filters: { category: ["course"] },
+ *       facets: {                      // Counts before this facet's own filter
+ *         category: { course: 3, product: 2 },
+ *         tags: { "machine learning": 4, ... },
+ *         priceBand: { "Free/Cheap": 3, "Expensive": 2 },
+ *         depth: { "Very Deep": 1, "Comprehensive": 4 }
  *       }
- *     ],
+ *     },
  *     metadata: {
- *       searchTime: "2026-01-20T10:30:00Z",
- *       responseTime: 145
+ *       apiVersion: "v1",
+ *       timestamp: "2026-01-20T10:30:00Z",
+ *       responseTime: 145,            // ms
+ *       apiSource: "mock",
+ *       cache: "miss",                // "hit" when the provider's raw results came from the cache
+ *       limit: 10,
+ *       offset: 0,
+ *       nextCursor: "eyJvZmZzZXQiOjEw...",  // null on the last page
+ *       excluded: {                   // Only when a constraint is required (e.g. readingTimeMode=require)
+ *         total: 2,
+ *         byConstraint: { readingTime: 2 },
+ *         results: [{ id: 7, title: "...", reasons: { readingTime: "15 min is over the 5-minute limit" } }]
+ *       },
+ *       experiment: "blend-60",       // Only while an experiment runs (see experiments.js)
+ *       variant: "control"            // or "interleaved", with teams: { resultId: variant }
  *     }
  *   }
  */
-app.get('/api/search', async (req, res) => {
-    const startTime = Date.now();
-    
+router.get('/search', validateRequest('searchGet'), async (req, res, next) => {
     try {
-        // Validate required parameters
+        // Types, ranges and enums were checked by validateRequest (see openapi.js)
         const query = req.query.q;
-        if (!query || query.trim() === '') {
-            return res.status(400).json({
-                success: false,
-                error: 'Query parameter "q" is required'
-            });
+        if (query.trim() === '') {
+            throw apiResponse.createApiError('QUERY_REQUIRED', 'Query parameter "q" is required');
         }
 
-        // Extract and validate optional parameters
         const profile = req.query.profile || 'casual';
-        const validProfiles = ['student', 'shopper', 'researcher', 'casual'];
-        
-        if (!validProfiles.includes(profile)) {
-            return res.status(400).json({
-                success: false,
-                error: `Invalid profile. Must be one of: ${validProfiles.join(', ')}`
-            });
-        }
+        const provider = req.query.provider || searchProviders.getDefaultProviderName();
 
-        // Parse constraints with currency support
+        // Constraints (numbers and booleans are already converted)
         const constraints = {
-            budget: req.query.budget === 'true',
-            budgetAmount: req.query.budgetAmount ? parseFloat(req.query.budgetAmount) : null,
+            budget: req.query.budget === true,
+            budgetAmount: req.query.budgetAmount !== undefined ? req.query.budgetAmount : null,
             currency: req.query.currency || 'USD',
-            readingTime: req.query.readingTime ? parseInt(req.query.readingTime) : null,
+            readingTime: req.query.readingTime !== undefined ? req.query.readingTime : null,
             skillLevel: req.query.skillLevel || null
         };
+        rankingEngine.CONSTRAINT_NAMES.forEach(name => {
+            if (req.query[`${name}Mode`]) {
+                constraints[`${name}Mode`] = req.query[`${name}Mode`];
+            }
+        });
 
-        console.log(`\n📡 API Search Request:`);
-        console.log(`   Query: "${query}"`);
-        console.log(`   Profile: ${profile}`);
-        console.log(`   Constraints:`, constraints);
-
-        // Try live Bing API, fall back to mock results
-        let liveResults;
-        let apiSource = 'mock';
-        try {
-            liveResults = await bingSearch(query);
-            apiSource = 'bing';
-            console.log(`✓ Bing API returned ${liveResults.length} results`);
-        } catch (bingError) {
-            console.log(`⚠ Bing API failed (${bingError.message}), using mock results`);
-            liveResults = [];
-        }
+        const diversity = { diversify: req.query.diversify === true, diversityLambda: req.query.diversityLambda };
+        const filters = facets.parseFilters(req.query);
+        const pageParams = pagination.parsePagination(req.query, { query, profile, constraints, ...diversity, filters });
 
-        // Use live results if available, otherwise use mock
-        const mockResults = rankingEngine.getMockResults();
-        const searchResults = liveResults.length ? liveResults : mockResults;
+        req.log.info('Search request', { query: redactQuery(query), profile, provider, constraints, ...diversity, filters });
 
-        // Rank results based on profile and constraints
-        const rankedResults = rankingEngine.rankResults({
+        // Fetch results from the selected provider (cached per query; falls back to mock results)
+        const providerStart = Date.now();
+        const { results: searchResults, apiSource, cache } = await searchProviders.search(query, { provider, log: req.log });
+        const providerMs = Date.now() - providerStart;
+
+        // Rank results based on profile and constraints (and the running experiment's variant)
+        const rankStart = Date.now();
+        const ranking = experiments.rankWithExperiment({
             query,
             profile,
             constraints,
-            results: searchResults
+            results: searchResults,
+            ...diversity
+        }, {
+            unitId: experiments.getUnitId(req),
+            explicit: { diversity: diversity.diversify || diversity.diversityLambda !== undefined }
+        });
+        const rankMs = Date.now() - rankStart;
+
+        // Hard-filter, count facets and cut out the requested page
+        const facetCounts = facets.computeFacets(ranking.results, filters);
+        const filteredResults = facets.applyFilters(ranking.results, filters);
+        const { results: pageResults, nextCursor } = pagination.paginate(
+            filteredResults, pageParams, { query, profile, constraints, ...diversity, filters }
+        );
+
+        req.log.info('Search ranked', {
+            apiSource, cache, providerMs, rankMs, totalResults: filteredResults.length,
+            excluded: ranking.excluded.total, ...getExperimentLogFields(ranking)
         });
 
-        const responseTime = Date.now() - startTime;
-
-        res.json({
-            success: true,
+        res.sendData({
             query,
             profile,
-            totalResults: rankedResults.length,
-            results: rankedResults,
-            metadata: {
-                searchTime: new Date().toISOString(),
-                responseTime: `${responseTime}ms`,
-                apiSource
-            }
+            weights: ranking.weights,
+            blend: ranking.blend,
+            diversityLambda: ranking.diversityLambda,
+            totalResults: filteredResults.length,
+            results: pageResults,
+            filters,
+            facets: facetCounts
+        }, {
+            apiSource,
+            cache,
+            limit: pageParams.limit,
+            offset: pageParams.offset,
+            nextCursor,
+            ...getExclusionMetadata(ranking, constraints),
+            ...getExperimentMetadata(ranking, pageResults)
         });
 
     } catch (error) {
-        console.error('❌ Search API Error:', error.message);
-        res.status(500).json({
-            success: false,
-            error: 'Internal server error',
-            message: process.env.NODE_ENV === 'development' ? error.message : undefined
-        });
+        next(error);
     }
 });
 
@@ -164,29 +300,36 @@ app.get('/api/search', async (req, res) => {
  *       budgetAmount: 50,
  *       currency: "USD",
  *       readingTime: 20,
+ *       readingTimeMode: "require",
  *       skillLevel: "beginner"
- *     }
+ *     },
+ *     provider: "mock",
+ *     weights: { price: 0.5, reviews: 0.1 },
+ *     blend: 0.6,
+ *     diversify: true,
+ *     filters: { category: ["course"], minTrust: 80, priceBand: ["Free/Cheap"] },
+ *     limit: 10,
+ *     cursor: "..."
  *   }
+ * 
+ * Optional overrides for this request only:
+ *   weights - Per-metric weights replacing the profile's (ranking metrics only, each -1 to 1)
+ *   blend   - Relevance share of the final score, 0-1 (default 0.7; personalization gets the rest)
+ *   diversify / diversityLambda - Spread out near-duplicates, as for GET
+ * 
+ * Paging works as for GET: limit, offset or cursor in the body, nextCursor in metadata.
+ * `filters` takes the same fields as the GET filter parameters (lists as arrays).
+ * 
+ * The response echoes the effective `weights`, `blend` and `diversityLambda` that were used.
  */
-app.post('/api/search', async (req, res) => {
-    const startTime = Date.now();
-    
+router.post('/search', validateRequest('searchPost'), async (req, res, next) => {
     try {
-        const { query, profile = 'casual', constraints = {} } = req.body;
-
-        if (!query || query.trim() === '') {
-            return res.status(400).json({
-                success: false,
-                error: 'Query is required in request body'
-            });
-        }
+        // Types, ranges and enums were checked by validateRequest (see openapi.js)
+        const { query, profile = 'casual', constraints = {}, weights, blend = rankingEngine.DEFAULT_BLEND } = req.body;
+        const provider = req.body.provider || searchProviders.getDefaultProviderName();
 
-        const validProfiles = ['student', 'shopper', 'researcher', 'casual'];
-        if (!validProfiles.includes(profile)) {
-            return res.status(400).json({
-                success: false,
-                error: `Invalid profile. Must be one of: ${validProfiles.join(', ')}`
-            });
+        if (query.trim() === '') {
+            throw apiResponse.createApiError('QUERY_REQUIRED', 'Query is required in request body');
         }
 
         // Ensure constraints have currency info
@@ -195,91 +338,315 @@ app.post('/api/search', async (req, res) => {
             currency: constraints.currency || 'USD'
         };
 
-        console.log(`\n📡 POST Search Request:`);
-        console.log(`   Query: "${query}"`);
-        console.log(`   Profile: ${profile}`);
-        console.log(`   Constraints:`, constraintsWithCurrency);
-
-        // Try live Bing API, fall back to mock results
-        let liveResults;
-        let apiSource = 'mock';
-        try {
-            liveResults = await bingSearch(query);
-            apiSource = 'bing';
-            console.log(`✓ Bing API returned ${liveResults.length} results`);
-        } catch (bingError) {
-            console.log(`⚠ Bing API failed, using mock results`);
-            liveResults = [];
-        }
+        const diversity = { diversify: req.body.diversify === true, diversityLambda: req.body.diversityLambda };
+        const filters = facets.parseFilters(req.body.filters || {});
+        const pageParams = pagination.parsePagination(req.body, {
+            query, profile, constraints: constraintsWithCurrency, weights, blend, ...diversity, filters
+        });
+
+        req.log.info('Search request', {
+            query: redactQuery(query), profile, provider, constraints: constraintsWithCurrency, filters, weights, blend, ...diversity
+        });
 
-        // Use live results if available, otherwise use mock
-        const mockResults = rankingEngine.getMockResults();
-        const searchResults = liveResults.length ? liveResults : mockResults;
+        // Fetch results from the selected provider (cached per query; falls back to mock results)
+        const providerStart = Date.now();
+        const { results: searchResults, apiSource, cache } = await searchProviders.search(query, { provider, log: req.log });
+        const providerMs = Date.now() - providerStart;
 
-        // Rank results based on profile and constraints
-        const rankedResults = rankingEngine.rankResults({
+        // Rank results based on profile and constraints (and the running experiment's
+        // variant, for whatever the request does not set itself)
+        const rankStart = Date.now();
+        const ranking = experiments.rankWithExperiment({
             query,
             profile,
             constraints: constraintsWithCurrency,
-            results: searchResults
+            results: searchResults,
+            weights,
+            blend,
+            ...diversity
+        }, {
+            unitId: experiments.getUnitId(req),
+            explicit: {
+                weights: req.body.weights !== undefined,
+                blend: req.body.blend !== undefined,
+                diversity: diversity.diversify || diversity.diversityLambda !== undefined
+            }
+        });
+        const rankMs = Date.now() - rankStart;
+
+        // Hard-filter, count facets and cut out the requested page
+        const facetCounts = facets.computeFacets(ranking.results, filters);
+        const filteredResults = facets.applyFilters(ranking.results, filters);
+        const { results: pageResults, nextCursor } = pagination.paginate(
+            filteredResults, pageParams, { query, profile, constraints: constraintsWithCurrency, weights, blend, ...diversity, filters }
+        );
+
+        req.log.info('Search ranked', {
+            apiSource, cache, providerMs, rankMs, totalResults: filteredResults.length,
+            excluded: ranking.excluded.total, ...getExperimentLogFields(ranking)
         });
 
-        const responseTime = Date.now() - startTime;
-
-        res.json({
-            success: true,
+        res.sendData({
             query,
             profile,
-            totalResults: rankedResults.length,
-            results: rankedResults,
-            metadata: {
-                searchTime: new Date().toISOString(),
-                responseTime: `${responseTime}ms`,
-                apiSource
-            }
+            weights: ranking.weights,
+            blend: ranking.blend,
+            diversityLambda: ranking.diversityLambda,
+            totalResults: filteredResults.length,
+            results: pageResults,
+            filters,
+            facets: facetCounts
+        }, {
+            apiSource,
+            cache,
+            limit: pageParams.limit,
+            offset: pageParams.offset,
+            nextCursor,
+            ...getExclusionMetadata(ranking, constraintsWithCurrency),
+            ...getExperimentMetadata(ranking, pageResults)
         });
 
     } catch (error) {
-        console.error('❌ POST Search API Error:', error.message);
-        res.status(500).json({
-            success: false,
-            error: 'Internal server error',
-            message: process.env.NODE_ENV === 'development' ? error.message : undefined
+        next(error);
+    }
+});
+
+/**
+ * Limits for /api/compare
+ */
+const MIN_COMPARE_VARIANTS = 2;
+const MAX_COMPARE_VARIANTS = 6;
+
+/**
+ * Compare rankings of one query across profiles or constraint sets
+ * 
+ * Request Body:
+ *   {
+ *     query: "machine learning",
+ *     provider: "mock",
+ *     profiles: ["student", "shopper", "researcher"],   // same constraints for each...
+ *     constraints: { budget: true, budgetAmount: 50 },
+ *     variants: [                                        // ...or full control per column
+ *       { label: "Student on a budget", profile: "student", constraints: { budgetAmount: 20 } },
+ *       { profile: "researcher", weights: { citations: 0.6 }, blend: 0.5 }
+ *     ],
+ *     limit: 10                                          // results per column (default 10)
+ *   }
+ * 
+ * The provider is queried once; every variant ranks the same results.
+ * 
+ * Response data (inside the envelope, see api-response.js):
+ *   {
+ *     query: "machine learning",
+ *     totalResults: 6,
+ *     variants: [
+ *       { label, profile, constraints, weights, blend, results: [{ id, title, url, category, score, rank }] }
+ *     ],
+ *     alignment: [{ id, title, ranks: [1, 4, 2], spread: 3 }],   // one row per result, ranks per variant
+ *     comparisons: [
+ *       { from: 0, to: 1, kendallTau: 0.47, biggestMoves: [{ id, title, fromRank, toRank, change }] }
+ *     ]
+ *   }
+ * metadata adds apiSource and cache.
+ */
+router.post('/compare', validateRequest('compare'), async (req, res, next) => {
+    try {
+        // Types, ranges and enums (including each variant's) were checked by validateRequest
+        const { query, profiles, constraints = {} } = req.body;
+        const provider = req.body.provider || searchProviders.getDefaultProviderName();
+        const limit = req.body.limit === undefined ? pagination.DEFAULT_LIMIT : req.body.limit;
+
+        if (query.trim() === '') {
+            throw apiResponse.createApiError('QUERY_REQUIRED', 'Query is required in request body');
+        }
+
+        // Either explicit variants or a list of profiles sharing the constraints
+        const variants = Array.isArray(req.body.variants)
+            ? req.body.variants
+            : (Array.isArray(profiles) ? profiles.map(profile => ({ profile, constraints })) : []);
+
+        if (variants.length < MIN_COMPARE_VARIANTS || variants.length > MAX_COMPARE_VARIANTS) {
+            throw apiResponse.createApiError(
+                'INVALID_VARIANTS',
+                `Invalid variants. Provide ${MIN_COMPARE_VARIANTS}-${MAX_COMPARE_VARIANTS} "variants" or "profiles" to compare`
+            );
+        }
+
+        req.log.info('Compare request', {
+            query: redactQuery(query), provider, variants: variants.map(variant => variant.profile)
         });
+
+        // Fetch once, rank once per variant
+        const providerStart = Date.now();
+        const { results: searchResults, apiSource, cache } = await searchProviders.search(query, { provider, log: req.log });
+        const providerMs = Date.now() - providerStart;
+
+        const rankStart = Date.now();
+
+        const rankings = variants.map(variant => rankingEngine.rankResults({
+            query,
+            profile: variant.profile,
+            constraints: { ...(variant.constraints || {}), currency: (variant.constraints || {}).currency || 'USD' },
+            results: searchResults,
+            weights: variant.weights,
+            blend: variant.blend === undefined ? rankingEngine.DEFAULT_BLEND : variant.blend
+        }));
+        const rankMs = Date.now() - rankStart;
+
+        req.log.info('Compare ranked', { apiSource, cache, providerMs, rankMs, totalResults: rankings[0].length });
+
+        // Label repeated profiles "student #1", "student #2" unless labelled
+        const labels = variants.map((variant, index) => {
+            if (typeof variant.label === 'string' && variant.label.trim()) {
+                return variant.label.trim();
+            }
+            const repeated = variants.filter(other => other.profile === variant.profile).length > 1;
+            return repeated ? `${variant.profile} #${index + 1}` : variant.profile;
+        });
+
+        res.sendData({
+            query,
+            totalResults: rankings[0].length,
+            variants: variants.map((variant, index) => ({
+                label: labels[index],
+                profile: variant.profile,
+                constraints: variant.constraints || {},
+                weights: rankingEngine.getEffectiveWeights(variant.profile, variant.weights),
+                blend: variant.blend === undefined ? rankingEngine.DEFAULT_BLEND : variant.blend,
+                results: rankings[index].slice(0, limit).map((result, position) => ({
+                    id: result.id,
+                    title: result.title,
+                    url: result.url,
+                    category: result.category,
+                    score: result.score,
+                    rank: position + 1
+                }))
+            })),
+            alignment: rankComparison.alignRankings(rankings, { limit }),
+            comparisons: rankComparison.compareRankings(rankings)
+        }, { apiSource, cache });
+
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Descriptions of the built-in profiles
+ */
+const builtInProfileDescriptions = {
+    student: 'Optimize for learning: simplicity, recency, and trustworthiness',
+    shopper: 'Optimize for purchasing: price, reviews, and relevant products',
+    researcher: 'Optimize for research: citations, depth, and academic credibility',
+    casual: 'General purpose: relevance, recency, and quick reads'
+};
+
+/**
+ * Get available profiles (built-in and custom) and their descriptions
+ */
+router.get('/profiles', (req, res) => {
+    const profiles = {};
+    const weights = rankingEngine.getProfileWeights();
+    const promoted = weightStore.getPromoted().profiles;
+
+    for (const [name, description] of Object.entries(builtInProfileDescriptions)) {
+        profiles[name] = {
+            description,
+            weights: weights[name],
+            diversityLambda: rankingEngine.getDiversityLambda(name),
+            custom: false,
+            learned: Boolean(promoted[name])
+        };
+    }
+    for (const [name, profile] of Object.entries(profileStore.listProfiles())) {
+        profiles[name] = { ...profile, custom: true };
     }
+
+    res.sendData({ profiles });
 });
 
 /**
- * Get available profiles and their descriptions
+ * Get a single profile
  */
-app.get('/api/profiles', (req, res) => {
-    res.json({
-        profiles: {
-            student: {
-                description: 'Optimize for learning: simplicity, recency, and trustworthiness',
-                weights: rankingEngine.getProfileWeights().student
-            },
-            shopper: {
-                description: 'Optimize for purchasing: price, reviews, and relevant products',
-                weights: rankingEngine.getProfileWeights().shopper
-            },
-            researcher: {
-                description: 'Optimize for research: citations, depth, and academic credibility',
-                weights: rankingEngine.getProfileWeights().researcher
-            },
-            casual: {
-                description: 'General purpose: relevance, recency, and quick reads',
-                weights: rankingEngine.getProfileWeights().casual
+router.get('/profiles/:name', (req, res, next) => {
+    const name = req.params.name;
+
+    if (rankingEngine.isBuiltInProfile(name)) {
+        return res.sendData({
+            profile: {
+                name,
+                description: builtInProfileDescriptions[name],
+                weights: rankingEngine.getWeightsForProfile(name),
+                diversityLambda: rankingEngine.getDiversityLambda(name),
+                custom: false,
+                learned: Boolean(weightStore.getPromoted().profiles[name])
             }
-        }
-    });
+        });
+    }
+
+    const profile = profileStore.getProfile(name);
+    if (!profile) {
+        return next(apiResponse.createApiError('PROFILE_NOT_FOUND', `Profile "${name}" not found`));
+    }
+    res.sendData({ profile: { name: name.trim().toLowerCase(), ...profile, custom: true } });
+});
+
+/**
+ * Create a custom profile
+ * 
+ * Request Body:
+ *   {
+ *     name: "budget-conscious researcher",
+ *     description: "Cited sources that don't cost much",
+ *     weights: { citations: 0.3, depth: 0.2, price: 0.3, relevance: 0.2 },
+ *     diversityLambda: 0.6
+ *   }
+ * 
+ * Weights may only use the eight ranking metrics, each between -1 and 1,
+ * and their absolute values must sum to 1 (± 0.1). Missing metrics are 0.
+ * diversityLambda (optional, 0-1) is used when searches ask to diversify.
+ */
+router.post('/profiles', validateRequest('createProfile'), (req, res, next) => {
+    try {
+        const profile = profileStore.createProfile(req.body);
+        req.log.info('Created custom profile', { profile: profile.name });
+        res.status(201).sendData({ profile: { ...profile, custom: true } });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Update a custom profile's description and/or weights
+ */
+router.put('/profiles/:name', validateRequest('updateProfile'), (req, res, next) => {
+    try {
+        const profile = profileStore.updateProfile(req.params.name, req.body);
+        req.log.info('Updated custom profile', { profile: profile.name });
+        res.sendData({ profile: { ...profile, custom: true } });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Delete a custom profile
+ */
+router.delete('/profiles/:name', (req, res, next) => {
+    try {
+        profileStore.deleteProfile(req.params.name);
+        req.log.info('Deleted custom profile', { profile: req.params.name.trim().toLowerCase() });
+        res.sendData({ deleted: req.params.name.trim().toLowerCase() });
+    } catch (error) {
+        next(error);
+    }
 });
 
 /**
  * Get metrics used for ranking
  */
-app.get('/api/metrics', (req, res) => {
-    res.json({
+router.get('/metrics', (req, res) => {
+    res.sendData({
         metrics: [
             { name: 'relevance', description: 'How well the result matches the search query', weight: 0.7 },
             { name: 'simplicity', description: 'Ease of understanding', weight: 'profile-dependent' },
@@ -290,138 +657,153 @@ app.get('/api/metrics', (req, res) => {
             { name: 'recency', description: 'How current the content is', weight: 'profile-dependent' },
             { name: 'readingTime', description: 'Time required to consume', weight: 'profile-dependent' }
         ],
-        notes: 'Final score = (0.7 × relevance) + (0.3 × personalization based on profile)'
+        notes: 'Final score = (0.7 × relevance) + (0.3 × personalization based on profile); POST /api/search accepts "blend" and "weights" to override per request'
     });
 });
 
 /**
- * Bing Search API integration using native fetch
- * Transforms Bing results to our standardized format
- * @param {string} query - Search query
- * @param {number} maxResults - Maximum results to return (default 5)
- * @returns {Promise<Array>} - Array of search results
+ * Get available search providers
  */
-async function bingSearch(query, maxResults = 5) {
-    try {
-        const endpoint = process.env.BING_ENDPOINT;
-        const apiKey = process.env.BING_API_KEY;
-
-        if (!endpoint || !apiKey) {
-            console.log('⚠ BING_ENDPOINT or BING_API_KEY not configured, using fallback');
-            throw new Error('Bing API credentials not configured');
-        }
-
-        const url = `${endpoint}?q=${encodeURIComponent(query)}&count=${maxResults}`;
-        const response = await fetch(url, {
-            headers: {
-                'Ocp-Apim-Subscription-Key': apiKey
-            }
-        });
+router.get('/providers', (req, res) => {
+    res.sendData({
+        defaultProvider: searchProviders.getDefaultProviderName(),
+        providers: searchProviders.listProviders()
+    });
+});
 
-        if (!response.ok) {
-            throw new Error(`Bing API returned ${response.status}: ${response.statusText}`);
-        }
+/**
+ * Log feedback events from the web interface for weight training
+ *
+ * Request Body:
+ *   {
+ *     events: [
+ *       { type: "impression", searchId: "9b1c...", profile: "student", results: [{ id: 4, position: 1, features: {...} }] },
+ *       { type: "click", searchId: "9b1c...", resultId: 4, position: 1 },
+ *       { type: "dwell", searchId: "9b1c...", resultId: 4, dwellMs: 42000 }
+ *     ]
+ *   }
+ */
+router.post('/feedback', validateRequest('submitFeedback'), (req, res, next) => {
+    try {
+        const accepted = feedbackLog.appendEvents(req.body.events, { client: req.apiClient });
+        req.log.debug('Logged feedback', { events: accepted });
+        res.status(202).sendData({ accepted });
+    } catch (error) {
+        next(error);
+    }
+});
 
-        const data = await response.json();
-        console.log(`✓ Bing API returned ${data.webPages?.value?.length || 0} results for "${query}"`);
-
-        // Transform Bing results to our standardized format
-        return (data.webPages?.value || []).map((item, index) => ({
-            id: index + 1,
-            title: item.name,
-            url: item.url,
-            summary: item.snippet,
-            category: inferCategory(item),
-            tags: inferTags(item),
-            relevance: 0.8 + Math.random() * 0.2,
-            simplicity: 0.7 + Math.random() * 0.3,
-            price: 0.5 + Math.random() * 0.5,
-            reviews: 0.6 + Math.random() * 0.4,
-            citations: 0.3 + Math.random() * 0.4,
-            depth: 0.6 + Math.random() * 0.4,
-            recency: 0.7 + Math.random() * 0.3,
-            readingTime: 5 + Math.floor(Math.random() * 40)
-        }));
+/**
+ * Preview the weights learned by the last training run (npm run train-weights)
+ */
+router.get('/weights/learned', accessControl.requireAdmin, validateRequest('previewLearnedWeights'), (req, res, next) => {
+    try {
+        res.sendData(weightStore.getCandidate());
+    } catch (error) {
+        next(error);
+    }
+});
 
+/**
+ * Promote learned weights to live rankings
+ *
+ * Request Body:
+ *   { profiles: ["student"] }   // optional; default: every profile in the candidate
+ */
+router.post('/weights/learned/promote', accessControl.requireAdmin, validateRequest('promoteLearnedWeights'), (req, res, next) => {
+    try {
+        const promoted = weightStore.promote(req.body.profiles);
+        req.log.info('Promoted learned weights', { profiles: req.body.profiles || 'all' });
+        res.sendData(promoted);
     } catch (error) {
-        console.error('✗ Bing API error:', error.message);
-        throw error;
+        next(error);
     }
-}
+});
 
 /**
- * Infer content category from URL
+ * Go back to hand-tuned weights (?profiles=student,researcher; default: all)
  */
-function inferCategory(item) {
-    const url = (item.url || '').toLowerCase();
-    
-    if (url.includes('course') || url.includes('udemy') || url.includes('coursera')) return 'course';
-    if (url.includes('book') || url.includes('amazon') || url.includes('goodreads')) return 'book';
-    if (url.includes('paper') || url.includes('arxiv') || url.includes('scholar')) return 'research';
-    if (url.includes('github') || url.includes('documentation')) return 'code';
-    if (url.includes('product') || url.includes('shop')) return 'product';
-    if (url.includes('news') || url.includes('blog')) return 'article';
-    
-    return 'article'; // Default
-}
+router.delete('/weights/promoted', accessControl.requireAdmin, validateRequest('resetPromotedWeights'), (req, res, next) => {
+    try {
+        const names = req.query.profiles ? req.query.profiles.split(',').map(name => name.trim()).filter(Boolean) : [];
+        const promoted = weightStore.resetPromoted(names);
+        req.log.info('Reset promoted weights', { profiles: names.length > 0 ? names : 'all' });
+        res.sendData(promoted);
+    } catch (error) {
+        next(error);
+    }
+});
 
 /**
- * Infer relevant tags from content
+ * Ranking experiments with their per-variant click-through stats
+ * (from the feedback log; see experiments.js)
  */
-function inferTags(item) {
-    const content = `${item.name || ''} ${item.snippet || ''}`.toLowerCase();
-    const tags = [];
-    
-    // Common tech tags
-    const tagKeywords = {
-        'machine learning': ['machine learning', 'ml', 'ai', 'artificial intelligence'],
-        'python': ['python'],
-        'javascript': ['javascript', 'js', 'nodejs', 'node'],
-        'web development': ['web', 'html', 'css', 'react', 'vue'],
-        'data science': ['data science', 'data analytics', 'analytics'],
-        'tutorial': ['tutorial', 'guide', 'how to', 'learn'],
-        'documentation': ['documentation', 'docs', 'reference'],
-        'example': ['example', 'code sample']
-    };
-
-    for (const [tag, keywords] of Object.entries(tagKeywords)) {
-        if (keywords.some(keyword => content.includes(keyword))) {
-            tags.push(tag);
-        }
+router.get('/experiments', accessControl.requireAdmin, validateRequest('listExperiments'), (req, res, next) => {
+    try {
+        const events = feedbackLog.readEvents();
+        const running = experiments.getRunningExperiment();
+        res.sendData({
+            running: running ? running.id : null,
+            experiments: experiments.listExperiments().map(experiment => ({
+                ...experiment,
+                stats: experiments.getExperimentStats(experiment, events)
+            }))
+        });
+    } catch (error) {
+        next(error);
     }
+});
 
-    return tags.length > 0 ? tags : ['general'];
-}
+/**
+ * Routes listed in 404 responses (relative to /api/v1 or /api)
+ */
+const API_ENDPOINTS = [
+    'GET /health',
+    'GET /openapi.json',
+    'GET /search?q=query&profile=student&budget=true&readingTime=30&skillLevel=beginner',
+    'POST /search',
+    'POST /compare',
+    'GET /profiles',
+    'GET /profiles/:name',
+    'POST /profiles',
+    'PUT /profiles/:name',
+    'DELETE /profiles/:name',
+    'GET /metrics',
+    'GET /providers',
+    'POST /feedback',
+    'GET /weights/learned',
+    'POST /weights/learned/promote',
+    'DELETE /weights/promoted',
+    'GET /experiments'
+];
+
+// Versioned routes first, then the unversioned aliases
+app.use(`/api/${apiResponse.API_VERSION}`, router);
+app.use('/api', router);
 
 /**
  * 404 handler
  */
-app.use((req, res) => {
-    res.status(404).json({
-        success: false,
-        error: 'Endpoint not found',
-        availableEndpoints: [
-            'GET /api/health',
-            'GET /api/search?q=query&profile=student&budget=true&readingTime=30&skillLevel=beginner',
-            'POST /api/search',
-            'GET /api/profiles',
-            'GET /api/metrics'
-        ]
-    });
+app.use((req, res, next) => {
+    const prefix = req.apiVersion ? `/api/${req.apiVersion}` : '/api';
+    const error = apiResponse.createApiError('NOT_FOUND', 'Endpoint not found');
+    error.availableEndpoints = API_ENDPOINTS.map(endpoint => endpoint.replace(' /', ` ${prefix}/`));
+    next(error);
 });
 
+/**
+ * Error handler: every error ends up in the response envelope
+ */
+app.use(apiResponse.errorHandler);
+
 // Start server
 app.listen(PORT, () => {
-    console.log(`\n🚀 Decision-Aware Search API Server`);
-    console.log(`📡 Listening on http://localhost:${PORT}`);
-    console.log(`\n📚 API Endpoints:`);
-    console.log(`   GET  /api/health              - Health check`);
-    console.log(`   GET  /api/search              - Search with query parameters`);
-    console.log(`   POST /api/search              - Search with request body`);
-    console.log(`   GET  /api/profiles            - Available profiles`);
-    console.log(`   GET  /api/metrics             - Available metrics`);
-    console.log(`\n🌐 Web Interface: http://localhost:${PORT}`);
-    console.log(`📖 Try: http://localhost:${PORT}?q=machine%20learning&profile=student\n`);
+    logger.info('Server listening', {
+        port: Number(PORT),
+        apiBase: `/api/${apiResponse.API_VERSION}`,
+        endpoints: API_ENDPOINTS,
+        webInterface: `http://localhost:${PORT}`
+    });
 });
 
 module.exports = app;
@@ -0,0 +1,89 @@
+/**
+ * Static Assets
+ *
+ * Serves the front end without exposing the rest of the project:
+ *   - public/                  index.html, app.js, styles.css
+ *   - SHARED_SCRIPTS           UMD modules used by both the server and the
+ *                              browser; they stay in the project root because
+ *                              server.js requires them from there
+ *   - BROWSER_DATA             data files the browser fetches
+ *
+ * Anything else (server.js, package.json, logs, .env and other dotfiles,
+ * custom profiles, API keys) is not served and falls through to the 404
+ * handler.
+ *
+ * securityHeaders adds a Content-Security-Policy and related headers to every
+ * response.
+ */
+
+const express = require('express');
+const path = require('path');
+
+/**
+ * Directory with the browser-only files
+ */
+const PUBLIC_DIR = path.join(__dirname, 'public');
+
+/**
+ * Project-root scripts the browser loads (index.html includes them in this order)
+ */
+const SHARED_SCRIPTS = ['query-analyzer.js', 'search-index.js', 'currency.js', 'ranking-engine.js', 'facets.js', 'safe-html.js'];
+
+/**
+ * Data files the browser fetches (public URL path relative to the project root)
+ */
+const BROWSER_DATA = ['data/results.json', 'data/exchange-rates.json'];
+
+/**
+ * Content Security Policy for the UI: only our own scripts, no framing.
+ * Inline styles stay allowed because index.html and the result cards use style attributes.
+ */
+const CONTENT_SECURITY_POLICY = [
+    "default-src 'self'",
+    "script-src 'self'",
+    "style-src 'self' 'unsafe-inline'",
+    "img-src 'self' data:",
+    "connect-src 'self'",
+    "object-src 'none'",
+    "base-uri 'self'",
+    "form-action 'self'",
+    "frame-ancestors 'none'"
+].join('; ');
+
+/**
+ * Middleware: security headers for every response
+ */
+function securityHeaders(req, res, next) {
+    res.set({
+        'Content-Security-Policy': CONTENT_SECURITY_POLICY,
+        'X-Content-Type-Options': 'nosniff',
+        'X-Frame-Options': 'DENY',
+        'Referrer-Policy': 'no-referrer'
+    });
+    next();
+}
+
+/**
+ * Create a router serving public/ and the allowlisted shared files
+ * @returns {Function} - Express router
+ */
+function createStaticRouter() {
+    const router = express.Router();
+
+    [...SHARED_SCRIPTS, ...BROWSER_DATA].forEach(file => {
+        router.get(`/${file}`, (req, res) => res.sendFile(path.join(__dirname, file)));
+    });
+
+    // Dotfiles in public/ are ignored (404) as well
+    router.use(express.static(PUBLIC_DIR, { dotfiles: 'ignore' }));
+
+    return router;
+}
+
+// Exports
+module.exports = {
+    PUBLIC_DIR,
+    SHARED_SCRIPTS,
+    securityHeaders,
+    createStaticRouter
+};
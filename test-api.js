@@ -1,9 +1,79 @@
 /**
  * API Test Suite
  * Tests the Express API endpoints
+ *
+ * Starts its own server (TEST_PORT, default 8099) with every data file it
+ * writes (feedback log, custom profiles, weights, ...) in a temp directory,
+ * so a run never changes data/.
  */
 
+const fs = require('fs');
 const http = require('http');
+const os = require('os');
+const path = require('path');
+const vm = require('vm');
+const { spawn } = require('child_process');
+
+// Server modules loaded in-process by some checks log like the server; keep the output to test lines
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn';
+
+// Port of the test server; a second one with API keys configured runs on the next port
+const TEST_PORT = Number(process.env.TEST_PORT) || 8099;
+const KEYED_TEST_PORT = TEST_PORT + 1;
+
+// Keys of the keyed test server
+const TEST_API_KEY = 'test-key';
+const TEST_ADMIN_KEY = 'test-admin-key';
+
+// Data files of the test server, removed after the run
+const testDataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'search-api-test-'));
+
+// Rates the server converts budgets with (EXCHANGE_RATES_PATH is not overridden)
+const exchangeRates = JSON.parse(fs.readFileSync(path.join(__dirname, 'data', 'exchange-rates.json'), 'utf8'));
+
+// Object.prototype members that must never count as declared fields
+const PROTOTYPE_KEYS = ['constructor', 'toString', 'hasOwnProperty', '__proto__'];
+
+// Values a test saves for later ones (e.g. a cursor to follow); a test's path may be a function reading them
+const state = {};
+
+// Unique per run so the result cache has not seen it yet
+const CACHE_PROBE_QUERY = `Machine Learning probe ${Date.now()}`;
+
+// Hostile result content from a live provider: none of it may reach the page as markup
+const hostileTitles = [
+    '<script>alert(1)</script>',
+    '<img src=x onerror="alert(1)">',
+    '"><svg onload=alert(1)>',
+    "' onmouseover='alert(1)",
+    'Tom & Jerry </h3><a href="//evil.test">'
+];
+
+// Link targets that must not become clickable (or must stay unchanged if safe)
+const hostileUrls = {
+    'javascript:alert(1)': null,
+    'JavaScript:alert(document.cookie)': null,
+    '  javascript:alert(1)': null,
+    'java\tscript:alert(1)': null,
+    'java\nscript:alert(1)': null,
+    'data:text/html,<script>alert(1)</script>': null,
+    'vbscript:msgbox(1)': null,
+    '//evil.test/path': null,
+    '/relative/path': null,
+    'not a url': null,
+    'https://example.com/a?b=1&c="2"': 'https://example.com/a?b=1&c=%222%22',
+    'http://example.com/': 'http://example.com/'
+};
+
+// Same input for the server and for the browser copy of the ranking engine
+const parityRequest = {
+    query: 'headphones',
+    profile: 'shopper',
+    provider: 'mock',
+    constraints: { budget: true, budgetAmount: 100, currency: 'EUR', readingTime: 15, skillLevel: 'beginner' },
+    weights: { reviews: 0.4 },
+    blend: 0.6
+};
 
 const tests = [
     {
@@ -12,6 +82,174 @@ const tests = [
         path: '/api/health',
         expected: { status: 'ok' }
     },
+    {
+        name: 'Get OpenAPI Document',
+        method: 'GET',
+        path: '/api/v1/openapi.json',
+        expected: { openapi: '3.0.3', paths: {} },
+        check: (json) => json.servers[0].url === '/api/v1' &&
+            ['/search', '/compare', '/profiles', '/profiles/{name}', '/providers'].every(route => route in json.paths) &&
+            json.components.schemas.Profile.enum.includes('student')
+    },
+    {
+        name: 'Versioned Search Envelope',
+        method: 'GET',
+        path: '/api/v1/search?q=headphones&provider=mock&limit=2',
+        expected: { success: true, data: {}, metadata: {} },
+        check: (json) => json.data.results.length === 2 &&
+            json.data.totalResults === 5 &&
+            json.metadata.apiVersion === 'v1' &&
+            typeof json.metadata.responseTime === 'number' &&
+            typeof json.metadata.nextCursor === 'string'
+    },
+    {
+        name: 'Versioned Profiles Envelope',
+        method: 'GET',
+        path: '/api/v1/profiles',
+        expected: { success: true, data: {} },
+        check: (json) => json.data.profiles.student.custom === false && typeof json.metadata.responseTime === 'number'
+    },
+    {
+        name: 'Versioned Error Code for Unknown Profile',
+        method: 'GET',
+        path: '/api/v1/search?q=python&profile=nobody',
+        expected: { success: false },
+        check: (json) => json.error.code === 'INVALID_PROFILE' && json.error.details[0].field === 'profile'
+    },
+    {
+        name: 'Versioned Error Code for Missing Query',
+        method: 'POST',
+        path: '/api/v1/search',
+        body: { profile: 'student' },
+        expected: { success: false },
+        check: (json) => json.error.code === 'QUERY_REQUIRED'
+    },
+    {
+        name: 'Unversioned Alias Keeps Flat Shape',
+        method: 'GET',
+        path: '/api/search?q=headphones&provider=mock&limit=1',
+        expected: { success: true, totalResults: 5 },
+        check: (json) => typeof json.metadata.responseTime === 'string'
+    },
+    {
+        name: 'Result Cache Miss on First Search',
+        method: 'GET',
+        path: `/api/v1/search?q=${encodeURIComponent(CACHE_PROBE_QUERY)}&provider=local`,
+        expected: { success: true },
+        check: (json) => json.metadata.cache === 'miss' && json.metadata.apiSource === 'local'
+    },
+    {
+        name: 'Result Cache Hit for Same Normalized Query',
+        method: 'POST',
+        path: '/api/v1/search',
+        body: { query: `  ${CACHE_PROBE_QUERY.toUpperCase()} `, profile: 'researcher', provider: 'local' },
+        expected: { success: true },
+        check: (json) => json.metadata.cache === 'hit' && json.data.profile === 'researcher'
+    },
+    {
+        name: 'Mock Provider Is Not Cached',
+        method: 'GET',
+        path: '/api/v1/search?q=headphones&provider=mock&limit=1',
+        expected: { success: true },
+        check: (json) => json.metadata.cache === 'miss'
+    },
+    {
+        name: 'No API Key or Rate Limit Without Configured Keys',
+        method: 'GET',
+        path: '/api/v1/search?q=headphones&provider=mock&limit=1',
+        headers: { Origin: 'http://example.com' },
+        expected: { success: true },
+        check: (json, headers) => headers['access-control-allow-origin'] === '*' &&
+            headers['ratelimit-limit'] === undefined
+    },
+    {
+        name: 'Serve the UI with Security Headers',
+        path: '/',
+        expectedStatus: 200,
+        check: (body, headers) => body.includes('<script src="app.js">') &&
+            headers['content-security-policy'].includes("script-src 'self'") &&
+            headers['x-content-type-options'] === 'nosniff'
+    },
+    {
+        name: 'Serve Shared Browser Script',
+        path: '/ranking-engine.js',
+        expectedStatus: 200
+    },
+    {
+        name: 'Serve Browser Rate Table',
+        path: '/data/exchange-rates.json',
+        expectedStatus: 200
+    },
+    ...['/server.js', '/package.json', '/server.log', '/requests.jsonl', '/.env', '/.gitignore',
+        '/data/custom-profiles.json', '/public/index.html', '/providers/bing.js', '/node_modules/express/package.json']
+        .map(file => ({ name: `Do Not Serve ${file}`, path: file, expectedStatus: 404 })),
+    {
+        name: 'Escape Hostile Result Titles',
+        path: '/safe-html.js',
+        expectedStatus: 200,
+        check: (source) => {
+            const { escapeHtml } = loadBrowserScript(source, 'SafeHtml');
+            return hostileTitles.every(title => !/[<>"']/.test(escapeHtml(title))) &&
+                escapeHtml('Tom & Jerry') === 'Tom &amp; Jerry' &&
+                escapeHtml(null) === '' &&
+                escapeHtml(42) === '42';
+        }
+    },
+    {
+        name: 'Only Link http(s) Result URLs',
+        path: '/safe-html.js',
+        expectedStatus: 200,
+        check: (source) => {
+            const { getSafeUrl } = loadBrowserScript(source, 'SafeHtml');
+            return Object.entries(hostileUrls).every(([url, expected]) => getSafeUrl(url) === expected) &&
+                getSafeUrl(undefined) === null;
+        }
+    },
+    {
+        name: 'Result Card Links Use noopener',
+        path: '/app.js',
+        expectedStatus: 200,
+        check: (source) => {
+            const { createResultCard } = loadBrowserApp(source);
+            const render = (url, title = 'Example') => createResultCard({
+                id: 1, title, url, summary: 'Summary', profile: 'casual', explanations: [],
+                reviews: 0.8, readingTime: 5, price: 0.5, depth: 0.5, simplicity: 0.5
+            }, 1).innerHTML;
+
+            const links = render('https://example.com/a?b=1&c="2"').match(/<a [^>]*>/g) || [];
+            return links.length === 1 &&
+                links[0].includes('href="https://example.com/a?b=1&amp;c=%222%22"') &&
+                links[0].includes('target="_blank"') &&
+                links[0].includes('rel="noopener noreferrer"') &&
+                // Unsafe URLs leave the title as plain text, and hostile titles stay text
+                Object.keys(hostileUrls).filter(url => hostileUrls[url] === null)
+                    .every(url => !/<a |href=/.test(render(url))) &&
+                hostileTitles.every(title => !/<(script|img|svg)|<a /i.test(render('javascript:alert(1)', title)));
+        }
+    },
+    {
+        name: 'Request ID Header on Every Response',
+        method: 'GET',
+        path: '/api/v1/health',
+        expected: { success: true },
+        check: (json, headers) => /^[0-9a-f-]{36}$/.test(headers['x-request-id'])
+    },
+    {
+        name: 'Keep Caller Request ID',
+        method: 'GET',
+        path: '/api/v1/health',
+        headers: { 'X-Request-Id': 'test-run.42' },
+        expected: { success: true },
+        check: (json, headers) => headers['x-request-id'] === 'test-run.42'
+    },
+    {
+        name: 'Replace Unsafe Request ID',
+        method: 'GET',
+        path: '/api/v1/health',
+        headers: { 'X-Request-Id': '"} forged <log line>' },
+        expected: { success: true },
+        check: (json, headers) => /^[0-9a-f-]{36}$/.test(headers['x-request-id'])
+    },
     {
         name: 'Search with Query Parameter',
         method: 'GET',
@@ -30,12 +268,355 @@ const tests = [
         path: '/api/search?q=machine+learning&profile=shopper&budget=true',
         expected: { success: true }
     },
+    {
+        name: 'Search with Short and Symbol Terms',
+        method: 'GET',
+        path: '/api/search?q=JS+map+vs+set&profile=student',
+        expected: { success: true, totalResults: 3 }
+    },
+    {
+        name: 'Search Returns Score Breakdown',
+        method: 'GET',
+        path: '/api/search?q=machine+learning&profile=student&readingTime=15&skillLevel=beginner',
+        expected: { success: true },
+        check: (json) => json.results.length > 0 && json.results.every(result => {
+            const breakdown = result.scoreBreakdown;
+            return breakdown &&
+                breakdown.final === result.score &&
+                typeof breakdown.relevance.components.base.contribution === 'number' &&
+                typeof breakdown.personalization.metrics.simplicity.contribution === 'number' &&
+                typeof breakdown.personalization.constraints.readingTime.applied === 'number' &&
+                typeof breakdown.personalization.constraints.clamped === 'number';
+        })
+    },
+    {
+        name: 'Require Reading Time Constraint',
+        method: 'GET',
+        path: '/api/search?q=gaming&profile=student&provider=mock&readingTime=10&readingTimeMode=require&limit=50',
+        expected: { success: true },
+        check: (json) => {
+            const { excluded } = json.metadata;
+            return json.results.length > 0 &&
+                json.results.every(result => !(result.readingTime > 10)) &&
+                excluded.total > 0 &&
+                excluded.total + json.totalResults === 8 &&
+                excluded.byConstraint.readingTime === excluded.total &&
+                excluded.results.every(result => /over the 10-minute limit/.test(result.reasons.readingTime));
+        }
+    },
+    {
+        name: 'Preferred Constraints Only Re-rank',
+        method: 'GET',
+        path: '/api/search?q=gaming&profile=student&provider=mock&readingTime=10&limit=50',
+        expected: { success: true, totalResults: 8 },
+        check: (json) => json.metadata.excluded === undefined && json.results.some(result => result.readingTime > 10)
+    },
+    {
+        name: 'Reject Invalid Constraint Mode',
+        method: 'POST',
+        path: '/api/search',
+        body: { query: 'gaming', constraints: { readingTime: 10, readingTimeMode: 'always' } },
+        expectedError: 'Invalid constraints.readingTimeMode'
+    },
+    {
+        name: 'Browser and Server Rankings Match',
+        method: 'POST',
+        path: '/api/search',
+        body: parityRequest,
+        expected: { success: true },
+        check: (json) => {
+            const browserResults = loadBrowserRankingEngine().rankResults({
+                ...parityRequest,
+                results: JSON.parse(fs.readFileSync(path.join(__dirname, 'data', 'results.json'), 'utf8')).results
+            });
+            const summarize = results => JSON.stringify(results.map(result => [result.id, result.score, result.explanations]));
+            return json.results.length > 1 && summarize(json.results) === summarize(browserResults);
+        }
+    },
+    {
+        name: 'Re-rank Cached Results in Browser',
+        method: 'GET',
+        path: '/api/search?q=headphones&profile=casual&provider=mock',
+        expected: { success: true },
+        check: (json) => {
+            // Profile switching re-ranks the API results client-side; none may drop out
+            const reranked = loadBrowserRankingEngine().rankResults({
+                query: json.query,
+                profile: 'shopper',
+                constraints: { budget: true, budgetAmount: 50, currency: 'USD' },
+                results: json.results,
+                keepRelevance: true
+            });
+            const ids = results => results.map(result => result.id).sort().join(',');
+            return json.results.length > 1 &&
+                ids(reranked) === ids(json.results) &&
+                reranked.every(result => result.profile === 'shopper' && result.scoreBreakdown.personalization.constraints.budget);
+        }
+    },
+    {
+        name: 'Re-rank a Loaded Page Without Relevance Drift',
+        method: 'GET',
+        path: '/api/search?q=headphones&profile=shopper&provider=mock&limit=2',
+        expected: { success: true },
+        check: (json) => {
+            // BM25 over two of five results would score relevance differently; the page keeps the server's
+            const reranked = loadBrowserRankingEngine().rankResults({
+                query: json.query,
+                profile: 'shopper',
+                constraints: {},
+                results: json.results,
+                keepRelevance: true
+            });
+            const summarize = results => JSON.stringify(results.map(result => [result.id, result.score, result.scoreBreakdown.relevance]));
+            return json.results.length === 2 && summarize(reranked) === summarize(json.results);
+        }
+    },
+    {
+        name: 'Search First Page with Limit',
+        method: 'GET',
+        path: '/api/search?q=headphones&provider=mock&limit=2',
+        expected: { success: true, totalResults: 5 },
+        check: (json) => json.results.length === 2 &&
+            json.metadata.limit === 2 &&
+            json.metadata.offset === 0 &&
+            typeof json.metadata.nextCursor === 'string'
+    },
+    {
+        name: 'Search Last Page with Offset',
+        method: 'GET',
+        path: '/api/search?q=headphones&provider=mock&limit=2&offset=4',
+        expected: { success: true, totalResults: 5 },
+        check: (json) => json.results.length === 1 && json.metadata.nextCursor === null
+    },
+    {
+        name: 'Reject Invalid Limit',
+        method: 'GET',
+        path: '/api/search?q=headphones&limit=500',
+        expectedError: 'Invalid limit'
+    },
+    {
+        name: 'Reject Cursor from Another Search',
+        method: 'GET',
+        path: `/api/search?q=python&cursor=${Buffer.from(JSON.stringify({ offset: 2, search: 'other' })).toString('base64url')}`,
+        expectedError: 'Invalid cursor'
+    },
+    {
+        name: 'Search First Diversified Page',
+        method: 'GET',
+        path: '/api/search?q=headphones&provider=mock&limit=2&diversify=true',
+        expected: { success: true },
+        check: (json) => {
+            state.diversifiedCursor = json.metadata.nextCursor;
+            return typeof state.diversifiedCursor === 'string';
+        }
+    },
+    {
+        name: 'Reject Diversified Cursor Without Diversification',
+        method: 'GET',
+        path: () => `/api/search?q=headphones&provider=mock&limit=2&cursor=${state.diversifiedCursor}`,
+        expectedError: 'Invalid cursor. It belongs to a different search'
+    },
+    {
+        name: 'Follow Diversified Cursor',
+        method: 'GET',
+        path: () => `/api/search?q=headphones&provider=mock&limit=2&diversify=true&cursor=${state.diversifiedCursor}`,
+        expected: { success: true },
+        check: (json) => json.metadata.offset === 2
+    },
+    {
+        name: 'Search with Facet Counts',
+        method: 'GET',
+        path: '/api/search?q=headphones&provider=mock',
+        expected: { success: true, totalResults: 5 },
+        check: (json) => {
+            const sum = counts => Object.values(counts).reduce((total, count) => total + count, 0);
+            return sum(json.facets.category) === 5 &&
+                sum(json.facets.priceBand) === 5 &&
+                sum(json.facets.depth) === 5 &&
+                Object.keys(json.facets.tags).length > 0;
+        }
+    },
+    {
+        name: 'Search with Category and Trust Filters',
+        method: 'POST',
+        path: '/api/search',
+        body: { query: 'learn programming', profile: 'student', provider: 'mock', filters: { category: ['course'], minTrust: 80 } },
+        expected: { success: true },
+        check: (json) => json.results.length > 0 &&
+            json.results.every(result => result.category === 'course' && result.reviews >= 0.8) &&
+            json.totalResults === json.results.length &&
+            json.facets.category.course >= json.totalResults
+    },
+    {
+        name: 'Reject Unknown Price Band',
+        method: 'GET',
+        path: '/api/search?q=headphones&priceBand=Cheapish',
+        expectedError: 'Invalid filter'
+    },
+    {
+        name: 'Search with Budget Amount in EUR',
+        method: 'GET',
+        path: '/api/search?q=python+course&profile=student&budget=true&budgetAmount=20&currency=EUR',
+        expected: { success: true },
+        check: (json) => {
+            // The $19.99 Udemy course is compared in euros
+            const budget = json.results.find(result => result.priceAmount === 19.99).scoreBreakdown.personalization.constraints.budget;
+            return budget.currency === 'EUR' && budget.budget === 20 &&
+                Math.abs(budget.price - 19.99 * exchangeRates.rates.EUR) < 0.01 &&
+                budget.withinBudget === true;
+        }
+    },
+    {
+        name: 'Fit Budget After Converting to EUR',
+        method: 'GET',
+        path: '/api/search?q=python+course&profile=student&budget=true&budgetAmount=19&currency=EUR',
+        expected: { success: true },
+        // $19.99 is over a $19 budget but within €19
+        check: (json) => json.results.find(result => result.priceAmount === 19.99).scoreBreakdown.personalization.constraints.budget.withinBudget === true
+    },
+    {
+        name: 'Exceed the Same Budget in USD',
+        method: 'GET',
+        path: '/api/search?q=python+course&profile=student&budget=true&budgetAmount=19&currency=USD',
+        expected: { success: true },
+        check: (json) => json.results.find(result => result.priceAmount === 19.99).scoreBreakdown.personalization.constraints.budget.withinBudget === false
+    },
+    {
+        name: 'Search with Local Fixture Provider',
+        method: 'GET',
+        path: '/api/search?q=machine+learning&profile=researcher&provider=local',
+        expected: { success: true }
+    },
+    {
+        name: 'Get Providers',
+        method: 'GET',
+        path: '/api/providers',
+        expected: { providers: [] }
+    },
     {
         name: 'Get Profiles',
         method: 'GET',
         path: '/api/profiles',
         expected: { profiles: {} }
     },
+    {
+        name: 'Create Custom Profile',
+        method: 'POST',
+        path: '/api/profiles',
+        body: {
+            name: 'api test profile',
+            description: 'Created by the API test suite',
+            weights: { citations: 0.3, price: 0.3, depth: 0.2, relevance: 0.2 }
+        },
+        expected: { success: true }
+    },
+    {
+        name: 'Search with Custom Profile',
+        method: 'GET',
+        path: '/api/search?q=machine+learning&profile=api+test+profile',
+        expected: { success: true, profile: 'api test profile' }
+    },
+    {
+        name: 'Reject Invalid Profile Weights',
+        method: 'POST',
+        path: '/api/profiles',
+        body: { name: 'broken profile', weights: { price: 0.9, popularity: 0.5 } },
+        expectedError: 'Invalid profile'
+    },
+    {
+        name: 'Search with Weight Overrides and Blend',
+        method: 'POST',
+        path: '/api/search',
+        body: { query: 'machine learning', profile: 'student', weights: { price: 0.5 }, blend: 0.4 },
+        expected: { success: true, blend: 0.4 }
+    },
+    {
+        name: 'Reject Invalid Blend',
+        method: 'POST',
+        path: '/api/search',
+        body: { query: 'machine learning', profile: 'student', blend: 1.5 },
+        expectedError: 'Invalid blend'
+    },
+    {
+        name: 'Diversify Search Results',
+        method: 'GET',
+        path: '/api/search?q=gaming+headphones&profile=shopper&provider=mock&diversify=true&limit=10',
+        expected: { success: true, diversityLambda: 0.6 },
+        check: (json) => {
+            const topCategories = new Set(json.results.slice(0, 3).map(result => result.category));
+            const promoted = json.results.filter((result, index) => result.scoreBreakdown.diversity.scoreRank > index + 1);
+            return topCategories.size > 1 &&
+                promoted.length > 0 &&
+                promoted.every(result => result.explanations.some(text => text.includes('Shown higher for variety')));
+        }
+    },
+    {
+        name: 'Reject Invalid Diversity Lambda',
+        method: 'POST',
+        path: '/api/search',
+        body: { query: 'machine learning', profile: 'student', diversityLambda: 1.5 },
+        expectedError: 'Invalid diversityLambda'
+    },
+    {
+        name: 'Compare Profiles',
+        method: 'POST',
+        path: '/api/compare',
+        body: { query: 'headphones', provider: 'mock', profiles: ['student', 'shopper', 'researcher'], limit: 3 },
+        expected: { success: true },
+        check: (json) => json.variants.length === 3 &&
+            json.variants.every(variant => variant.results.length === 3) &&
+            json.comparisons.length === 3 &&
+            json.comparisons.every(comparison => comparison.kendallTau >= -1 && comparison.kendallTau <= 1) &&
+            json.alignment.every(row => row.ranks.length === 3)
+    },
+    {
+        name: 'Reject Compare with One Profile',
+        method: 'POST',
+        path: '/api/compare',
+        body: { query: 'machine learning', profiles: ['student'] },
+        expectedError: 'Invalid variants'
+    },
+    {
+        name: 'Delete Custom Profile',
+        method: 'DELETE',
+        path: '/api/profiles/api%20test%20profile',
+        expected: { success: true }
+    },
+    {
+        name: 'Refuse Deleting a Built-in Profile',
+        method: 'DELETE',
+        path: '/api/v1/profiles/student',
+        expected: { success: false },
+        check: (json) => json.error.code === 'PROFILE_READ_ONLY'
+    },
+    {
+        name: 'Unknown Profile Named After an Object Member',
+        method: 'GET',
+        path: '/api/v1/profiles/constructor',
+        expected: { success: false },
+        check: (json) => json.error.code === 'PROFILE_NOT_FOUND'
+    },
+    {
+        name: 'Create Profile Named After an Object Member',
+        method: 'POST',
+        path: '/api/v1/profiles',
+        body: { name: 'constructor', weights: { relevance: 0.5, price: 0.5 } },
+        expected: { success: true },
+        check: (json) => json.data.profile.name === 'constructor' && json.data.profile.weights.price === 0.5
+    },
+    {
+        name: 'Search with Profile Named After an Object Member',
+        method: 'GET',
+        path: '/api/v1/search?q=headphones&profile=constructor&provider=mock&limit=1',
+        expected: { success: true },
+        check: (json) => json.data.weights.price === 0.5
+    },
+    {
+        name: 'Delete Profile Named After an Object Member',
+        method: 'DELETE',
+        path: '/api/v1/profiles/constructor',
+        expected: { success: true }
+    },
     {
         name: 'Get Metrics',
         method: 'GET',
@@ -47,21 +628,453 @@ const tests = [
         method: 'GET',
         path: '/api/search',
         expectedError: 'Query parameter'
+    },
+    {
+        name: 'Reject Non-numeric Reading Time and Unknown Skill Level',
+        method: 'GET',
+        path: '/api/search?q=python&readingTime=abc&skillLevel=expert',
+        expectedError: 'Invalid readingTime. Must be an integer between 1 and 1440; Invalid skillLevel'
+    },
+    {
+        name: 'Reject Unknown Constraint Field',
+        method: 'POST',
+        path: '/api/search',
+        body: { query: 'python', constraints: { currency: 'XYZ', colour: 'red' } },
+        expectedError: 'Unknown field "constraints.colour"'
+    },
+    {
+        name: 'Unknown Provider',
+        method: 'GET',
+        path: '/api/search?q=python&provider=nonexistent',
+        expectedError: 'Invalid provider'
+    },
+    {
+        name: 'Unversioned Error Includes Code',
+        method: 'GET',
+        path: '/api/search?q=python&provider=nonexistent',
+        expected: { success: false, code: 'INVALID_PROVIDER' }
+    },
+    {
+        name: 'Accept Feedback Events',
+        method: 'POST',
+        path: '/api/feedback',
+        body: {
+            events: [
+                { type: 'impression', searchId: 'api-test', profile: 'student', results: [{ id: 1, position: 1, features: { simplicity: 0.8 } }, { id: 2, position: 2 }] },
+                { type: 'click', searchId: 'api-test', resultId: 2, position: 2 },
+                { type: 'dwell', searchId: 'api-test', resultId: 2, dwellMs: 42000 }
+            ]
+        },
+        expected: { success: true, accepted: 3 }
+    },
+    {
+        name: 'Reject Click Without Position',
+        method: 'POST',
+        path: '/api/feedback',
+        body: { events: [{ type: 'click', searchId: 'api-test', resultId: 2 }] },
+        expectedError: 'A click event needs "position"'
+    },
+    {
+        name: 'Reject Out-of-range Feedback Features',
+        method: 'POST',
+        path: '/api/v1/feedback',
+        body: { events: [{ type: 'impression', searchId: 'api-test', profile: 'student', results: [{ id: 1, position: 1, features: { price: 4 } }] }] },
+        expected: { success: false },
+        check: (json) => json.error.code === 'INVALID_FEEDBACK'
+    },
+    ...PROTOTYPE_KEYS.map(key => ({
+        name: `Reject Weight Override Named "${key}"`,
+        method: 'POST',
+        path: '/api/v1/search',
+        body: { query: 'headphones', weights: { [key]: 0.5 } },
+        expected: { success: false },
+        check: (json) => json.error.code === 'INVALID_WEIGHTS'
+    })),
+    ...PROTOTYPE_KEYS.map(key => ({
+        name: `Reject Body Field Named "${key}"`,
+        method: 'POST',
+        path: '/api/v1/search',
+        body: { query: 'headphones', [key]: 1 },
+        expected: { success: false },
+        check: (json) => json.error.code === 'VALIDATION_FAILED'
+    })),
+    ...PROTOTYPE_KEYS.map(key => ({
+        name: `Reject Constraint and Filter Named "${key}"`,
+        method: 'POST',
+        path: '/api/v1/search',
+        body: { query: 'headphones', constraints: { [key]: 1 }, filters: { [key]: ['x'] } },
+        expected: { success: false },
+        check: (json) => json.error.code === 'VALIDATION_FAILED' &&
+            json.error.details.map(detail => detail.field).sort().join() === `constraints.${key},filters.${key}`
+    })),
+    ...PROTOTYPE_KEYS.map(key => ({
+        name: `Reject Compare Variant Field Named "${key}"`,
+        method: 'POST',
+        path: '/api/v1/compare',
+        body: { query: 'headphones', variants: [{ profile: 'student', [key]: 1 }, { profile: 'casual' }] },
+        expected: { success: false },
+        check: (json) => json.error.code === 'INVALID_VARIANTS'
+    })),
+    ...PROTOTYPE_KEYS.map(key => ({
+        name: `Reject Feedback Event Field Named "${key}"`,
+        method: 'POST',
+        path: '/api/v1/feedback',
+        body: { events: [{ type: 'impression', searchId: 'api-test', profile: 'student', results: [], [key]: {} }] },
+        expected: { success: false },
+        check: (json) => json.error.code === 'INVALID_FEEDBACK'
+    })),
+    {
+        name: 'Refuse Promoting Weights from Another Machine Without Keys',
+        method: 'POST',
+        path: '/api/v1/weights/learned/promote',
+        headers: { 'X-Forwarded-For': '203.0.113.9' },
+        body: {},
+        expected: { success: false },
+        check: (json) => json.error.code === 'ADMIN_REQUIRED'
+    },
+    {
+        name: 'List Experiments',
+        method: 'GET',
+        path: '/api/v1/experiments',
+        expected: { success: true },
+        check: (json) => Array.isArray(json.data.experiments) && json.data.running === null
+    }
+];
+
+// Trainer output the keyed test server starts with (see weight-store.js)
+const learnedCandidate = {
+    trainedAt: '2026-01-05T10:00:00.000Z',
+    profiles: {
+        shopper: {
+            weights: { relevance: 0.2, simplicity: 0.05, price: 0.45, reviews: 0.3 },
+            pairs: 120,
+            accuracy: 0.81,
+            currentAccuracy: 0.74
+        }
+    },
+    skipped: {}
+};
+
+// Experiment running on the keyed test server (see experiments.js)
+const runningExperiment = {
+    id: 'blend-test',
+    status: 'running',
+    mode: 'split',
+    variants: [{ id: 'control', share: 1 }, { id: 'relevance-only', share: 1, blend: 1 }]
+};
+
+// Tests against the server with API_KEYS and API_ADMIN_KEYS configured
+const keyedTests = [
+    {
+        name: 'Refuse Promoting Weights Without a Key',
+        method: 'POST',
+        path: '/api/v1/weights/learned/promote',
+        body: {},
+        expected: { success: false },
+        check: (json) => json.error.code === 'API_KEY_REQUIRED'
+    },
+    {
+        name: 'Refuse Promoting Weights Without an Admin Key',
+        method: 'POST',
+        path: '/api/v1/weights/learned/promote',
+        headers: { 'X-API-Key': TEST_API_KEY },
+        body: {},
+        expected: { success: false },
+        check: (json) => json.error.code === 'ADMIN_REQUIRED'
+    },
+    {
+        name: 'Refuse Resetting Weights Without an Admin Key',
+        method: 'DELETE',
+        path: '/api/v1/weights/promoted',
+        headers: { Authorization: `Bearer ${TEST_API_KEY}` },
+        expected: { success: false },
+        check: (json) => json.error.code === 'ADMIN_REQUIRED'
+    },
+    {
+        name: 'Preview Learned Weights',
+        method: 'GET',
+        path: '/api/v1/weights/learned',
+        headers: { 'X-API-Key': TEST_ADMIN_KEY },
+        expected: { success: true },
+        check: (json) => {
+            const shopper = json.data.profiles.shopper;
+            return json.data.trainedAt === learnedCandidate.trainedAt &&
+                shopper.weights.price === learnedCandidate.profiles.shopper.weights.price &&
+                shopper.changes.price === Math.round((shopper.weights.price - shopper.liveWeights.price) * 1000) / 1000;
+        }
+    },
+    {
+        name: 'Promote Learned Weights',
+        method: 'POST',
+        path: '/api/v1/weights/learned/promote',
+        headers: { 'X-API-Key': TEST_ADMIN_KEY },
+        body: { profiles: ['shopper'] },
+        expected: { success: true },
+        check: (json) => Object.keys(json.data.profiles).join() === 'shopper' &&
+            json.data.profiles.shopper.weights.price === learnedCandidate.profiles.shopper.weights.price
+    },
+    {
+        name: 'Rank with Promoted Weights',
+        method: 'GET',
+        path: '/api/v1/profiles/shopper',
+        headers: { 'X-API-Key': TEST_API_KEY },
+        expected: { success: true },
+        check: (json) => json.data.profile.learned === true &&
+            json.data.profile.weights.price === learnedCandidate.profiles.shopper.weights.price
+    },
+    {
+        name: 'Reset Promoted Weights',
+        method: 'DELETE',
+        path: '/api/v1/weights/promoted?profiles=shopper',
+        headers: { Authorization: `Bearer ${TEST_ADMIN_KEY}` },
+        expected: { success: true },
+        check: (json) => Object.keys(json.data.profiles).length === 0
+    },
+    {
+        name: 'Rank with Hand-tuned Weights After Reset',
+        method: 'GET',
+        path: '/api/v1/profiles',
+        headers: { 'X-API-Key': TEST_API_KEY },
+        expected: { success: true },
+        check: (json) => json.data.profiles.shopper.learned === false &&
+            json.data.profiles.shopper.weights.price !== learnedCandidate.profiles.shopper.weights.price
+    },
+    {
+        name: 'List the Running Experiment',
+        method: 'GET',
+        path: '/api/v1/experiments',
+        headers: { 'X-API-Key': TEST_ADMIN_KEY },
+        expected: { success: true },
+        check: (json) => json.data.running === runningExperiment.id &&
+            json.data.experiments.length === 1 &&
+            runningExperiment.variants.every(variant => variant.id in json.data.experiments[0].stats.variants)
+    },
+    ...['session-1', 'session-2', 'session-3', 'session-4'].map(sessionId => ({
+        name: `Rank a Search with the Running Experiment (${sessionId})`,
+        method: 'GET',
+        path: '/api/v1/search?q=headphones&profile=shopper&provider=mock',
+        headers: { 'X-API-Key': TEST_API_KEY, 'X-Session-Id': sessionId },
+        expected: { success: true },
+        check: (json) => {
+            const variant = runningExperiment.variants.find(candidate => candidate.id === json.metadata.variant);
+            return json.metadata.experiment === runningExperiment.id &&
+                Boolean(variant) &&
+                (variant.blend === undefined ? json.data.blend !== 1 : json.data.blend === variant.blend);
+        }
+    })),
+    {
+        name: 'Search with a Plain Key',
+        method: 'GET',
+        path: '/api/v1/search?q=headphones&provider=mock&limit=1',
+        headers: { 'X-API-Key': TEST_API_KEY },
+        expected: { success: true }
     }
 ];
 
-async function runTest(test) {
+/**
+ * Run a served browser script in a fresh global context
+ * @param {string} source - Script source
+ * @param {string} globalName - Global the script defines, e.g. 'SafeHtml'
+ */
+function loadBrowserScript(source, globalName) {
+    const context = vm.createContext({ URL });
+    context.self = context;
+    vm.runInContext(source, context);
+    return context[globalName];
+}
+
+/**
+ * Run the shared scripts index.html includes (all but app.js) in a fresh
+ * global context, the way the browser loads them
+ * @param {Object} globals - Extra globals for the context (e.g. document)
+ */
+function loadBrowserContext(globals = {}) {
+    const html = fs.readFileSync(path.join(__dirname, 'public', 'index.html'), 'utf8');
+    const scripts = Array.from(html.matchAll(/<script src="([^"]+)"><\/script>/g), match => match[1])
+        .filter(src => src !== 'app.js');
+    const context = vm.createContext({ URL, console: { log() {}, error() {} }, ...globals });
+    context.self = context;
+
+    scripts.forEach(src => {
+        vm.runInContext(fs.readFileSync(path.join(__dirname, src), 'utf8'), context, { filename: src });
+    });
+
+    // app.js fetches the rate table; do the same from disk
+    context.Currency.setRateTable(JSON.parse(fs.readFileSync(path.join(__dirname, 'data', 'exchange-rates.json'), 'utf8')));
+    return context;
+}
+
+/**
+ * Load the ranking engine the way the browser does
+ */
+function loadBrowserRankingEngine() {
+    return loadBrowserContext().RankingEngine;
+}
+
+/**
+ * Load a served app.js after the shared scripts, with a document just big
+ * enough for it to start and build elements (innerHTML is kept as a string)
+ * @param {string} source - app.js source
+ * @returns {Object} - Global context; app.js functions are properties of it
+ */
+function loadBrowserApp(source) {
+    const createElement = () => ({
+        dataset: {},
+        style: {},
+        classList: { add() {}, remove() {}, toggle() {} },
+        addEventListener() {},
+        appendChild() {},
+        innerHTML: '',
+        textContent: ''
+    });
+    const context = loadBrowserContext({
+        document: { getElementById: createElement, createElement, addEventListener() {} }
+    });
+    vm.runInContext(source, context, { filename: 'app.js' });
+    return context;
+}
+
+/**
+ * Environment for a test server: its data files live in testDataDir, and
+ * settings from the developer's shell or .env (keys, limits, CORS) are cleared
+ */
+function getServerEnv(port, env = {}) {
+    const dataPath = name => path.join(testDataDir, String(port), name);
+    fs.mkdirSync(path.join(testDataDir, String(port)), { recursive: true });
+
+    return {
+        ...process.env,
+        PORT: String(port),
+        LOG_LEVEL: 'warn',
+        API_KEYS: '',
+        API_ADMIN_KEYS: '',
+        API_KEYS_FILE: dataPath('api-keys.json'),
+        RATE_LIMIT_PER_IP: '',
+        CORS_ORIGINS: '',
+        TRUST_PROXY: '',
+        SEARCH_CACHE_FILE: '',
+        FEEDBACK_LOG_PATH: dataPath('feedback.jsonl'),
+        PROFILES_PATH: dataPath('custom-profiles.json'),
+        LEARNED_WEIGHTS_PATH: dataPath('learned-weights.json'),
+        PROMOTED_WEIGHTS_PATH: dataPath('promoted-weights.json'),
+        EXPERIMENTS_PATH: dataPath('experiments.json'),
+        ...env
+    };
+}
+
+/**
+ * Write a data file for a test server before it starts
+ * @param {number} port - Port of the server
+ * @param {string} name - File name (as in getServerEnv)
+ * @param {Object} data - File content
+ */
+function writeServerData(port, name, data) {
+    fs.mkdirSync(path.join(testDataDir, String(port)), { recursive: true });
+    fs.writeFileSync(path.join(testDataDir, String(port), name), JSON.stringify(data, null, 2));
+}
+
+/**
+ * Check whether some server already answers HTTP on a port
+ */
+function isPortAnswering(port) {
+    return new Promise(resolve => {
+        http.get(`http://localhost:${port}/api/health`, res => {
+            res.resume();
+            resolve(true);
+        }).on('error', () => resolve(false));
+    });
+}
+
+/**
+ * Start server.js as a child process
+ * @param {number} port - Port to listen on
+ * @param {Object} env - Environment overrides (see getServerEnv)
+ * @returns {Promise<ChildProcess>} - Resolves once /api/health answers
+ */
+async function startServer(port, env = {}) {
+    // A server left on the port would answer the health check and every test in its place
+    if (await isPortAnswering(port)) {
+        throw new Error(`Port ${port} is already in use. Stop that server or set TEST_PORT`);
+    }
+
+    const child = spawn(process.execPath, [path.join(__dirname, 'server.js')], {
+        env: getServerEnv(port, env),
+        stdio: ['ignore', 'ignore', 'inherit']
+    });
+
+    return new Promise((resolve, reject) => {
+        const deadline = Date.now() + 10000;
+        const onExit = code => reject(new Error(`Test server exited with code ${code}`));
+        child.once('exit', onExit);
+
+        const poll = () => {
+            http.get(`http://localhost:${port}/api/health`, res => {
+                res.resume();
+                child.removeListener('exit', onExit);
+                resolve(child);
+            }).on('error', () => {
+                if (Date.now() > deadline) {
+                    child.kill();
+                    return reject(new Error(`Test server did not start on port ${port}`));
+                }
+                setTimeout(poll, 100);
+            });
+        };
+        poll();
+    });
+}
+
+/**
+ * Stop a test server and wait for it to exit
+ */
+function stopServer(child) {
+    return new Promise(resolve => {
+        if (child.exitCode !== null) {
+            return resolve();
+        }
+        child.once('exit', resolve);
+        child.kill();
+    });
+}
+
+// Tests that did not pass
+let failures = 0;
+
+/**
+ * Print one test outcome
+ */
+function report(name, passed) {
+    console.log(`  ${passed ? '✓' : '✗'} ${name}`);
+    if (!passed) failures++;
+}
+
+async function runTest(test, port = TEST_PORT) {
     return new Promise((resolve) => {
-        const req = http.get(`http://localhost:8000${test.path}`, (res) => {
+        const body = test.body ? JSON.stringify(test.body) : null;
+        const options = {
+            method: test.method || 'GET',
+            headers: {
+                ...(body ? { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) } : {}),
+                ...(test.headers || {})
+            }
+        };
+        const testPath = typeof test.path === 'function' ? test.path() : test.path;
+        const req = http.request(`http://localhost:${port}${testPath}`, options, (res) => {
             let data = '';
             res.on('data', chunk => data += chunk);
             res.on('end', () => {
+                if (test.expectedStatus) {
+                    const passed = res.statusCode === test.expectedStatus && (!test.check || test.check(data, res.headers));
+                    report(test.name, passed);
+                    if (!passed) console.log(`    Status: ${res.statusCode}, expected ${test.expectedStatus}`);
+                    return resolve();
+                }
                 try {
                     const json = JSON.parse(data);
                     
                     if (test.expectedError) {
                         const hasSought = json.error && json.error.includes(test.expectedError);
-                        console.log(`  ${hasSought ? '✓' : '✗'} ${test.name}`);
+                        report(test.name, hasSought);
                         if (!hasSought) console.log(`    Expected error containing: "${test.expectedError}", got: ${json.error}`);
                     } else {
                         let passed = true;
@@ -76,31 +1089,68 @@ async function runTest(test) {
                                 break;
                             }
                         }
-                        console.log(`  ${passed ? '✓' : '✗'} ${test.name}`);
+                        if (passed && test.check && !test.check(json, res.headers)) {
+                            passed = false;
+                        }
+                        report(test.name, passed);
                         if (!passed) console.log(`    Response: ${data.substring(0, 100)}`);
                     }
                 } catch (e) {
-                    console.log(`  ✗ ${test.name} - Invalid JSON response`);
+                    report(`${test.name} - Invalid JSON response`, false);
                 }
                 resolve();
             });
         });
 
         req.on('error', (err) => {
-            console.log(`  ✗ ${test.name} - ${err.message}`);
+            report(`${test.name} - ${err.message}`, false);
             resolve();
         });
+
+        if (body) {
+            req.write(body);
+        }
+        req.end();
     });
 }
 
 async function runAllTests() {
     console.log('\n🧪 API Test Suite\n');
     
-    for (const test of tests) {
-        await runTest(test);
+    try {
+        const server = await startServer(TEST_PORT);
+        try {
+            for (const test of tests) {
+                await runTest(test);
+            }
+        } finally {
+            await stopServer(server);
+        }
+        
+        console.log('\n  With API keys configured:');
+        writeServerData(KEYED_TEST_PORT, 'learned-weights.json', learnedCandidate);
+        writeServerData(KEYED_TEST_PORT, 'experiments.json', { experiments: [runningExperiment] });
+        const keyedServer = await startServer(KEYED_TEST_PORT, { API_KEYS: TEST_API_KEY, API_ADMIN_KEYS: TEST_ADMIN_KEY });
+        try {
+            for (const test of keyedTests) {
+                await runTest(test, KEYED_TEST_PORT);
+            }
+        } finally {
+            await stopServer(keyedServer);
+        }
+    } catch (error) {
+        console.log(`  ✗ ${error.message}`);
+        failures++;
+    } finally {
+        fs.rmSync(testDataDir, { recursive: true, force: true });
     }
     
-    console.log('\n✅ Tests completed\n');
+    if (failures > 0) {
+        console.log(`\n❌ ${failures} test${failures === 1 ? '' : 's'} failed\n`);
+        process.exitCode = 1;
+    } else {
+        console.log('\n✅ Tests completed\n');
+    }
 }
 
 // Run tests
@@ -0,0 +1,392 @@
+/**
+ * Unit Test Suite
+ * Tests server modules in-process, without starting the server
+ *
+ * Checks that need files (experiments, ...) write them to a temp directory.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Server modules log like the server; keep the output to test lines
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn';
+
+// Files written by the checks, removed after the run
+const testDataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'search-unit-test-'));
+
+/**
+ * Search result with neutral metrics, for checks where only its text matters
+ */
+function indexDocument(id, title, summary, tags = []) {
+    return {
+        id, title, summary, tags, category: 'article', url: `https://example.com/${id}`,
+        relevance: 0.5, simplicity: 0.5, price: 0.5, reviews: 0.5, citations: 0.5, depth: 0.5, recency: 0.5, readingTime: 10
+    };
+}
+
+const tests = [
+    {
+        name: 'Learn Weights From Satisfied Clicks',
+        run: () => {
+            const { trainWeights } = require('./weight-trainer');
+            const rankingEngine = require('./ranking-engine');
+            const cheap = { simplicity: 0.2, price: 0.9, relevance: 0.6 };
+            const simple = { simplicity: 0.9, price: 0.2, relevance: 0.6 };
+            const events = [];
+            // Shoppers keep skipping the simple result for the cheap one and stay there
+            for (let i = 0; i < 30; i++) {
+                const searchId = `session-${i}`;
+                events.push(
+                    { type: 'impression', searchId, profile: 'shopper', results: [{ id: 1, position: 1, features: simple }, { id: 2, position: 2, features: cheap }] },
+                    { type: 'click', searchId, resultId: 2, position: 2 },
+                    { type: 'dwell', searchId, resultId: 2, dwellMs: 60000 }
+                );
+            }
+            // A quick return means the click does not count
+            events.push(
+                { type: 'impression', searchId: 'bounce', profile: 'student', results: [{ id: 1, position: 1, features: simple }, { id: 2, position: 2, features: cheap }] },
+                { type: 'click', searchId: 'bounce', resultId: 2, position: 2 },
+                { type: 'dwell', searchId: 'bounce', resultId: 2, dwellMs: 2000 }
+            );
+
+            const current = { shopper: rankingEngine.getHandTunedWeights('shopper'), student: rankingEngine.getHandTunedWeights('student') };
+            const candidate = trainWeights(events, current);
+            const shopper = candidate.profiles.shopper;
+            const absoluteSum = Object.values(shopper.weights).reduce((sum, weight) => sum + Math.abs(weight), 0);
+            return shopper.pairs === 30 &&
+                shopper.weights.price - shopper.weights.simplicity > current.shopper.price - (current.shopper.simplicity || 0) &&
+                shopper.accuracy >= shopper.currentAccuracy &&
+                Math.abs(absoluteSum - 1) < 0.01 &&
+                /Only 0 preference pairs/.test(candidate.skipped.student);
+        }
+    },
+    {
+        name: 'Evaluate Rankings Against Judgments',
+        run: () => {
+            const evaluation = require('./ranking-evaluation');
+            const rankingEngine = require('./ranking-engine');
+            const grades = { 1: 3, 2: 2, 3: 0, 4: 1 };
+            const close = (a, b) => Math.abs(a - b) < 1e-9;
+
+            // Ideal order scores 1; a relevant result at rank 2 gives MRR 0.5
+            const metricsCorrect = close(evaluation.ndcgAtK([1, 2, 4, 3], grades, 3), 1) &&
+                evaluation.ndcgAtK([3, 4, 2, 1], grades, 3) < 0.5 &&
+                close(evaluation.reciprocalRank([3, 2, 1], grades), 0.5) &&
+                evaluation.reciprocalRank([3, 4], grades) === 0 &&
+                close(evaluation.precisionAtK([1, 3, 2], grades, 4), 0.5);
+
+            const judgments = JSON.parse(fs.readFileSync(evaluation.getJudgmentsPath(), 'utf8'));
+            const run = evaluation.evaluateJudgments(judgments.judgments, {
+                rankResults: rankingEngine.rankResults,
+                results: rankingEngine.getMockResults()
+            });
+            const inRange = averages => evaluation.EVALUATION_METRICS.every(metric => averages[metric] >= 0 && averages[metric] <= 1);
+
+            // A worse run than its baseline is reported, an identical one is not
+            const worse = JSON.parse(JSON.stringify(run));
+            worse.profiles.shopper.ndcg -= 0.1;
+            const regressions = evaluation.compareToBaseline(worse, run).regressions;
+
+            return metricsCorrect &&
+                evaluation.validateJudgments(judgments, rankingEngine.isBuiltInProfile).length === 0 &&
+                evaluation.validateJudgments({ judgments: [{ query: 'x', profile: 'nobody', results: { 1: 7 } }] }, rankingEngine.isBuiltInProfile).length === 2 &&
+                Object.keys(run.profiles).length === 4 &&
+                Object.values(run.profiles).every(inRange) &&
+                evaluation.compareToBaseline(run, run).regressions.length === 0 &&
+                regressions.length === 1 && regressions[0].scope === 'shopper' && regressions[0].metric === 'ndcg';
+        }
+    },
+    {
+        name: 'Bucket Sessions into Variants Deterministically',
+        run: () => {
+            const experiments = require('./experiments');
+            const experiment = { id: 'bucket-test', variants: [{ id: 'a', share: 50 }, { id: 'b', share: 50 }] };
+            const counts = { a: 0, b: 0 };
+            for (let i = 0; i < 1000; i++) {
+                counts[experiments.assignVariant(experiment, `unit-${i}`).id]++;
+            }
+            const reshuffled = { ...experiment, id: 'bucket-test-2' };
+            const moved = Array.from({ length: 100 }, (_, i) => `unit-${i}`)
+                .filter(unit => experiments.assignVariant(experiment, unit).id !== experiments.assignVariant(reshuffled, unit).id);
+
+            return counts.a > 400 && counts.b > 400 &&
+                experiments.assignVariant(experiment, 'unit-7').id === experiments.assignVariant(experiment, 'unit-7').id &&
+                moved.length > 20 &&
+                experiments.validateExperiment(experiment).length === 0 &&
+                experiments.validateExperiment({ id: 'bad', mode: 'interleave', variants: [{ id: 'a', blend: 2 }, { id: 'b' }, { id: 'c' }] }).length === 2;
+        }
+    },
+    {
+        name: 'Team-draft Interleave Two Rankings',
+        run: () => {
+            const experiments = require('./experiments');
+            const ids = list => list.map(id => ({ id }));
+            const rankingA = ids([1, 2, 3, 4, 5, 6]);
+            const rankingB = ids([6, 5, 4, 3, 2, 1]);
+
+            return Array.from({ length: 20 }).every(() => {
+                const { results, teams } = experiments.teamDraftInterleave(rankingA, rankingB);
+                const picksOf = team => results.filter(result => teams.get(result.id) === team).map(result => result.id);
+                const picksA = picksOf('A');
+                const picksB = picksOf('B');
+                const inOrder = (picks, ranking) => picks.every((id, index) => index === 0 ||
+                    ranking.findIndex(result => result.id === id) > ranking.findIndex(result => result.id === picks[index - 1]));
+                // Both teams pick their best remaining result, taking turns
+                return results.map(result => result.id).sort().join() === '1,2,3,4,5,6' &&
+                    Math.abs(picksA.length - picksB.length) <= 1 &&
+                    inOrder(picksA, rankingA) && inOrder(picksB, rankingB) &&
+                    [1, 6].every(id => results.slice(0, 2).some(result => result.id === id));
+            });
+        }
+    },
+    {
+        name: 'Rank Searches with the Running Experiment',
+        run: () => {
+            const experiments = require('./experiments');
+            const rankingEngine = require('./ranking-engine');
+            const filePath = path.join(testDataDir, 'experiments.json');
+            const previousPath = process.env.EXPERIMENTS_PATH;
+            const request = { query: 'gaming headphones', profile: 'shopper', constraints: {}, results: rankingEngine.getMockResults() };
+            const runWith = definition => {
+                fs.writeFileSync(filePath, JSON.stringify({ experiments: [definition] }));
+                process.env.EXPERIMENTS_PATH = filePath;
+                experiments.loadExperiments();
+                return Array.from({ length: 40 }, (_, i) => experiments.rankWithExperiment(request, { unitId: `unit-${i}` }));
+            };
+
+            try {
+                const split = runWith({
+                    id: 'blend-test',
+                    variants: [{ id: 'control', share: 1 }, { id: 'relevance-only', share: 1, blend: 1 }]
+                });
+                // A blend the request sets itself beats the variant's
+                const explicit = Array.from({ length: 10 }, (_, i) => experiments.rankWithExperiment(
+                    { ...request, blend: 0.3 }, { unitId: `unit-${i}`, explicit: { blend: true } }
+                ));
+                const interleaved = runWith({
+                    id: 'interleave-test',
+                    mode: 'interleave',
+                    variants: [{ id: 'control' }, { id: 'price-heavy', weights: { price: 1 } }]
+                });
+
+                return split.every(ranking => ranking.metadata.experiment === 'blend-test' &&
+                        ranking.blend === (ranking.metadata.variant === 'control' ? rankingEngine.DEFAULT_BLEND : 1)) &&
+                    new Set(split.map(ranking => ranking.metadata.variant)).size === 2 &&
+                    interleaved.every(ranking => ranking.metadata.variant === 'interleaved' &&
+                        ranking.results.length === rankingEngine.rankResults(request).length &&
+                        ranking.results.every(result => ['control', 'price-heavy'].includes(ranking.metadata.teams[result.id]))) &&
+                    explicit.every(ranking => ranking.blend === 0.3);
+            } finally {
+                if (previousPath === undefined) delete process.env.EXPERIMENTS_PATH;
+                else process.env.EXPERIMENTS_PATH = previousPath;
+            }
+        }
+    },
+    {
+        name: 'Experiment Click-through and Interleaving Stats',
+        run: () => {
+            const experiments = require('./experiments');
+            const split = { id: 'split', mode: 'split', variants: [{ id: 'a', share: 1 }, { id: 'b', share: 1 }] };
+            const interleave = { id: 'mix', mode: 'interleave', variants: [{ id: 'a' }, { id: 'b' }] };
+            const impression = (searchId, experiment, variant, teams = []) => ({
+                type: 'impression', searchId, experiment, variant, profile: 'casual',
+                results: [{ id: 1, position: 1, team: teams[0] }, { id: 2, position: 2, team: teams[1] }]
+            });
+            const click = (searchId, resultId) => ({ type: 'click', searchId, resultId, position: resultId });
+            const events = [
+                impression('s1', 'split', 'a'), click('s1', 2),
+                impression('s2', 'split', 'a'),
+                impression('s3', 'split', 'b'), click('s3', 1), click('s3', 2),
+                impression('m1', 'mix', 'interleaved', ['a', 'b']), click('m1', 2),
+                impression('m2', 'mix', 'interleaved', ['b', 'a']), click('m2', 1),
+                impression('m3', 'mix', 'interleaved', ['a', 'b']), click('m3', 1), click('m3', 2),
+                impression('m4', 'mix', 'interleaved', ['a', 'b'])
+            ];
+            const splitStats = experiments.getExperimentStats(split, events).variants;
+            const mixStats = experiments.getExperimentStats(interleave, events);
+
+            return splitStats.a.sessions === 2 && splitStats.a.clickThroughRate === 0.5 && splitStats.a.meanClickPosition === 2 &&
+                splitStats.b.sessions === 1 && splitStats.b.clicks === 2 && splitStats.b.clickThroughRate === 1 &&
+                mixStats.sessions === 4 && mixStats.sessionsWithClick === 3 && mixStats.ties === 1 &&
+                mixStats.variants.b.wins === 2 && mixStats.variants.a.wins === 0;
+        }
+    },
+    {
+        name: 'Extract the Same Features Twice',
+        run: () => {
+            const { extractFeatures } = require('./feature-extractor');
+            const item = {
+                title: 'Learn Python in 2024: A Complete Guide',
+                url: 'https://www.python.org/about/gettingstarted/',
+                snippet: 'A detailed guide for beginners. Courses from $19.99, or read the free tutorial.',
+                datePublished: '2024-03-15T00:00:00Z'
+            };
+            const options = { query: 'python guide', position: 2, now: new Date('2026-06-01T00:00:00Z') };
+            const first = extractFeatures(item, options);
+            const second = extractFeatures(item, options);
+
+            // Two years old: 1 - 2 × 0.15
+            return JSON.stringify(first) === JSON.stringify(second) &&
+                first.recency === 0.7 &&
+                first.reviews === 0.95;
+        }
+    },
+    {
+        name: 'Estimate Reading Time from Snippet Length',
+        run: () => {
+            const { extractFeatures } = require('./feature-extractor');
+            const words = count => Array.from({ length: count }, () => 'word').join(' ');
+            const readingTime = snippet => extractFeatures({ title: 'Post', url: 'https://example.com/blog/post', snippet }).readingTime;
+
+            // Articles take 8 minutes × (0.5 + depth), depth = 0.4 + words / 100 (at most +0.3)
+            return readingTime(words(10)) === 8 &&
+                readingTime(words(20)) === 9 &&
+                readingTime(words(30)) === 10 &&
+                readingTime(words(80)) === 10 &&
+                readingTime(`${words(20)} 25 min read`) === 25;
+        }
+    },
+    {
+        name: 'Parse Prices from Snippets',
+        run: () => {
+            const { extractPrice, extractFeatures } = require('./feature-extractor');
+            const same = (price, amount, currency) => price !== null && price.amount === amount && price.currency === currency;
+
+            return same(extractPrice('Now $19.99 at the store'), 19.99, 'USD') &&
+                same(extractPrice('Only €1,299.50 this week'), 1299.5, 'EUR') &&
+                same(extractPrice('From HK$ 120'), 120, 'HKD') &&
+                same(extractPrice('£5 shipping'), 5, 'GBP') &&
+                extractPrice('No price mentioned here') === null &&
+                // $9 → 1 - log10(10) / 4
+                extractFeatures({ title: 'Mug', url: 'https://example.com/mug', snippet: 'A mug for $9' }).price === 0.75 &&
+                extractFeatures({ title: 'Mug', url: 'https://example.com/mug', snippet: 'A free mug for $9' }).price === 0.95;
+        }
+    },
+    {
+        name: 'Read Skill Level from Keywords',
+        run: () => {
+            const { extractFeatures } = require('./feature-extractor');
+            const depth = snippet => extractFeatures({ title: 'Networking', url: 'https://example.com/networking', snippet }).depth;
+
+            // Four snippet words give depth 0.44; advanced vocabulary adds 0.15, introductory removes 0.1
+            return depth('practical guide to networking') === 0.44 &&
+                depth('comprehensive guide to networking') === 0.59 &&
+                depth('beginner guide to networking') === 0.34;
+        }
+    },
+    {
+        name: 'Match Whole Words Only with BM25',
+        run: () => {
+            const searchIndex = require('./search-index');
+            const rankingEngine = require('./ranking-engine');
+            const documents = [
+                indexDocument(1, 'JavaScript for the web', 'Learn javascript in the browser', ['javascript']),
+                indexDocument(2, 'Java Spring Boot', 'Build services with java', ['java']),
+                indexDocument(3, 'Coffee from Java', 'Island coffee beans')
+            ];
+            const index = searchIndex.buildIndex(documents);
+            const ranked = rankingEngine.rankResults({ query: 'java', profile: 'casual', results: documents, blend: 1 });
+
+            return [...searchIndex.scoreQuery(index, 'java').keys()].sort().join() === '2,3' &&
+                [...searchIndex.scoreQuery(index, 'javascript').keys()].join() === '1' &&
+                ranked.every(result => result.id !== 1);
+        }
+    },
+    {
+        name: 'Order Relevance by BM25 Score',
+        run: () => {
+            const searchIndex = require('./search-index');
+            const rankingEngine = require('./ranking-engine');
+            // Same metrics everywhere, so only the text match tells them apart
+            const documents = [
+                indexDocument(1, 'Rust cookbook', 'Recipes for rust programs'),
+                indexDocument(2, 'Rust compiler internals', 'How the rust compiler works, from parsing to the compiler backend'),
+                indexDocument(3, 'Rust language tour', 'A tour of rust with a note on the compiler'),
+                indexDocument(4, 'Gardening', 'Growing tomatoes')
+            ];
+            const scores = searchIndex.scoreQuery(searchIndex.buildIndex(documents), 'rust compiler');
+            const byScore = [...scores.keys()].sort((a, b) => scores.get(b) - scores.get(a));
+            const ranked = rankingEngine.rankResults({ query: 'rust compiler', profile: 'casual', results: documents, blend: 1 });
+            const best = Math.max(...scores.values());
+
+            return byScore.join() === '2,3,1' &&
+                ranked.map(result => result.id).join() === byScore.join() &&
+                ranked.every(result => Math.abs(result.scoreBreakdown.relevance.components.text.value - scores.get(result.id) / best) < 1e-9);
+        }
+    },
+    {
+        name: 'Ignore Experiment Variants Named After Object Members',
+        run: () => {
+            const experiments = require('./experiments');
+            const split = { id: 'split', mode: 'split', variants: [{ id: 'a', share: 1 }, { id: 'b', share: 1 }] };
+            const interleave = { id: 'mix', mode: 'interleave', variants: [{ id: 'a' }, { id: 'b' }] };
+            const events = ['constructor', 'toString', '__proto__'].flatMap((name, i) => [
+                { type: 'impression', searchId: `s${i}`, experiment: 'split', variant: name, results: [{ id: 1, position: 1 }] },
+                { type: 'click', searchId: `s${i}`, resultId: 1, position: 1 },
+                { type: 'impression', searchId: `m${i}`, experiment: 'mix', variant: 'interleaved', results: [{ id: name, position: 1, team: name }] },
+                { type: 'click', searchId: `m${i}`, resultId: name, position: 1 }
+            ]);
+            const splitStats = experiments.getExperimentStats(split, events);
+            const mixStats = experiments.getExperimentStats(interleave, events);
+
+            return Object.keys(splitStats.variants).join() === 'a,b' &&
+                splitStats.variants.a.sessions === 0 && splitStats.variants.b.sessions === 0 &&
+                Object.keys(mixStats.variants).join() === 'a,b' &&
+                mixStats.sessionsWithClick === 0 &&
+                !('sessions' in Object) && !('clicks' in Object) && !('wins' in Object);
+        }
+    },
+    {
+        name: 'Label Errors by Their Status Only When They Have No Code',
+        run: () => {
+            const apiResponse = require('./api-response');
+            const send = error => {
+                const req = { path: `/api/${apiResponse.API_VERSION}/profiles` };
+                const res = { status(code) { this.statusCode = code; return this; }, json(body) { this.body = body; return this; } };
+                apiResponse.envelope(req, res, () => {});
+                res.sendError(error);
+                return res;
+            };
+            const statusOnly = Object.assign(new Error('Denied'), { statusCode: 403 });
+            const readOnly = send(apiResponse.createApiError('PROFILE_READ_ONLY', 'Built-in profile "student" cannot be modified'));
+
+            return send(statusOnly).statusCode === 403 &&
+                send(statusOnly).body.error.code === 'FORBIDDEN' &&
+                readOnly.statusCode === 403 && readOnly.body.error.code === 'PROFILE_READ_ONLY';
+        }
+    }
+];
+
+let failures = 0;
+
+function report(name, passed) {
+    console.log(`  ${passed ? '✓' : '✗'} ${name}`);
+    if (!passed) failures++;
+}
+
+function runAllTests() {
+    console.log('\n🧪 Unit Test Suite\n');
+
+    try {
+        for (const test of tests) {
+            try {
+                report(test.name, Boolean(test.run()));
+            } catch (error) {
+                report(`${test.name} - ${error.message}`, false);
+            }
+        }
+    } finally {
+        fs.rmSync(testDataDir, { recursive: true, force: true });
+    }
+
+    if (failures > 0) {
+        console.log(`\n❌ ${failures} test${failures === 1 ? '' : 's'} failed\n`);
+        process.exitCode = 1;
+    } else {
+        console.log('\n✅ Tests completed\n');
+    }
+}
+
+// Run tests
+runAllTests();
@@ -0,0 +1,190 @@
+/**
+ * Learned Weight Store
+ *
+ * Keeps the two files of the feedback loop and the ranking engine in sync:
+ *
+ *   Candidate (LEARNED_WEIGHTS_PATH, default data/learned-weights.json)
+ *     Written by the offline trainer (weight-trainer.js); only previewed.
+ *
+ *   Promoted (PROMOTED_WEIGHTS_PATH, default data/promoted-weights.json)
+ *     Learned weights that replace built-in profile weights in live rankings:
+ *     {
+ *       "profiles": {
+ *         "student": { "weights": { ... }, "trainedAt": "...", "promotedAt": "..." }
+ *       }
+ *     }
+ *
+ * Removing a profile from the promoted file brings back its hand-tuned weights.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const rankingEngine = require('./ranking-engine');
+const { validateWeights } = require('./profile-store');
+const { createApiError } = require('./api-response');
+const { logger } = require('./logger');
+
+// Cache for the promoted weights file
+let promoted = null;
+
+/**
+ * Get the path of the candidate written by the trainer
+ */
+function getCandidatePath() {
+    return process.env.LEARNED_WEIGHTS_PATH || path.join(__dirname, 'data', 'learned-weights.json');
+}
+
+/**
+ * Get the path of the promoted weights
+ */
+function getPromotedPath() {
+    return process.env.PROMOTED_WEIGHTS_PATH || path.join(__dirname, 'data', 'promoted-weights.json');
+}
+
+/**
+ * Read a JSON file, or return null if it does not exist
+ */
+function readJson(filePath) {
+    return fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : null;
+}
+
+/**
+ * Write a JSON file (via a temp file so a crash never leaves half a file)
+ */
+function writeJson(filePath, data) {
+    const tempPath = `${filePath}.tmp`;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * Push the promoted weights into the ranking engine
+ */
+function syncRankingEngine() {
+    const weightsByName = {};
+    for (const [name, entry] of Object.entries(promoted.profiles)) {
+        weightsByName[name] = entry.weights;
+    }
+    rankingEngine.setLearnedWeights(weightsByName);
+}
+
+/**
+ * Load promoted weights from disk and apply them
+ * Entries that are not built-in profiles or fail weight validation are ignored.
+ */
+function loadPromotedWeights() {
+    promoted = { profiles: {} };
+
+    try {
+        const data = readJson(getPromotedPath());
+        for (const [name, entry] of Object.entries((data && data.profiles) || {})) {
+            if (rankingEngine.isBuiltInProfile(name) && entry && validateWeights(entry.weights).length === 0) {
+                promoted.profiles[name] = entry;
+            } else {
+                logger.warn('Ignoring invalid promoted weights', { profile: name });
+            }
+        }
+        if (Object.keys(promoted.profiles).length > 0) {
+            logger.info('Loaded promoted weights', { profiles: Object.keys(promoted.profiles) });
+        }
+    } catch (error) {
+        logger.error('Could not load promoted weights', { path: getPromotedPath(), error });
+    }
+
+    syncRankingEngine();
+    return promoted;
+}
+
+/**
+ * Get promoted weights, loading them on first use
+ */
+function getPromoted() {
+    return promoted || loadPromotedWeights();
+}
+
+/**
+ * Save the trainer's candidate
+ */
+function saveCandidate(candidate) {
+    writeJson(getCandidatePath(), candidate);
+}
+
+/**
+ * Get the trainer's candidate with a per-metric comparison to live weights
+ * @returns {Object} - Candidate; each profile gains `liveWeights` and `changes` (metric → learned - live)
+ * @throws {Error} - LEARNED_WEIGHTS_NOT_FOUND when the trainer has not run yet
+ */
+function getCandidate() {
+    const candidate = readJson(getCandidatePath());
+    if (!candidate) {
+        throw createApiError('LEARNED_WEIGHTS_NOT_FOUND', 'No learned weights yet. Run "npm run train-weights" first');
+    }
+
+    getPromoted();
+    const profiles = {};
+    for (const [name, result] of Object.entries(candidate.profiles || {})) {
+        const liveWeights = rankingEngine.getWeightsForProfile(name) || {};
+        const changes = {};
+        rankingEngine.METRIC_NAMES.forEach(metric => {
+            changes[metric] = Math.round(((result.weights[metric] || 0) - (liveWeights[metric] || 0)) * 1000) / 1000;
+        });
+        profiles[name] = { ...result, liveWeights, changes };
+    }
+    return { ...candidate, profiles };
+}
+
+/**
+ * Promote candidate weights to live rankings
+ * @param {Array} names - Profiles to promote (default: every profile in the candidate)
+ * @returns {Object} - The promoted weights after the change
+ * @throws {Error} - LEARNED_WEIGHTS_NOT_FOUND without a candidate, INVALID_PROFILE for
+ *                   profiles the candidate has no weights for
+ */
+function promote(names) {
+    const candidate = getCandidate();
+    const selected = names && names.length > 0 ? names : Object.keys(candidate.profiles);
+
+    const missing = selected.filter(name => !candidate.profiles[name]);
+    if (missing.length > 0 || selected.length === 0) {
+        throw createApiError('INVALID_PROFILE', missing.length > 0
+            ? `Invalid profiles. No learned weights for: ${missing.join(', ')}`
+            : 'Invalid profiles. The candidate has no learned weights');
+    }
+
+    const promotedAt = new Date().toISOString();
+    getPromoted();
+    selected.forEach(name => {
+        promoted.profiles[name] = { weights: candidate.profiles[name].weights, trainedAt: candidate.trainedAt, promotedAt };
+    });
+
+    writeJson(getPromotedPath(), promoted);
+    syncRankingEngine();
+    return promoted;
+}
+
+/**
+ * Go back to hand-tuned weights
+ * @param {Array} names - Profiles to reset (default: all)
+ * @returns {Object} - The promoted weights after the change
+ */
+function resetPromoted(names) {
+    getPromoted();
+    const selected = names && names.length > 0 ? names : Object.keys(promoted.profiles);
+    selected.forEach(name => delete promoted.profiles[name]);
+
+    writeJson(getPromotedPath(), promoted);
+    syncRankingEngine();
+    return promoted;
+}
+
+// Exports
+module.exports = {
+    getCandidatePath,
+    loadPromotedWeights,
+    getPromoted,
+    saveCandidate,
+    getCandidate,
+    promote,
+    resetPromoted
+};
@@ -0,0 +1,297 @@
+/**
+ * Weight Trainer
+ *
+ * Learns per-profile metric weights from the feedback log (feedback-log.js)
+ * with pairwise logistic regression:
+ *
+ *   1. Events are grouped into sessions by searchId (one displayed ranking).
+ *   2. A click counts as satisfied unless the user came back within
+ *      minDwellMs. Each satisfied click is preferred over every result shown
+ *      above it that was not a satisfied click ("skip above") and over the
+ *      unclicked result right below it.
+ *   3. For each built-in profile, weights w over the eight metrics are fitted
+ *      so that w · (features(preferred) - features(other)) is positive, with an
+ *      L2 penalty pulling w toward the current weights, so sparse feedback only
+ *      nudges them.
+ *   4. Weights are scaled so their absolute values sum to 1, like the
+ *      hand-tuned profiles.
+ *
+ * Profiles with fewer than minPairs preference pairs are skipped. The result
+ * is a candidate that can be previewed and promoted through the API
+ * (weight-store.js); training never changes live rankings by itself.
+ *
+ * Run offline:
+ *   npm run train-weights [-- --min-pairs 20 --min-dwell-ms 10000]
+ */
+
+const { METRIC_NAMES } = require('./ranking-engine');
+
+/**
+ * Training defaults
+ */
+const DEFAULT_TRAINING_OPTIONS = {
+    minDwellMs: 10000,      // Returning sooner than this marks the click as unsatisfied
+    minPairs: 20,           // Fewer preference pairs than this and the profile is skipped
+    iterations: 500,
+    learningRate: 0.5,
+    regularization: 0.05    // Strength of the pull toward the current weights
+};
+
+/**
+ * Group feedback events into sessions by searchId
+ * @param {Array} events - Events from feedback-log.js
+ * @returns {Map} - searchId → { profile, results: Map(id → { position, features }), clicks: Map(id → position), dwell: Map(id → ms) }
+ */
+function buildSessions(events) {
+    const sessions = new Map();
+    const getSession = searchId => {
+        if (!sessions.has(searchId)) {
+            sessions.set(searchId, { profile: null, results: new Map(), clicks: new Map(), dwell: new Map() });
+        }
+        return sessions.get(searchId);
+    };
+
+    events.forEach(event => {
+        if (!event || typeof event.searchId !== 'string') {
+            return;
+        }
+        const session = getSession(event.searchId);
+
+        if (event.type === 'impression') {
+            session.profile = event.profile;
+            (event.results || []).forEach(result => {
+                session.results.set(String(result.id), { position: result.position, features: result.features || {} });
+            });
+        } else if (event.type === 'click') {
+            session.clicks.set(String(event.resultId), event.position);
+        } else if (event.type === 'dwell') {
+            session.dwell.set(String(event.resultId), event.dwellMs);
+        }
+    });
+
+    return sessions;
+}
+
+/**
+ * Preference pairs from one session
+ * @returns {Array} - [{ preferred: features, other: features }]
+ */
+function extractPairs(session, options = {}) {
+    const { minDwellMs = DEFAULT_TRAINING_OPTIONS.minDwellMs } = options;
+    const isSatisfied = id => session.clicks.has(id) &&
+        !(session.dwell.has(id) && session.dwell.get(id) < minDwellMs);
+
+    const shown = Array.from(session.results.entries()).sort((a, b) => a[1].position - b[1].position);
+    const pairs = [];
+
+    shown.forEach(([id, result]) => {
+        if (!isSatisfied(id)) {
+            return;
+        }
+        shown.forEach(([otherId, other]) => {
+            const skippedAbove = other.position < result.position && !isSatisfied(otherId);
+            const nextBelow = other.position === result.position + 1 && !session.clicks.has(otherId);
+            if (skippedAbove || nextBelow) {
+                pairs.push({ preferred: result.features, other: other.features });
+            }
+        });
+    });
+
+    return pairs;
+}
+
+/**
+ * Metric values as a vector in METRIC_NAMES order (missing metrics are 0)
+ */
+function toVector(values) {
+    return METRIC_NAMES.map(metric => (typeof values[metric] === 'number' ? values[metric] : 0));
+}
+
+function dot(a, b) {
+    return a.reduce((sum, value, index) => sum + value * b[index], 0);
+}
+
+/**
+ * Fit pairwise logistic regression by gradient descent
+ * Minimizes mean(log(1 + e^(-w·d))) + regularization/2 · |w - prior|² over the
+ * feature differences d of the pairs, starting from the prior.
+ * @param {Array} pairs - Preference pairs
+ * @param {Array} prior - Starting weights (vector) the fit is pulled toward
+ * @param {Object} options - { iterations, learningRate, regularization }
+ * @returns {Array} - Fitted weight vector
+ */
+function fitPairwiseLogistic(pairs, prior, options = {}) {
+    const { iterations, learningRate, regularization } = { ...DEFAULT_TRAINING_OPTIONS, ...options };
+    const differences = pairs.map(pair => {
+        const preferred = toVector(pair.preferred);
+        const other = toVector(pair.other);
+        return preferred.map((value, index) => value - other[index]);
+    });
+
+    let weights = prior.slice();
+    for (let iteration = 0; iteration < iterations; iteration++) {
+        const gradient = weights.map((weight, index) => regularization * (weight - prior[index]));
+        differences.forEach(difference => {
+            // d/dw log(1 + e^(-w·d)) = -d · sigmoid(-w·d)
+            const factor = 1 / (1 + Math.exp(dot(weights, difference)));
+            difference.forEach((value, index) => {
+                gradient[index] -= (value * factor) / differences.length;
+            });
+        });
+        weights = weights.map((weight, index) => weight - learningRate * gradient[index]);
+    }
+
+    return weights;
+}
+
+/**
+ * Scale a weight vector so absolute weights sum to 1
+ * @returns {Object|null} - Metric → weight (3 decimals), or null if every weight is 0
+ */
+function normalizeWeights(vector) {
+    const absoluteSum = vector.reduce((sum, value) => sum + Math.abs(value), 0);
+    if (absoluteSum === 0) {
+        return null;
+    }
+
+    const weights = {};
+    METRIC_NAMES.forEach((metric, index) => {
+        weights[metric] = Math.round((vector[index] / absoluteSum) * 1000) / 1000;
+    });
+    return weights;
+}
+
+/**
+ * Share of pairs a set of weights orders correctly (ties count half)
+ * @param {Object} weights - Metric → weight
+ * @param {Array} pairs - Preference pairs
+ * @returns {number|null} - Accuracy 0-1, or null without pairs
+ */
+function pairAccuracy(weights, pairs) {
+    if (pairs.length === 0) {
+        return null;
+    }
+    const vector = toVector(weights);
+    const correct = pairs.reduce((sum, pair) => {
+        const margin = dot(vector, toVector(pair.preferred)) - dot(vector, toVector(pair.other));
+        return sum + (margin > 0 ? 1 : (margin === 0 ? 0.5 : 0));
+    }, 0);
+    return Math.round((correct / pairs.length) * 1000) / 1000;
+}
+
+/**
+ * Learn weights for every built-in profile with enough feedback
+ * @param {Array} events - Feedback events
+ * @param {Object} currentWeights - Built-in profile name → current metric weights
+ * @param {Object} options - Overrides for DEFAULT_TRAINING_OPTIONS
+ * @returns {Object} - {
+ *     trainedAt, events, sessions, options,
+ *     profiles: { name: { weights, currentWeights, pairs, accuracy, currentAccuracy } },
+ *     skipped: { name: reason }
+ *   }
+ */
+function trainWeights(events, currentWeights, options = {}) {
+    const settings = { ...DEFAULT_TRAINING_OPTIONS, ...options };
+    const sessions = buildSessions(events);
+
+    const pairsByProfile = {};
+    sessions.forEach(session => {
+        if (!session.profile) {
+            return;
+        }
+        pairsByProfile[session.profile] = (pairsByProfile[session.profile] || []).concat(extractPairs(session, settings));
+    });
+
+    const profiles = {};
+    const skipped = {};
+    for (const [profile, pairs] of Object.entries(pairsByProfile)) {
+        if (!currentWeights[profile]) {
+            skipped[profile] = 'Not a built-in profile';
+            continue;
+        }
+        if (pairs.length < settings.minPairs) {
+            skipped[profile] = `Only ${pairs.length} preference pairs (need ${settings.minPairs})`;
+            continue;
+        }
+
+        const weights = normalizeWeights(fitPairwiseLogistic(pairs, toVector(currentWeights[profile]), settings));
+        if (!weights) {
+            skipped[profile] = 'Fitted weights are all 0';
+            continue;
+        }
+
+        profiles[profile] = {
+            weights,
+            currentWeights: currentWeights[profile],
+            pairs: pairs.length,
+            accuracy: pairAccuracy(weights, pairs),
+            currentAccuracy: pairAccuracy(currentWeights[profile], pairs)
+        };
+    }
+
+    return {
+        trainedAt: new Date().toISOString(),
+        events: events.length,
+        sessions: sessions.size,
+        options: settings,
+        profiles,
+        skipped
+    };
+}
+
+/**
+ * Read "--min-pairs 20" style options from the command line
+ */
+function parseArgs(argv) {
+    const options = {};
+    const names = { '--min-pairs': 'minPairs', '--min-dwell-ms': 'minDwellMs', '--iterations': 'iterations' };
+    for (let i = 0; i < argv.length; i += 2) {
+        if (!names[argv[i]] || !isFinite(Number(argv[i + 1]))) {
+            throw new Error(`Unknown option "${argv[i]}" (use ${Object.keys(names).join(', ')} with a number)`);
+        }
+        options[names[argv[i]]] = Number(argv[i + 1]);
+    }
+    return options;
+}
+
+// Offline training: read the feedback log, write the candidate for preview
+if (require.main === module) {
+    const rankingEngine = require('./ranking-engine');
+    const feedbackLog = require('./feedback-log');
+    const weightStore = require('./weight-store');
+
+    try {
+        // Train on top of what is live now (promoted weights, if any)
+        weightStore.loadPromotedWeights();
+        const currentWeights = {};
+        Object.keys(rankingEngine.getProfileWeights())
+            .filter(name => rankingEngine.isBuiltInProfile(name))
+            .forEach(name => { currentWeights[name] = rankingEngine.getWeightsForProfile(name); });
+
+        const candidate = trainWeights(feedbackLog.readEvents(), currentWeights, parseArgs(process.argv.slice(2)));
+        weightStore.saveCandidate(candidate);
+
+        console.log(`Trained on ${candidate.events} events in ${candidate.sessions} sessions`);
+        for (const [profile, result] of Object.entries(candidate.profiles)) {
+            console.log(`  ${profile}: ${result.pairs} pairs, accuracy ${result.currentAccuracy} → ${result.accuracy}`);
+        }
+        for (const [profile, reason] of Object.entries(candidate.skipped)) {
+            console.log(`  ${profile}: skipped (${reason})`);
+        }
+        console.log(`Candidate written to ${weightStore.getCandidatePath()}; preview with GET /api/v1/weights/learned`);
+    } catch (error) {
+        console.error(`Training failed: ${error.message}`);
+        process.exitCode = 1;
+    }
+}
+
+// Exports
+module.exports = {
+    DEFAULT_TRAINING_OPTIONS,
+    buildSessions,
+    extractPairs,
+    fitPairwiseLogistic,
+    normalizeWeights,
+    pairAccuracy,
+    trainWeights
+};